@@ -0,0 +1,154 @@
+const { defaultFieldResolver, isNonNullType } = require('graphql');
+const { mapSchema, getDirective, MapperKind } = require('@graphql-tools/utils');
+const { checkPremiumAccess, isIdentityConfirmed, isMissingTwoFactor, hasTrustLevel } = require('../src/utils/auth');
+const { AuthenticationError, ForbiddenError } = require('../src/utils/errors');
+
+// Roles in ascending order of privilege
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+const ROOT_TYPES = ['Query', 'Mutation', 'Subscription'];
+
+/**
+ * Check whether the caller owns the object being resolved
+ * @param {Object} parent
+ * @param {Object} user
+ * @returns {boolean}
+ */
+const isOwner = (parent, user) => {
+  if (!parent || !user) return false;
+
+  const ownerId = parent.constructor && parent.constructor.modelName === 'User'
+    ? parent._id
+    : parent.submittedBy || (parent.sender && parent.sender.userId);
+
+  return Boolean(ownerId) && String(ownerId._id || ownerId) === user.id;
+};
+
+/**
+ * Evaluate directive rules for a caller
+ * @param {Object} rules auth, hasRole, trustLevel and premium directive arguments
+ * @param {Object} parent
+ * @param {Object} user
+ * @param {boolean} write Whether the field is a mutation
+ * @returns {AppError|null} The error to raise, or null when allowed
+ */
+const evaluate = (rules, parent, user, write) => {
+  if (!user) {
+    return new AuthenticationError();
+  }
+
+  const apiKey = user.$locals && user.$locals.apiKey;
+  if (apiKey) {
+    if (rules.requireSession) {
+      return new ForbiddenError('Not available with an API key', { reason: 'SESSION_REQUIRED' });
+    }
+    const privileged = rules.hasRole && ROLE_RANK[rules.hasRole.role.toLowerCase()] > ROLE_RANK.user;
+    const scope = !write ? 'READ' : privileged ? 'MODERATION' : 'SUBMIT';
+    if (!apiKey.scopes.includes(scope)) {
+      return new ForbiddenError(`API key is missing the ${scope} scope`, { reason: 'MISSING_SCOPE', scope });
+    }
+  }
+
+  // Accounts are read-only until their email address (or a wallet) is confirmed
+  if (write && !rules.allowUnverified && !isIdentityConfirmed(user)) {
+    return new ForbiddenError('Email address must be verified first', { reason: 'EMAIL_NOT_VERIFIED' });
+  }
+
+  if (rules.hasRole) {
+    const { role, orOwner } = rules.hasRole;
+    const required = ROLE_RANK[role.toLowerCase()];
+    if (!(orOwner && isOwner(parent, user))) {
+      if (ROLE_RANK[user.role] < required) {
+        return new ForbiddenError();
+      }
+      // Privileges of roles that need 2FA stay locked until it is enabled
+      if (required > ROLE_RANK.user && isMissingTwoFactor(user)) {
+        return new ForbiddenError('Two-factor authentication must be enabled first', {
+          reason: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+    }
+  }
+
+  if (rules.trustLevel && !hasTrustLevel(user, rules.trustLevel.min)) {
+    return new ForbiddenError(`Requires trust level ${rules.trustLevel.min}`, {
+      reason: 'TRUST_LEVEL_REQUIRED',
+      requiredLevel: rules.trustLevel.min
+    });
+  }
+
+  if (rules.premium && !checkPremiumAccess(user)) {
+    return new ForbiddenError('Premium access required', { reason: 'PREMIUM_REQUIRED' });
+  }
+
+  return null;
+};
+
+/**
+ * Collect @auth, @hasRole, @trustLevel and @premium arguments from a schema element
+ * @param {GraphQLSchema} schema
+ * @param {Object} node Type or field config
+ * @returns {Object|null}
+ */
+const readRules = (schema, node) => {
+  const auth = getDirective(schema, node, 'auth');
+  const hasRole = getDirective(schema, node, 'hasRole');
+  const trustLevel = getDirective(schema, node, 'trustLevel');
+  const premium = getDirective(schema, node, 'premium');
+
+  if (!auth && !hasRole && !trustLevel && !premium) return null;
+  return {
+    allowUnverified: Boolean(auth && auth[0].allowUnverified),
+    requireSession: Boolean(auth && auth[0].requireSession),
+    hasRole: hasRole ? hasRole[0] : null,
+    trustLevel: trustLevel ? trustLevel[0] : null,
+    premium: Boolean(premium)
+  };
+};
+
+/**
+ * Wrap every field carrying an authorization directive, directly or through
+ * its parent type. Root operations and type-level rules raise an error;
+ * field-level rules on nullable fields hide the value instead, so one denied
+ * field doesn't fail the whole object.
+ * @param {GraphQLSchema} schema
+ * @returns {GraphQLSchema}
+ */
+const authDirectiveTransformer = (schema) => {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+      const typeRules = readRules(schema, schema.getType(typeName));
+      const fieldRules = readRules(schema, fieldConfig);
+      if (!typeRules && !fieldRules) return fieldConfig;
+
+      const hide = !typeRules && !ROOT_TYPES.includes(typeName) &&
+        !isNonNullType(fieldConfig.type);
+      const write = typeName === 'Mutation';
+
+      const check = (parent, context) => {
+        const error = (typeRules && evaluate(typeRules, parent, context.user, write)) ||
+          (fieldRules && evaluate(fieldRules, parent, context.user, write));
+        if (error && !hide) throw error;
+        return !error;
+      };
+
+      const { resolve = defaultFieldResolver, subscribe } = fieldConfig;
+
+      return {
+        ...fieldConfig,
+        resolve: (parent, args, context, info) => {
+          if (!check(parent, context)) return null;
+          return resolve(parent, args, context, info);
+        },
+        ...(subscribe && {
+          subscribe: (parent, args, context, info) => {
+            check(parent, context);
+            return subscribe(parent, args, context, info);
+          }
+        })
+      };
+    }
+  });
+};
+
+module.exports = { authDirectiveTransformer };
@@ -0,0 +1,78 @@
+const DataLoader = require('dataloader');
+const User = require('../models/User');
+const RugCoinTombstone = require('../models/RugCoinTombstone');
+const WarningSign = require('../models/WarningSign');
+const rugCoinService = require('../services/rugCoinService');
+const insiderService = require('../services/insiderService');
+const { normaliseAddress } = require('../src/utils/address');
+
+/**
+ * Batch load users by id, preserving key order
+ * @param {Array<string>} ids
+ * @returns {Promise<Array<Object|null>>}
+ */
+const batchUsers = async (ids) => {
+  const users = await User.find({ _id: { $in: ids } });
+  const byId = new Map(users.map(user => [user.id, user]));
+  return ids.map(id => byId.get(String(id)) || null);
+};
+
+/**
+ * Batch load tombstones by contract address. Addresses are compared in
+ * their stored, normalised form, so EVM addresses match in any case.
+ * @param {Array<string>} addresses
+ * @returns {Promise<Array<Object|null>>}
+ */
+const batchTombstonesByContract = async (addresses) => {
+  const normalised = [...new Set(addresses.map(normaliseAddress))];
+  const tombstones = await RugCoinTombstone.find({ contractAddress: { $in: normalised } });
+  const byAddress = new Map(tombstones.map(t => [t.contractAddress, t]));
+  return addresses.map(address => byAddress.get(normaliseAddress(address)) || null);
+};
+
+/**
+ * Batch load warnings by network and contract address
+ * @param {Array<Object>} keys { network, contractAddress }
+ * @returns {Promise<Array<Array>>}
+ */
+const batchWarningsByContract = async (keys) => {
+  const warnings = await WarningSign.find({
+    $or: keys.map(({ network, contractAddress }) => ({
+      blockchainNetwork: network,
+      contractAddress: normaliseAddress(contractAddress)
+    }))
+  }).sort({ createdAt: -1 });
+
+  return keys.map(({ network, contractAddress }) => warnings.filter(w =>
+    w.blockchainNetwork === network &&
+    w.contractAddress === normaliseAddress(contractAddress)
+  ));
+};
+
+/**
+ * Create a fresh set of loaders. Call once per request so cached
+ * documents never leak between callers.
+ * @returns {Object}
+ */
+const createLoaders = () => ({
+  user: new DataLoader(batchUsers, { cacheKeyFn: String }),
+  tombstoneByContract: new DataLoader(batchTombstonesByContract, {
+    cacheKeyFn: normaliseAddress
+  }),
+  warningsByContract: new DataLoader(batchWarningsByContract, {
+    cacheKeyFn: ({ network, contractAddress }) => `${network}:${normaliseAddress(contractAddress)}`
+  }),
+  relatedTombstones: new DataLoader(keys => rugCoinService.getRelatedTombstones(keys), {
+    cacheKeyFn: ({ contractAddress, deployerAddress }) =>
+      `${normaliseAddress(contractAddress)}:${normaliseAddress(deployerAddress) || ''}`
+  }),
+  // Keyed by the parent document, so the services needn't load it again
+  similarCases: new DataLoader(tombstones => rugCoinService.getSimilarCases(tombstones), {
+    cacheKeyFn: tombstone => String(tombstone._id)
+  }),
+  relatedSubmissions: new DataLoader(submissions => insiderService.getRelatedSubmissions(submissions), {
+    cacheKeyFn: submission => String(submission._id)
+  })
+});
+
+module.exports = { createLoaders };
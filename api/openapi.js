@@ -0,0 +1,269 @@
+// OpenAPI description of the read-only REST API, served at /api/v1/openapi.json
+
+const NETWORKS = ['Ethereum', 'BSC', 'Solana', 'Polygon', 'Other'];
+const VERDICTS = ['NO_KNOWN_RISK', 'CAUTION', 'DANGER', 'RUGGED'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+const jsonResponse = (description, schema) => ({
+  description,
+  headers: { ETag: { schema: { type: 'string' } } },
+  content: { 'application/json': { schema } }
+});
+
+const pageParameters = [
+  { name: 'first', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+  { name: 'after', in: 'query', description: 'endCursor of the previous page', schema: { type: 'string' } }
+];
+const networkQuery = { name: 'network', in: 'query', schema: { type: 'string', enum: NETWORKS } };
+
+const page = (item) => ({
+  type: 'object',
+  properties: {
+    data: { type: 'array', items: ref(item) },
+    totalCount: { type: 'integer' },
+    pageInfo: ref('PageInfo')
+  }
+});
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Grave Rato REST API',
+    version: '1.0.0',
+    description: 'Read-only lookups of rug pull intelligence. GET responses carry an ETag; ' +
+      'send it back in If-None-Match to receive 304 Not Modified when nothing changed.'
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/tokens/{network}/{address}': {
+      get: {
+        summary: 'Risk profile for one token, including on-chain checks',
+        parameters: [
+          { name: 'network', in: 'path', required: true, schema: { type: 'string', enum: NETWORKS } },
+          { name: 'address', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: jsonResponse('Risk profile', ref('TokenRiskProfile')),
+          304: { description: 'Not modified' },
+          400: errorResponse('Invalid network or address'),
+          429: errorResponse('Rate limit exceeded')
+        }
+      }
+    },
+    '/tokens/batch': {
+      post: {
+        summary: 'Verdicts for up to 500 addresses from stored intelligence (no on-chain checks)',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['network', 'addresses'],
+                properties: {
+                  network: { type: 'string', enum: NETWORKS },
+                  addresses: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 500 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'One result per address, in request order',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    network: { type: 'string' },
+                    results: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          contractAddress: { type: 'string' },
+                          verdict: { type: 'string', enum: VERDICTS },
+                          reasons: { type: 'array', items: ref('RiskReason') }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: errorResponse('Invalid network or addresses'),
+          429: errorResponse('Rate limit exceeded')
+        }
+      }
+    },
+    '/tombstones': {
+      get: {
+        summary: 'Rug pull tombstones, newest first',
+        parameters: [
+          networkQuery,
+          { name: 'verificationStatus', in: 'query', schema: { type: 'string', enum: ['Pending', 'Verified', 'Disputed'] } },
+          ...pageParameters
+        ],
+        responses: {
+          200: jsonResponse('Page of tombstones', page('Tombstone')),
+          304: { description: 'Not modified' },
+          400: errorResponse('Invalid parameters'),
+          429: errorResponse('Rate limit exceeded')
+        }
+      }
+    },
+    '/warnings/active': {
+      get: {
+        summary: 'Active warning signs, newest first',
+        description: 'New Critical warnings are listed once the free tier delay has passed.',
+        parameters: [
+          networkQuery,
+          { name: 'minRiskLevel', in: 'query', schema: { type: 'string', enum: ['Low', 'Medium', 'High', 'Critical'] } },
+          ...pageParameters
+        ],
+        responses: {
+          200: jsonResponse('Page of warnings', page('WarningSign')),
+          304: { description: 'Not modified' },
+          400: errorResponse('Invalid parameters'),
+          429: errorResponse('Rate limit exceeded')
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              code: { type: 'string' },
+              message: { type: 'string' },
+              fieldErrors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { field: { type: 'string' }, message: { type: 'string' } }
+                }
+              },
+              retryAfter: { type: 'integer' }
+            }
+          }
+        }
+      },
+      PageInfo: {
+        type: 'object',
+        properties: {
+          hasNextPage: { type: 'boolean' },
+          hasPreviousPage: { type: 'boolean' },
+          startCursor: { type: 'string', nullable: true },
+          endCursor: { type: 'string', nullable: true }
+        }
+      },
+      RiskReason: {
+        type: 'object',
+        properties: {
+          verdict: { type: 'string', enum: VERDICTS },
+          source: { type: 'string', enum: ['tombstone', 'warningSign', 'insiderInformation', 'onChain'] },
+          message: { type: 'string' }
+        }
+      },
+      TokenRiskProfile: {
+        type: 'object',
+        properties: {
+          network: { type: 'string' },
+          contractAddress: { type: 'string' },
+          verdict: { type: 'string', enum: VERDICTS },
+          reasons: { type: 'array', items: ref('RiskReason') },
+          tombstone: { ...ref('Tombstone'), nullable: true },
+          activeWarnings: { type: 'array', items: ref('WarningSign') },
+          insiderInformation: { type: 'array', items: ref('InsiderInformation') },
+          contract: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              isContract: { type: 'boolean' },
+              hasCode: { type: 'boolean' },
+              codeSize: { type: 'integer' },
+              risks: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          tokenInfo: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              name: { type: 'string' },
+              symbol: { type: 'string' },
+              decimals: { type: 'integer' },
+              totalSupply: { type: 'string' }
+            }
+          },
+          onChainFetchedAt: { type: 'string', format: 'date-time', nullable: true },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { section: { type: 'string' }, code: { type: 'string' }, message: { type: 'string' } }
+            }
+          }
+        }
+      },
+      Tombstone: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          projectName: { type: 'string' },
+          tokenSymbol: { type: 'string' },
+          blockchainNetwork: { type: 'string' },
+          contractAddress: { type: 'string' },
+          deployerAddress: { type: 'string' },
+          launchDate: { type: 'string', format: 'date-time' },
+          rugPullDate: { type: 'string', format: 'date-time' },
+          totalLoss: { type: 'number' },
+          affectedUsers: { type: 'integer' },
+          fraudTactics: { type: 'array', items: { type: 'string' } },
+          evidence: { type: 'array', items: { type: 'string' } },
+          verificationStatus: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      WarningSign: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          projectName: { type: 'string' },
+          tokenSymbol: { type: 'string' },
+          blockchainNetwork: { type: 'string' },
+          contractAddress: { type: 'string' },
+          riskType: { type: 'array', items: { type: 'string' } },
+          riskLevel: { type: 'string' },
+          riskScore: { type: 'number' },
+          description: { type: 'string' },
+          status: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      InsiderInformation: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          projectName: { type: 'string' },
+          blockchainNetwork: { type: 'string' },
+          contractAddress: { type: 'string' },
+          riskLevel: { type: 'string' },
+          category: { type: 'array', items: { type: 'string' } },
+          credibilityScore: { type: 'number' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,286 @@
+const {
+  GraphQLError,
+  Kind,
+  getNamedType,
+  getOperationAST,
+  getNullableType,
+  isListType,
+  isCompositeType,
+  parse,
+  validate
+} = require('graphql');
+const limits = require('../config/limits');
+const rateLimitService = require('../services/rateLimitService');
+const apiKeyService = require('../services/apiKeyService');
+const { AppError, ERROR_CODES, QueryLimitError, RateLimitError } = require('../src/utils/errors');
+
+const PAGINATION_ARGS = ['first', 'last', 'limit'];
+
+/**
+ * Read an integer argument from a field node, resolving variables
+ * @param {Object} node Field node
+ * @param {Object} variables
+ * @returns {number|null}
+ */
+const pageSizeArgument = (node, variables) => {
+  const arg = (node.arguments || []).find(a => PAGINATION_ARGS.includes(a.name.value));
+  if (!arg) return null;
+  if (arg.value.kind === Kind.INT) return parseInt(arg.value.value, 10);
+  if (arg.value.kind === Kind.VARIABLE) return variables[arg.value.name.value] ?? null;
+  return null;
+};
+
+/**
+ * Measure depth, complexity and alias count of a selection set.
+ * Each field costs 1; paginated and list fields multiply the cost of their
+ * children by the requested (or assumed) page size.
+ * @param {Object} selectionSet
+ * @param {GraphQLObjectType} parentType
+ * @param {Object} ctx schema, fragments, variables
+ * @returns {{depth: number, complexity: number, aliases: number}}
+ */
+const measure = (selectionSet, parentType, ctx) => {
+  const result = { depth: 0, complexity: 0, aliases: 0 };
+  if (!selectionSet) return result;
+
+  const merge = (child, depthOffset = 0) => {
+    result.depth = Math.max(result.depth, child.depth + depthOffset);
+    result.complexity += child.complexity;
+    result.aliases += child.aliases;
+  };
+
+  selectionSet.selections.forEach(selection => {
+    if (selection.kind === Kind.FIELD) {
+      const name = selection.name.value;
+      // Introspection is cheap and validated elsewhere
+      if (name.startsWith('__')) return;
+
+      const fieldDef = parentType && parentType.getFields ? parentType.getFields()[name] : null;
+      const fieldType = fieldDef ? fieldDef.type : null;
+      const namedType = fieldType ? getNamedType(fieldType) : null;
+
+      let multiplier = 1;
+      const requested = pageSizeArgument(selection, ctx.variables);
+      const paginated = fieldDef && fieldDef.args.some(a => PAGINATION_ARGS.includes(a.name));
+      if (paginated) {
+        multiplier = requested ?? limits.query.defaultListSize;
+      } else if (fieldType && isListType(getNullableType(fieldType)) &&
+        !(parentType && parentType.name.endsWith('Connection'))) {
+        multiplier = limits.query.defaultListSize;
+      }
+
+      const child = measure(
+        selection.selectionSet,
+        namedType && isCompositeType(namedType) ? namedType : null,
+        ctx
+      );
+
+      result.depth = Math.max(result.depth, child.depth + 1);
+      result.complexity += 1 + child.complexity * Math.max(multiplier, 1);
+      result.aliases += child.aliases + (selection.alias ? 1 : 0);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition
+        ? ctx.schema.getType(selection.typeCondition.name.value)
+        : parentType;
+      merge(measure(selection.selectionSet, type, ctx));
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = ctx.fragments[selection.name.value];
+      if (!fragment) return;
+      merge(measure(
+        fragment.selectionSet,
+        ctx.schema.getType(fragment.typeCondition.name.value),
+        ctx
+      ));
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Fragment definitions of a document by name
+ * @param {DocumentNode} document
+ * @returns {Object}
+ */
+const fragmentsOf = (document) => {
+  const fragments = {};
+  document.definitions
+    .filter(def => def.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(def => {
+      fragments[def.name.value] = def;
+    });
+  return fragments;
+};
+
+/**
+ * Analyze an operation against the schema
+ * @param {GraphQLSchema} schema
+ * @param {DocumentNode} document
+ * @param {OperationDefinitionNode} operation
+ * @param {Object} variables
+ * @returns {{depth: number, complexity: number, aliases: number}}
+ */
+const analyzeOperation = (schema, document, operation, variables = {}) => {
+  const fragments = fragmentsOf(document);
+
+  return measure(operation.selectionSet, schema.getRootType(operation.operation), {
+    schema,
+    fragments,
+    variables
+  });
+};
+
+/**
+ * Count the auth mutations an operation runs. Aliased copies count
+ * separately, and fragments at the root are followed.
+ * @param {DocumentNode} document
+ * @param {OperationDefinitionNode} operation
+ * @returns {number}
+ */
+const countAuthMutations = (document, operation) => {
+  if (operation.operation !== 'mutation') return 0;
+
+  const { authMutations } = limits.rateLimit;
+  const fragments = fragmentsOf(document);
+  const visited = new Set();
+
+  const count = (selectionSet) => selectionSet.selections.reduce((total, selection) => {
+    if (selection.kind === Kind.FIELD) {
+      return total + (authMutations.includes(selection.name.value) ? 1 : 0);
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) return total + count(selection.selectionSet);
+
+    // Fragment cycles are rejected by validation; visited guards against them anyway
+    const fragment = fragments[selection.name.value];
+    if (!fragment || visited.has(fragment)) return total;
+    visited.add(fragment);
+    const fragmentTotal = count(fragment.selectionSet);
+    visited.delete(fragment);
+    return total + fragmentTotal;
+  }, 0);
+
+  return count(operation.selectionSet);
+};
+
+/**
+ * Charge the request against the caller's rate limit buckets. The auth
+ * bucket is charged once per auth mutation in the operation.
+ * @param {DocumentNode} document
+ * @param {OperationDefinitionNode} operation
+ * @param {Object} context
+ */
+const enforceRateLimits = async (document, operation, context) => {
+  const { buckets } = limits.rateLimit;
+  const checks = [];
+
+  const authMutations = countAuthMutations(document, operation);
+  if (authMutations > 0) checks.push(['auth', `auth:${context.ip}`, authMutations]);
+  checks.push(['ip', `ip:${context.ip}`, 1]);
+  if (context.user) checks.push(['user', `user:${context.user.id}`, 1]);
+
+  // Waiting never lets an operation cost more than a full bucket holds
+  checks.forEach(([bucket, , cost]) => {
+    const { capacity } = buckets[bucket];
+    if (cost > capacity) {
+      throw new QueryLimitError(`Operation costs ${cost} ${bucket} rate limit tokens, limit is ${capacity}`,
+        ERROR_CODES.QUERY_TOO_COMPLEX, { bucket, cost, capacity });
+    }
+  });
+
+  for (const [bucket, key, cost] of checks) {
+    const result = await rateLimitService.consume(key, buckets[bucket], cost);
+    if (!result.allowed) {
+      throw new RateLimitError(bucket, result.retryAfter);
+    }
+  }
+
+  // Requests made with an API key also count against its monthly quota
+  const apiKey = context.user && context.user.$locals && context.user.$locals.apiKey;
+  if (apiKey) await apiKeyService.recordUsage(apiKey, context.user);
+};
+
+/**
+ * Enforce depth, complexity and alias limits followed by per-IP, per-user and
+ * auth mutation rate limits and API key quotas
+ * @param {GraphQLSchema} schema
+ * @param {DocumentNode} document
+ * @param {OperationDefinitionNode} operation
+ * @param {Object} variables
+ * @param {Object} context
+ */
+const enforceQueryLimits = async (schema, document, operation, variables, context) => {
+  const { maxDepth, maxComplexity, maxAliases } = limits.query;
+  const cost = analyzeOperation(schema, document, operation, variables);
+
+  if (cost.depth > maxDepth) {
+    throw new QueryLimitError(`Query depth ${cost.depth} exceeds limit of ${maxDepth}`,
+      ERROR_CODES.QUERY_TOO_DEEP, { depth: cost.depth, maxDepth });
+  }
+  if (cost.aliases > maxAliases) {
+    throw new QueryLimitError(`Query uses ${cost.aliases} aliases, limit is ${maxAliases}`,
+      ERROR_CODES.TOO_MANY_ALIASES, { aliases: cost.aliases, maxAliases });
+  }
+  if (cost.complexity > maxComplexity) {
+    throw new QueryLimitError(`Query complexity ${cost.complexity} exceeds limit of ${maxComplexity}`,
+      ERROR_CODES.QUERY_TOO_COMPLEX, { complexity: cost.complexity, maxComplexity });
+  }
+
+  await enforceRateLimits(document, operation, context);
+};
+
+/**
+ * Apollo plugin applying enforceQueryLimits to every HTTP request
+ * @returns {Object}
+ */
+const queryLimitsPlugin = () => ({
+  async requestDidStart() {
+    return {
+      async didResolveOperation({ request, document, operation, schema, contextValue }) {
+        await enforceQueryLimits(schema, document, operation, request.variables, contextValue);
+      }
+    };
+  }
+});
+
+/**
+ * graphql-ws onSubscribe hook applying enforceQueryLimits to operations sent
+ * over WebSocket, which Apollo plugins never see
+ * @param {GraphQLSchema} schema
+ * @param {Function} buildContext Builds the context from the graphql-ws context
+ * @returns {Function}
+ */
+const subscriptionLimits = (schema, buildContext) => async (ctx, message) => {
+  const { query, variables = {}, operationName } = message.payload;
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return [error];
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length) return validationErrors;
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) return [new GraphQLError('Unable to identify operation')];
+
+  const contextValue = await buildContext(ctx);
+  try {
+    await enforceQueryLimits(schema, document, operation, variables, contextValue);
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    // The http extension only means something to the HTTP transport
+    const { http, ...extensions } = error.extensions;
+    return [new GraphQLError(error.message, { extensions })];
+  }
+
+  return { schema, document, operationName, variableValues: variables, contextValue };
+};
+
+module.exports = {
+  analyzeOperation,
+  countAuthMutations,
+  queryLimitsPlugin,
+  subscriptionLimits
+};
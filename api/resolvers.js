@@ -1,12 +1,48 @@
-const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
-const jwt = require('jsonwebtoken');
-const User = require('../src/models/User');
-const RugCoinTombstone = require('../src/models/RugCoinTombstone');
-const InsiderInformation = require('../src/models/InsiderInformation');
-const WarningSign = require('../src/models/WarningSign');
-const ChatMessage = require('../src/models/ChatMessage');
-const { pubsub } = require('../src/config/server');
+const User = require('../models/User');
+const RugCoinTombstone = require('../models/RugCoinTombstone');
+const InsiderInformation = require('../models/InsiderInformation');
+const WarningSign = require('../models/WarningSign');
+const ChatMessage = require('../models/ChatMessage');
+const rugCoinService = require('../services/rugCoinService');
+const warningService = require('../services/warningService');
+const insiderService = require('../services/insiderService');
+const searchService = require('../services/searchService');
+const riskProfileService = require('../services/riskProfileService');
+const importService = require('../services/importService');
+const webhookService = require('../services/webhookService');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
+const walletAuthService = require('../services/walletAuthService');
+const apiKeyService = require('../services/apiKeyService');
+const reputationService = require('../services/reputationService');
+const trustService = require('../services/trustService');
+const userAdminService = require('../services/userAdminService');
+const auditService = require('../services/auditService');
+const premiumService = require('../services/premiumService');
+const { withFilter } = require('graphql-subscriptions');
+const { pubsub } = require('../config/pubsub');
 const logger = require('../src/utils/logger');
+const { paginate } = require('../src/utils/pagination');
+const { checkRole, isDeleted, isEmailVerified, isSuspended, generateChallengeToken } = require('../src/utils/auth');
+const { tombstoneView, warningView } = require('../src/utils/views');
+const { normaliseAddress } = require('../src/utils/address');
+const {
+  NotFoundError,
+  DuplicateError,
+  AuthenticationError,
+  ForbiddenError,
+  ValidationError,
+  fromDatabaseError
+} = require('../src/utils/errors');
+const {
+  assertValid,
+  validateRugCoinTombstone,
+  validateWarningSign,
+  validateInsiderInformation,
+  validateTokenLookup,
+  validateRiskReportRequest
+} = require('../src/utils/validation');
 
 // Subscription triggers
 const EVENTS = {
@@ -16,60 +52,165 @@ const EVENTS = {
   CHAT_MESSAGE_UPDATED: 'CHAT_MESSAGE_UPDATED'
 };
 
-// Helper function to check authentication
-const checkAuth = (context) => {
-  const user = context.user;
-  if (!user) throw new AuthenticationError('You must be logged in');
-  return user;
+// Risk levels in ascending order of severity
+const RISK_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Webhook endpoints are scoped to their owner; admins can manage all of them
+const webhookOwner = (user) => (checkRole(user, 'admin') ? null : user.id);
+
+// Reputation and trust histories: your own by default; moderators can read anyone's
+const historyUser = (user, userId) => {
+  const target = userId || user.id;
+  if (String(target) !== String(user.id) && !checkRole(user, 'moderator')) {
+    throw new ForbiddenError('Not authorized to view this history');
+  }
+  return target;
+};
+
+// Helper function to turn a key -> count map into StatCount entries
+const toStatCounts = (map) => {
+  return Object.entries(map).map(([key, count]) => ({ key, count }));
+};
+
+// Helper function to run a write, reporting database failures as catalogue errors
+const withDatabaseErrors = async (write) => {
+  try {
+    return await write();
+  } catch (error) {
+    throw fromDatabaseError(error) || error;
+  }
+};
+
+// Helper function to load a document or fail with NOT_FOUND
+const findOrThrow = async (Model, id) => {
+  const doc = await Model.findById(id);
+  if (!doc) throw new NotFoundError(Model.modelName, id);
+  return doc;
+};
+
+// Helper function to apply a validated update or fail with NOT_FOUND
+const updateOrThrow = async (Model, id, update) => {
+  const doc = await withDatabaseErrors(() =>
+    Model.findByIdAndUpdate(id, update, { new: true, runValidators: true })
+  );
+  if (!doc) throw new NotFoundError(Model.modelName, id);
+  return doc;
 };
 
-// Helper function to check permissions
-const checkPermission = (user, requiredRole) => {
-  if (user.role !== requiredRole && user.role !== 'admin') {
-    throw new ForbiddenError('Insufficient permissions');
+// Helper function for warnings that just became Critical: free subscribers get
+// the event again once the delay is over, and webhook owners get it then
+const announceCritical = (warning, trigger, field) => {
+  const delay = premiumService.releaseDelay(warning);
+  if (delay > 0) {
+    setTimeout(() => {
+      pubsub.publish(trigger, { [field]: warning, released: true });
+    }, delay).unref();
   }
+  webhookService.emit('WARNING_CRITICAL', warningView(warning), { freeDelayMs: delay });
+};
+
+// Helper function to delete a document or fail with NOT_FOUND
+const deleteOrThrow = async (Model, id) => {
+  const doc = await Model.findByIdAndDelete(id);
+  if (!doc) throw new NotFoundError(Model.modelName, id);
+  return true;
+};
+
+// Helper function for the deprecated list queries: the nodes of a limit/offset
+// page of their connection version
+const listOf = (connectionField) => async (parent, args, context, info) => {
+  const connection = await resolvers.Query[connectionField](parent, args, context, info);
+  return connection.edges.map(edge => edge.node);
 };
 
 const resolvers = {
   Query: {
     // User queries
-    me: (_, __, context) => {
-      return checkAuth(context);
+    me: (_, __, { user }) => {
+      return user;
+    },
+    walletNonce: async () => {
+      return await walletAuthService.createNonce();
+    },
+    mySessions: async (_, __, { user }) => {
+      return await sessionService.getActiveSessions(user.id);
+    },
+    myApiKeys: async (_, __, { user }) => {
+      return await apiKeyService.listKeys(user.id);
+    },
+    apiKeyUsage: async (_, { id, months }, { user }) => {
+      return await apiKeyService.getUsage(id, user, months);
+    },
+    reputationHistory: async (_, { userId, ...args }, { user }) => {
+      const target = historyUser(user, userId);
+      return await reputationService.getHistory(target, args, { includeInsider: String(target) === String(user.id) });
+    },
+    trustSettings: async () => {
+      return await trustService.getSettings();
     },
-    user: async (_, { id }, context) => {
-      checkAuth(context);
+    trustLevelHistory: async (_, { userId, ...args }, { user }) => {
+      return await trustService.getHistory(historyUser(user, userId), args);
+    },
+    adminAuditLog: async (_, { targetId, actorId, action, ...args }) => {
+      return await auditService.getEntries({ targetId, actorId, action }, args);
+    },
+    user: async (_, { id }) => {
       return await User.findById(id);
     },
-    users: async (_, { limit = 10, offset = 0 }, context) => {
-      checkAuth(context);
-      return await User.find().limit(limit).skip(offset);
+    users: listOf('usersConnection'),
+    usersConnection: async (_, args) => {
+      return await paginate(User, {}, { ...args, sortField: 'createdAt' });
     },
 
     // RugCoinTombstone queries
     rugCoinTombstone: async (_, { id }) => {
-      return await RugCoinTombstone.findById(id)
-        .populate('verifiedBy')
-        .populate('submittedBy');
+      return await RugCoinTombstone.findById(id);
     },
-    rugCoinTombstones: async (_, { limit = 10, offset = 0, network, verificationStatus }) => {
+    rugCoinTombstones: listOf('rugCoinTombstonesConnection'),
+    rugCoinTombstonesConnection: async (_, { network, verificationStatus, ...args }) => {
       const query = {};
       if (network) query.blockchainNetwork = network;
       if (verificationStatus) query.verificationStatus = verificationStatus;
 
-      return await RugCoinTombstone.find(query)
-        .populate('verifiedBy')
-        .populate('submittedBy')
-        .limit(limit)
-        .skip(offset)
-        .sort({ createdAt: -1 });
+      return await paginate(RugCoinTombstone, query, {
+        ...args,
+        sortField: 'createdAt'
+      });
     },
     searchRugCoinTombstones: async (_, { query }) => {
-      return await RugCoinTombstone.find({
-        $or: [
-          { projectName: { $regex: query, $options: 'i' } },
-          { tokenSymbol: { $regex: query, $options: 'i' } }
-        ]
-      }).populate('verifiedBy').populate('submittedBy');
+      const results = await searchService.search(query, { types: ['TOMBSTONE'] });
+      return results.map(result => result.item);
+    },
+    projectRiskReport: async (_, { network, contractAddress, pairAddress, teamWallets, refresh }) => {
+      assertValid(validateRiskReportRequest({ network, contractAddress, pairAddress, teamWallets }));
+      const report = await rugCoinService.getRiskReport({
+        blockchainNetwork: network,
+        contractAddress,
+        pairAddress,
+        teamWallets
+      }, refresh);
+
+      return {
+        network,
+        contractAddress,
+        contract: report.contractAnalysis,
+        liquidity: report.liquidityAnalysis,
+        team: report.teamAnalysis,
+        prediction: report.riskPrediction,
+        errors: report.errors,
+        generatedAt: new Date(report.timestamp).toISOString(),
+        cached: report.cached
+      };
+    },
+    tokenRiskProfile: async (_, { network, contractAddress }, { user }) => {
+      assertValid(validateTokenLookup({ network, contractAddress }));
+      const profile = await riskProfileService.getTokenRiskProfile(network, contractAddress, user);
+
+      return {
+        ...profile,
+        contract: profile.contractAnalysis,
+        onChainFetchedAt: profile.onChainFetchedAt && new Date(profile.onChainFetchedAt).toISOString()
+      };
     },
 
     // InsiderInformation queries
@@ -78,84 +219,130 @@ const resolvers = {
       if (info) await info.incrementViews();
       return info;
     },
-    insiderInformations: async (_, { limit = 10, offset = 0, riskLevel, category }) => {
+    insiderInformations: listOf('insiderInformationsConnection'),
+    insiderInformationsConnection: async (_, { riskLevel, category, ...args }) => {
       const query = {};
       if (riskLevel) query.riskLevel = riskLevel;
       if (category) query.category = category;
 
-      return await InsiderInformation.find(query)
-        .limit(limit)
-        .skip(offset)
-        .sort({ credibilityScore: -1 });
+      return await paginate(InsiderInformation, query, {
+        ...args,
+        sortField: 'credibilityScore'
+      });
     },
     searchInsiderInformations: async (_, { query }) => {
-      return await InsiderInformation.find({
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { projectName: { $regex: query, $options: 'i' } }
-        ]
-      });
+      const results = await searchService.search(query, { types: ['INSIDER_INFORMATION'] });
+      return results.map(result => result.item);
     },
 
-    // WarningSign queries
-    warningSign: async (_, { id }) => {
-      return await WarningSign.findById(id).populate('verifiedBy');
+    // WarningSign queries. New Critical warnings reach free users after a delay.
+    warningSign: async (_, { id }, { user }) => {
+      const warning = await WarningSign.findById(id);
+      if (warning && premiumService.isEmbargoed(warning, user)) return null;
+      return warning;
     },
-    warningSigns: async (_, { limit = 10, offset = 0, riskLevel, status }) => {
-      const query = {};
+    warningSigns: listOf('warningSignsConnection'),
+    warningSignsConnection: async (_, { riskLevel, status, ...args }, { user }) => {
+      const query = premiumService.warningFilter(user);
       if (riskLevel) query.riskLevel = riskLevel;
       if (status) query.status = status;
 
-      return await WarningSign.find(query)
-        .populate('verifiedBy')
-        .limit(limit)
-        .skip(offset)
-        .sort({ 'aiAnalysis.riskScore': -1 });
+      return await paginate(WarningSign, query, {
+        ...args,
+        sortField: 'aiAnalysis.riskScore'
+      });
     },
-    activeWarningSigns: async () => {
-      return await WarningSign.find({ status: 'Active' })
-        .populate('verifiedBy')
+    activeWarningSigns: async (_, __, { user }) => {
+      return await WarningSign.find({ ...premiumService.warningFilter(user), status: 'Active' })
         .sort({ 'aiAnalysis.riskScore': -1 });
     },
 
     // ChatMessage queries
-    chatMessage: async (_, { id }) => {
-      return await ChatMessage.findById(id);
-    },
-    chatMessages: async (_, { roomId, limit = 50, offset = 0 }) => {
-      return await ChatMessage.find({ roomId, visibility: 'public' })
-        .limit(limit)
-        .skip(offset)
-        .sort({ createdAt: -1 });
+    chatMessage: async (_, { id }, { user }) => {
+      const message = await ChatMessage.findById(id);
+
+      // Only moderators can read deleted and moderated messages; premium
+      // messages need premium access
+      if (message && !checkRole(user, 'moderator') && !premiumService.canReadMessage(user, message)) {
+        return null;
+      }
+      return message;
+    },
+    chatMessages: listOf('chatMessagesConnection'),
+    chatMessagesConnection: async (_, { roomId, ...args }, { user }) => {
+      premiumService.assertRoomAccess(user, roomId);
+
+      return await paginate(ChatMessage, { ...premiumService.messageFilter(user), roomId }, {
+        ...args,
+        sortField: 'createdAt',
+        defaultSize: 50
+      });
+    },
+
+    // Search queries
+    search: async (_, { query, types, network, limit }, { user }) => {
+      return await searchService.search(query, { types, network, limit, user });
+    },
+
+    // Statistics queries
+    // Free users get a limited window of history; see config/premium.js
+    rugPullStats: async (_, { network, dateRange }, { user }) => {
+      const stats = await rugCoinService.getRugPullStats(network, premiumService.statsRange(user, dateRange));
+      return {
+        ...stats,
+        fraudTactics: toStatCounts(stats.fraudTactics),
+        timeline: toStatCounts(stats.timeline)
+      };
+    },
+    warningStats: async (_, { network, dateRange }, { user }) => {
+      const stats = await warningService.getWarningStats(premiumService.statsRange(user, dateRange), network);
+      return {
+        ...stats,
+        riskTypeDistribution: toStatCounts(stats.riskTypeDistribution),
+        riskLevelDistribution: toStatCounts(stats.riskLevelDistribution)
+      };
+    },
+    insiderStats: async (_, { network, dateRange }, { user }) => {
+      const stats = await insiderService.getSubmissionStats(premiumService.statsRange(user, dateRange), network);
+      return {
+        ...stats,
+        categoryDistribution: toStatCounts(stats.categoryDistribution),
+        riskLevelDistribution: toStatCounts(stats.riskLevelDistribution)
+      };
+    },
+
+    // Webhook queries
+    webhookEndpoints: async (_, __, { user }) => {
+      return await webhookService.listEndpoints(webhookOwner(user));
+    },
+    webhookDeliveries: async (_, { endpointId, ...args }, { user }) => {
+      return await webhookService.getDeliveries(endpointId, webhookOwner(user), args);
     }
   },
 
   Mutation: {
     // User mutations
-    register: async (_, { input }) => {
+    register: async (_, { input }, { client }) => {
       const { username, email, password } = input;
 
       // Check if user already exists
       const existingUser = await User.findOne({ $or: [{ email }, { username }] });
       if (existingUser) {
-        throw new Error('User already exists');
+        const fields = ['email', 'username'].filter(field => existingUser[field] === input[field]);
+        throw new DuplicateError('User already exists', fields);
       }
 
       // Create new user
-      const user = new User({ username, email, password });
-      await user.save();
+      const user = new User({ username, email, password, emailVerified: false });
+      await withDatabaseErrors(() => user.save());
 
-      // Generate token
-      const token = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // The account works read-only if the email can't be sent; the user can ask again
+      accountService.sendVerification(user).catch(() => {});
 
-      return { token, user };
+      return await sessionService.createSession(user, client);
     },
 
-    login: async (_, { email, password }) => {
+    login: async (_, { email, password }, { client }) => {
       // Find user
       const user = await User.findOne({ email });
       if (!user) {
@@ -168,116 +355,244 @@ const resolvers = {
         throw new AuthenticationError('Invalid credentials');
       }
 
+      // Accounts with 2FA finish logging in with completeTwoFactorLogin
+      if (user.twoFactor.enabled) {
+        return { token: null, refreshToken: null, user: null, twoFactorChallenge: generateChallengeToken(user) };
+      }
+
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
-      // Generate token
-      const token = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      return await sessionService.createSession(user, client);
+    },
+
+    walletLogin: async (_, { message, signature }, { client }) => {
+      return await walletAuthService.login(message, signature, client);
+    },
+
+    linkWallet: async (_, { message, signature }, { user }) => {
+      return await walletAuthService.linkWallet(user, message, signature);
+    },
+
+    unlinkWallet: async (_, { address }, { user }) => {
+      return await walletAuthService.unlinkWallet(user, address);
+    },
+
+    createApiKey: async (_, { input }, { user }) => {
+      return await apiKeyService.createKey(user, input);
+    },
+
+    revokeApiKey: async (_, { id }, { user }) => {
+      return await apiKeyService.revokeKey(id, user.id);
+    },
+
+    completeTwoFactorLogin: async (_, { challenge, code }, { client }) => {
+      return await twoFactorService.completeLogin(challenge, code, client);
+    },
+
+    beginTwoFactorEnrollment: async (_, __, { user }) => {
+      return await twoFactorService.beginEnrollment(user);
+    },
+
+    confirmTwoFactorEnrollment: async (_, { code }, { user }) => {
+      return await twoFactorService.confirmEnrollment(user, code);
+    },
+
+    disableTwoFactor: async (_, { code }, { user }) => {
+      await twoFactorService.disable(user, code);
+      return true;
+    },
+
+    regenerateRecoveryCodes: async (_, { code }, { user }) => {
+      return await twoFactorService.regenerateRecoveryCodes(user, code);
+    },
 
-      return { token, user };
+    refreshToken: async (_, { refreshToken }, { client }) => {
+      return await sessionService.refresh(refreshToken, client);
     },
 
-    updateUser: async (_, { id, input }, context) => {
-      const currentUser = checkAuth(context);
+    logout: async (_, __, { user }) => {
+      return await sessionService.revokeSession(user.$locals.sessionId, user.id);
+    },
+
+    logoutAllSessions: async (_, __, { user }) => {
+      await sessionService.revokeAllSessions(user.id);
+      return true;
+    },
+
+    updateUser: async (_, { id, input }, { user: currentUser }) => {
       if (currentUser.id !== id && currentUser.role !== 'admin') {
         throw new ForbiddenError('Not authorized');
       }
 
-      return await User.findByIdAndUpdate(id, input, { new: true });
+      // Saved through the document so validators and hooks run
+      const user = await findOrThrow(User, id);
+      Object.entries(input)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .forEach(([field, value]) => user.set(field, value));
+
+      // A new address has to be confirmed again
+      const emailChanged = user.isModified('email');
+      if (emailChanged) user.emailVerified = false;
+
+      await withDatabaseErrors(() => user.save());
+      if (emailChanged) accountService.sendVerification(user).catch(() => {});
+      return user;
+    },
+
+    verifyEmail: async (_, { token }) => {
+      return await accountService.verifyEmail(token);
+    },
+
+    resendVerification: async (_, __, { user }) => {
+      await accountService.resendVerification(user);
+      return true;
+    },
+
+    requestPasswordReset: async (_, { email }) => {
+      await accountService.requestPasswordReset(email);
+      return true;
     },
 
-    deleteUser: async (_, { id }, context) => {
-      const currentUser = checkAuth(context);
-      checkPermission(currentUser, 'admin');
+    resetPassword: async (_, { token, newPassword }) => {
+      await accountService.resetPassword(token, newPassword);
+      return true;
+    },
 
-      await User.findByIdAndDelete(id);
+    changePassword: async (_, { currentPassword, newPassword }, { user }) => {
+      await accountService.changePassword(user, currentPassword, newPassword);
       return true;
     },
 
+    deleteUser: async (_, { id }, { user }) => {
+      return await userAdminService.deleteUser(id, user);
+    },
+
+    setUserRole: async (_, { id, role }, { user }) => {
+      return await userAdminService.setRole(id, role.toLowerCase(), user);
+    },
+
+    suspendUser: async (_, { id, until, reason }, { user }) => {
+      return await userAdminService.suspend(id, { until, reason }, user);
+    },
+
+    banUser: async (_, { id, reason }, { user }) => {
+      return await userAdminService.ban(id, reason, user);
+    },
+
+    reinstateUser: async (_, { id, reason }, { user }) => {
+      return await userAdminService.reinstate(id, reason, user);
+    },
+
+    updateTrustSettings: async (_, { input }, { user }) => {
+      return await trustService.updateSettings(input, user);
+    },
+
     // RugCoinTombstone mutations
-    createRugCoinTombstone: async (_, { input }, context) => {
-      const user = checkAuth(context);
-      
+    createRugCoinTombstone: async (_, { input }, { user }) => {
+      assertValid(validateRugCoinTombstone(input));
+
       const tombstone = new RugCoinTombstone({
         ...input,
         submittedBy: user.id
       });
 
-      return await tombstone.save();
+      return await withDatabaseErrors(() => tombstone.save());
     },
 
-    updateRugCoinTombstone: async (_, { id, input }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
+    updateRugCoinTombstone: async (_, { id, input }) => {
+      assertValid(validateRugCoinTombstone(input));
 
-      return await RugCoinTombstone.findByIdAndUpdate(id, input, { new: true });
+      return await updateOrThrow(RugCoinTombstone, id, input);
     },
 
-    verifyRugCoinTombstone: async (_, { id, status }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
-
-      const tombstone = await RugCoinTombstone.findById(id);
+    verifyRugCoinTombstone: async (_, { id, status }, { user }) => {
+      const tombstone = await findOrThrow(RugCoinTombstone, id);
+      const wasVerified = tombstone.verificationStatus === 'Verified';
       await tombstone.updateVerificationStatus(status, user.id);
+      if (status === 'Verified' && !wasVerified) {
+        webhookService.emit('TOMBSTONE_VERIFIED', tombstoneView(tombstone));
+      }
+      await reputationService.tombstoneReviewed(tombstone, user.id);
+      return tombstone;
+    },
+
+    coVerifyRugCoinTombstone: async (_, { id }, { user }) => {
+      const tombstone = await findOrThrow(RugCoinTombstone, id);
+      if (String(tombstone.submittedBy) === user.id) {
+        throw new ForbiddenError('You can\'t co-verify your own submission');
+      }
+      if (tombstone.verificationStatus !== 'Pending') {
+        throw new ValidationError([{ field: 'id', message: 'Only pending tombstones can be co-verified' }]);
+      }
+      if (tombstone.coVerifiedBy.some(verifier => String(verifier) === user.id)) {
+        throw new ValidationError([{ field: 'id', message: 'Already co-verified' }]);
+      }
+
+      const { coVerificationsRequired } = await trustService.getSettings();
+      await tombstone.addCoVerification(user.id, coVerificationsRequired);
+      if (tombstone.verificationStatus === 'Verified') {
+        webhookService.emit('TOMBSTONE_VERIFIED', tombstoneView(tombstone));
+        await reputationService.tombstoneReviewed(tombstone, user.id);
+      }
       return tombstone;
     },
 
-    deleteRugCoinTombstone: async (_, { id }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'admin');
+    deleteRugCoinTombstone: async (_, { id }) => {
+      return await deleteOrThrow(RugCoinTombstone, id);
+    },
 
-      await RugCoinTombstone.findByIdAndDelete(id);
-      return true;
+    importRugCoinTombstones: async (_, { format, content, dryRun }, { user }) => {
+      return await importService.importRugCoinTombstones(content, {
+        format,
+        dryRun,
+        submittedBy: user.id
+      });
     },
 
     // InsiderInformation mutations
-    submitInsiderInformation: async (_, { input }, context) => {
-      const user = checkAuth(context);
-      
+    submitInsiderInformation: async (_, { input }, { user }) => {
+      assertValid(validateInsiderInformation(input));
+
       const info = new InsiderInformation({
         ...input,
         submissionHash: Math.random().toString(36).substring(2),
-        encryptedSubmitterInfo: 'encrypted_data' // TODO: Implement actual encryption
+        encryptedSubmitterInfo: await reputationService.encodeSubmitter(user.id)
       });
 
-      return await info.save();
+      return await withDatabaseErrors(() => info.save());
     },
 
-    verifyInsiderInformation: async (_, { id, status, note }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
-
-      const info = await InsiderInformation.findById(id);
+    verifyInsiderInformation: async (_, { id, status, note }, { user }) => {
+      const info = await findOrThrow(InsiderInformation, id);
       await info.updateVerificationStatus(status, user.id, note);
+      webhookService.emit('CONTENT_MODERATED', {
+        contentType: 'InsiderInformation',
+        id: info.id,
+        status
+      });
+      await reputationService.insiderReviewed(info, user.id);
       return info;
     },
 
-    updateInsiderInformation: async (_, { id, input }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
+    updateInsiderInformation: async (_, { id, input }) => {
+      assertValid(validateInsiderInformation(input));
 
-      return await InsiderInformation.findByIdAndUpdate(id, input, { new: true });
+      return await updateOrThrow(InsiderInformation, id, input);
     },
 
-    deleteInsiderInformation: async (_, { id }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'admin');
-
-      await InsiderInformation.findByIdAndDelete(id);
-      return true;
+    deleteInsiderInformation: async (_, { id }) => {
+      return await deleteOrThrow(InsiderInformation, id);
     },
 
     // WarningSign mutations
-    createWarningSign: async (_, { input }, context) => {
-      const user = checkAuth(context);
-      
+    createWarningSign: async (_, { input }, { user }) => {
+      assertValid(validateWarningSign(input));
+
       const warning = new WarningSign({
         ...input,
+        reportedBy: user.id,
         aiAnalysis: {
           riskScore: 0,
           confidence: 0,
@@ -286,46 +601,58 @@ const resolvers = {
         }
       });
 
-      const savedWarning = await warning.save();
+      const savedWarning = await withDatabaseErrors(() => warning.save());
       pubsub.publish(EVENTS.WARNING_SIGN_CREATED, { warningSignCreated: savedWarning });
+      if (savedWarning.riskLevel === 'Critical') {
+        announceCritical(savedWarning, EVENTS.WARNING_SIGN_CREATED, 'warningSignCreated');
+      }
       return savedWarning;
     },
 
-    updateWarningSign: async (_, { id, input }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
+    // Saved rather than updated in place so an escalation records criticalAt
+    updateWarningSign: async (_, { id, input }) => {
+      assertValid(validateWarningSign(input));
+
+      const warning = await findOrThrow(WarningSign, id);
+      const wasCritical = warning.riskLevel === 'Critical';
+      warning.set(input);
+      await withDatabaseErrors(() => warning.save());
 
-      const warning = await WarningSign.findByIdAndUpdate(id, input, { new: true });
       pubsub.publish(EVENTS.WARNING_SIGN_UPDATED, { warningSignUpdated: warning });
+      if (!wasCritical && warning.riskLevel === 'Critical') {
+        announceCritical(warning, EVENTS.WARNING_SIGN_UPDATED, 'warningSignUpdated');
+      }
       return warning;
     },
 
-    resolveWarningSign: async (_, { id, resolution }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
-
-      const warning = await WarningSign.findById(id);
+    resolveWarningSign: async (_, { id, resolution }, { user }) => {
+      const warning = await findOrThrow(WarningSign, id);
       await warning.resolveWarning(user.id, resolution);
+      await reputationService.warningClosed(warning, user.id);
       pubsub.publish(EVENTS.WARNING_SIGN_UPDATED, { warningSignUpdated: warning });
       return warning;
     },
 
-    markWarningSignAsFalseAlarm: async (_, { id, explanation }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
-
-      const warning = await WarningSign.findById(id);
+    markWarningSignAsFalseAlarm: async (_, { id, explanation }, { user }) => {
+      const warning = await findOrThrow(WarningSign, id);
       await warning.markAsFalseAlarm(user.id, explanation);
+      await reputationService.warningClosed(warning, user.id);
       pubsub.publish(EVENTS.WARNING_SIGN_UPDATED, { warningSignUpdated: warning });
       return warning;
     },
 
+    // Imported warnings are historical, so subscribers aren't notified
+    importWarningSigns: async (_, { format, content, dryRun }) => {
+      return await importService.importWarningSigns(content, { format, dryRun });
+    },
+
     // ChatMessage mutations
-    sendChatMessage: async (_, { input }, context) => {
-      const user = checkAuth(context);
-      
+    sendChatMessage: async (_, { input: { premiumOnly, ...input } }, { user }) => {
+      trustService.assertCanPost(user, input.content);
+
       const message = new ChatMessage({
         ...input,
+        visibility: premiumService.messageVisibility(user, input.roomId, premiumOnly),
         sender: {
           userId: user.id,
           anonymous: input.anonymous || false,
@@ -333,66 +660,212 @@ const resolvers = {
         }
       });
 
-      const savedMessage = await message.save();
-      pubsub.publish(EVENTS.CHAT_MESSAGE_SENT, {
-        chatMessageSent: savedMessage,
-        roomId: input.roomId
+      const savedMessage = await withDatabaseErrors(() => message.save());
+      pubsub.publish(`${EVENTS.CHAT_MESSAGE_SENT}.${input.roomId}`, {
+        chatMessageSent: savedMessage
       });
       return savedMessage;
     },
 
-    reactToChatMessage: async (_, { id, reactionType }, context) => {
-      const user = checkAuth(context);
-      
-      const message = await ChatMessage.findById(id);
+    reactToChatMessage: async (_, { id, reactionType }, { user }) => {
+      const message = await findOrThrow(ChatMessage, id);
       await message.addReaction(user.id, reactionType);
-      pubsub.publish(EVENTS.CHAT_MESSAGE_UPDATED, {
-        chatMessageUpdated: message,
-        roomId: message.roomId
+      if (reactionType === 'likes') await reputationService.messageLiked(message, user);
+      pubsub.publish(`${EVENTS.CHAT_MESSAGE_UPDATED}.${message.roomId}`, {
+        chatMessageUpdated: message
       });
       return message;
     },
 
-    flagChatMessage: async (_, { id, reason }, context) => {
-      const user = checkAuth(context);
-      
-      const message = await ChatMessage.findById(id);
-      await message.flagMessage(user.id, reason);
-      pubsub.publish(EVENTS.CHAT_MESSAGE_UPDATED, {
-        chatMessageUpdated: message,
-        roomId: message.roomId
+    flagChatMessage: async (_, { id, reason }, { user }) => {
+      const message = await findOrThrow(ChatMessage, id);
+      await message.flagMessage(user.id, reason, trustService.flagWeight(user));
+      pubsub.publish(`${EVENTS.CHAT_MESSAGE_UPDATED}.${message.roomId}`, {
+        chatMessageUpdated: message
       });
       return message;
     },
 
-    moderateChatMessage: async (_, { id, status, reason }, context) => {
-      const user = checkAuth(context);
-      checkPermission(user, 'moderator');
-
-      const message = await ChatMessage.findById(id);
+    moderateChatMessage: async (_, { id, status, reason }, { user }) => {
+      const message = await findOrThrow(ChatMessage, id);
       await message.moderateMessage(user.id, status, reason);
-      pubsub.publish(EVENTS.CHAT_MESSAGE_UPDATED, {
-        chatMessageUpdated: message,
-        roomId: message.roomId
+      await reputationService.messageModerated(message, user.id);
+      pubsub.publish(`${EVENTS.CHAT_MESSAGE_UPDATED}.${message.roomId}`, {
+        chatMessageUpdated: message
+      });
+      webhookService.emit('CONTENT_MODERATED', {
+        contentType: 'ChatMessage',
+        id: message.id,
+        roomId: message.roomId,
+        status,
+        reason
       });
       return message;
+    },
+
+    // Webhook mutations
+    registerWebhookEndpoint: async (_, { input }, { user }) => {
+      return await webhookService.registerEndpoint(user.id, input);
+    },
+
+    updateWebhookEndpoint: async (_, { id, input }, { user }) => {
+      return await webhookService.updateEndpoint(id, webhookOwner(user), input);
+    },
+
+    deleteWebhookEndpoint: async (_, { id }, { user }) => {
+      return await webhookService.deleteEndpoint(id, webhookOwner(user));
+    },
+
+    rotateWebhookSecret: async (_, { id }, { user }) => {
+      return await webhookService.rotateSecret(id, webhookOwner(user));
+    },
+
+    testWebhookEndpoint: async (_, { id }, { user }) => {
+      return await webhookService.sendTest(id, webhookOwner(user));
+    },
+
+    redeliverWebhook: async (_, { deliveryId }, { user }) => {
+      return await webhookService.redeliver(deliveryId, webhookOwner(user));
+    }
+  },
+
+  User: {
+    emailVerified: (user) => isEmailVerified(user),
+    twoFactorEnabled: (user) => Boolean(user.twoFactor && user.twoFactor.enabled),
+    accountStatus: (user) => {
+      if (isDeleted(user)) return 'DELETED';
+      if (!isSuspended(user)) return 'ACTIVE';
+      return user.suspension.banned ? 'BANNED' : 'SUSPENDED';
+    },
+    suspendedUntil: (user) => (isSuspended(user) && !user.suspension.banned ? user.suspension.until.toISOString() : null),
+    suspensionReason: (user) => (isSuspended(user) ? user.suspension.reason : null),
+    entitlements: (user) => premiumService.getEntitlements(user)
+  },
+
+  AdminAuditEntry: {
+    actor: async (entry, _, { loaders }) => await loaders.user.load(entry.actor),
+    target: async (entry, _, { loaders }) => (entry.target ? await loaders.user.load(entry.target) : null),
+    targetId: (entry) => entry.target
+  },
+
+  ReputationEvent: {
+    contributionPoints: (event) => event.points,
+    // Keeps insider information submitters anonymous
+    subjectId: (event) => (event.subjectType === 'InsiderInformation' ? null : event.subjectId),
+    reversal: (event) => Boolean(event.reverses)
+  },
+
+  Session: {
+    current: (session, _, { user }) => session.id === user.$locals.sessionId
+  },
+
+  RugCoinTombstone: {
+    verifiedBy: async (tombstone, _, { loaders }) => {
+      const users = await loaders.user.loadMany(tombstone.verifiedBy);
+      return users.filter(user => user && !(user instanceof Error));
+    },
+    coVerifiedBy: async (tombstone, _, { loaders }) => {
+      const users = await loaders.user.loadMany(tombstone.coVerifiedBy);
+      return users.filter(user => user && !(user instanceof Error));
+    },
+    submittedBy: async (tombstone, _, { loaders }) => {
+      return await loaders.user.load(tombstone.submittedBy);
+    },
+    similarCases: async (tombstone, _, { loaders }) => {
+      return await loaders.similarCases.load(tombstone);
+    },
+    warningSigns: async (tombstone, _, { user, loaders }) => {
+      const warnings = await loaders.warningsByContract.load({
+        network: tombstone.blockchainNetwork,
+        contractAddress: tombstone.contractAddress
+      });
+      return warnings.filter(warning => !premiumService.isEmbargoed(warning, user));
+    }
+  },
+
+  InsiderInformation: {
+    relatedSubmissions: async (info, _, { loaders }) => {
+      return await loaders.relatedSubmissions.load(info);
+    }
+  },
+
+  WarningSign: {
+    verifiedBy: async (warning, _, { loaders }) => {
+      const users = await loaders.user.loadMany(warning.verifiedBy);
+      return users.filter(user => user && !(user instanceof Error));
+    },
+    tombstone: async (warning, _, { loaders }) => {
+      return await loaders.tombstoneByContract.load(warning.contractAddress);
+    },
+    relatedTombstones: async (warning, _, { loaders }) => {
+      return await loaders.relatedTombstones.load({
+        contractAddress: warning.contractAddress,
+        deployerAddress: warning.deployerAddress
+      });
+    }
+  },
+
+  SearchResultItem: {
+    __resolveType: (item) => item.constructor.modelName
+  },
+
+  MessageSender: {
+    user: async (sender, _, { loaders }) => {
+      if (sender.anonymous) return null;
+      return await loaders.user.load(sender.userId);
     }
   },
 
   Subscription: {
     warningSignCreated: {
-      subscribe: () => pubsub.asyncIterator([EVENTS.WARNING_SIGN_CREATED])
+      subscribe: withFilter(
+        () => pubsub.asyncIterator([EVENTS.WARNING_SIGN_CREATED]),
+        ({ warningSignCreated: warning, released }, { network, minRiskLevel, contractAddresses }, { user }) => {
+          // Critical warnings are published again once free users may see them
+          if (released ? premiumService.hasAccess(user) : premiumService.isEmbargoed(warning, user)) {
+            return false;
+          }
+          if (network && warning.blockchainNetwork !== network) return false;
+          if (minRiskLevel &&
+              RISK_LEVELS.indexOf(warning.riskLevel) < RISK_LEVELS.indexOf(minRiskLevel)) {
+            return false;
+          }
+          if (contractAddresses && contractAddresses.length) {
+            return contractAddresses.some(address => normaliseAddress(address) === warning.contractAddress);
+          }
+          return true;
+        }
+      )
     },
     warningSignUpdated: {
-      subscribe: () => pubsub.asyncIterator([EVENTS.WARNING_SIGN_UPDATED])
+      subscribe: withFilter(
+        () => pubsub.asyncIterator([EVENTS.WARNING_SIGN_UPDATED]),
+        ({ warningSignUpdated: warning, released }, { id }, { user }) => {
+          if (!warning || warning.id !== id) return false;
+          // Escalations to Critical are published again once free users may see them
+          return released ? !premiumService.hasAccess(user) : !premiumService.isEmbargoed(warning, user);
+        }
+      )
     },
     chatMessageSent: {
-      subscribe: (_, { roomId }) =>
-        pubsub.asyncIterator([`${EVENTS.CHAT_MESSAGE_SENT}.${roomId}`])
+      subscribe: withFilter(
+        (_, { roomId }, { user }) => {
+          premiumService.assertRoomAccess(user, roomId);
+          return pubsub.asyncIterator([`${EVENTS.CHAT_MESSAGE_SENT}.${roomId}`]);
+        },
+        ({ chatMessageSent: message }, _, { user }) =>
+          message.visibility !== 'premium' || premiumService.hasAccess(user)
+      )
     },
     chatMessageUpdated: {
-      subscribe: (_, { roomId }) =>
-        pubsub.asyncIterator([`${EVENTS.CHAT_MESSAGE_UPDATED}.${roomId}`])
+      subscribe: withFilter(
+        (_, { roomId }, { user }) => {
+          premiumService.assertRoomAccess(user, roomId);
+          return pubsub.asyncIterator([`${EVENTS.CHAT_MESSAGE_UPDATED}.${roomId}`]);
+        },
+        ({ chatMessageUpdated: message }, _, { user }) =>
+          message.visibility !== 'premium' || premiumService.hasAccess(user)
+      )
     }
   }
 };
@@ -0,0 +1,241 @@
+const express = require('express');
+const crypto = require('crypto');
+const RugCoinTombstone = require('../models/RugCoinTombstone');
+const WarningSign = require('../models/WarningSign');
+const riskProfileService = require('../services/riskProfileService');
+const rateLimitService = require('../services/rateLimitService');
+const premiumService = require('../services/premiumService');
+const limits = require('../config/limits');
+const openapi = require('./openapi');
+const logger = require('../src/utils/logger');
+const { paginate, MAX_PAGE_SIZE } = require('../src/utils/pagination');
+const { tombstoneView, warningView, insiderView } = require('../src/utils/views');
+const { FieldErrors, assertValid, isValidAddress, validateTokenLookup } = require('../src/utils/validation');
+const {
+  ERROR_CODES,
+  HTTP_STATUS,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  toAppError
+} = require('../src/utils/errors');
+
+const NETWORKS = RugCoinTombstone.schema.path('blockchainNetwork').enumValues;
+const VERIFICATION_STATUSES = RugCoinTombstone.schema.path('verificationStatus').enumValues;
+const RISK_LEVELS = WarningSign.schema.path('riskLevel').enumValues;
+
+/**
+ * Send a JSON body with a strong ETag, answering 304 when the client's
+ * If-None-Match already matches
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} body
+ */
+const sendCacheable = (req, res, body) => {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'public, max-age=0, must-revalidate');
+  if (req.fresh) return res.status(304).end();
+
+  return res.type('application/json').send(json);
+};
+
+/**
+ * Wrap an async handler so rejections reach the error middleware
+ * @param {Function} handler
+ * @returns {Function}
+ */
+const handle = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * Largest batch lookup whose cost fits in a full per-IP bucket
+ * @returns {number}
+ */
+const maxBatchSize = () => Math.min(
+  limits.rest.maxBatchSize,
+  limits.rateLimit.buckets.ip.capacity * limits.rest.batchAddressesPerToken
+);
+
+/**
+ * Charge the request against the caller's per-IP bucket
+ * @param {Function} [costOf] Request cost, defaults to 1
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (costOf = () => 1) => handle(async (req, res, next) => {
+  const bucket = limits.rateLimit.buckets.ip;
+  const cost = costOf(req);
+  if (cost > bucket.capacity) {
+    throw new ValidationError([
+      { field: 'request', message: `Costs ${cost} rate limit tokens, more than the ${bucket.capacity} a bucket holds` }
+    ]);
+  }
+
+  const result = await rateLimitService.consume(`ip:${req.ip}`, bucket, cost);
+  res.set('RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    throw new RateLimitError('ip', result.retryAfter);
+  }
+  next();
+});
+
+/**
+ * Read cursor pagination parameters from the query string
+ * @param {Object} query
+ * @param {FieldErrors} errors
+ * @returns {Object} { first, after }
+ */
+const pageParams = (query, errors) => {
+  const first = query.first === undefined ? undefined : Number(query.first);
+  errors.check(
+    first === undefined || (Number.isInteger(first) && first >= 1 && first <= MAX_PAGE_SIZE),
+    'first',
+    `Must be a whole number between 1 and ${MAX_PAGE_SIZE}`
+  );
+  errors.check(query.after === undefined || typeof query.after === 'string', 'after', 'Must be a cursor');
+
+  return { first, after: query.after };
+};
+
+/**
+ * Shape a connection as a REST page
+ * @param {Object} connection
+ * @param {Function} view
+ * @returns {Object}
+ */
+const toPage = (connection, view) => ({
+  data: connection.edges.map(edge => view(edge.node)),
+  totalCount: connection.totalCount,
+  pageInfo: connection.pageInfo
+});
+
+/**
+ * Read-only REST surface mounted at /api/v1
+ * @returns {Router}
+ */
+const createRestRouter = () => {
+  const router = express.Router();
+
+  // Parsed here so malformed bodies reach this router's error handler
+  router.use(express.json());
+
+  // Repeated (?network=a&network=b) or nested (?network[x]=a) parameters
+  // parse to arrays and objects; every parameter takes a single value
+  router.use((req, res, next) => {
+    const errors = new FieldErrors();
+    Object.entries(req.query).forEach(([field, value]) => {
+      errors.check(typeof value === 'string', field, 'Must be a single value');
+    });
+    next(errors.errors.length ? new ValidationError(errors.errors) : undefined);
+  });
+
+  router.get('/openapi.json', (req, res) => sendCacheable(req, res, openapi));
+
+  router.get('/tokens/:network/:address', rateLimit(), handle(async (req, res) => {
+    const { network, address } = req.params;
+    assertValid(validateTokenLookup({ network, contractAddress: address }));
+
+    // Requests are anonymous, so warnings still held back are only summarised
+    const profile = await riskProfileService.getTokenRiskProfile(network, address);
+    sendCacheable(req, res, {
+      network: profile.network,
+      contractAddress: profile.contractAddress,
+      verdict: profile.verdict,
+      reasons: profile.reasons,
+      tombstone: profile.tombstone && tombstoneView(profile.tombstone),
+      activeWarnings: profile.activeWarnings.map(warningView),
+      insiderInformation: profile.insiderInformation.map(insiderView),
+      contract: profile.contractAnalysis,
+      tokenInfo: profile.tokenInfo,
+      onChainFetchedAt: profile.onChainFetchedAt && new Date(profile.onChainFetchedAt).toISOString(),
+      errors: profile.errors
+    });
+  }));
+
+  // Oversized batches are charged as the largest allowed one, then rejected
+  router.post('/tokens/batch', rateLimit(req => {
+    const count = Array.isArray(req.body && req.body.addresses) ? req.body.addresses.length : 0;
+    return Math.max(1, Math.ceil(Math.min(count, maxBatchSize()) / limits.rest.batchAddressesPerToken));
+  }), handle(async (req, res) => {
+    const { network, addresses } = req.body || {};
+    const maxSize = maxBatchSize();
+    const errors = new FieldErrors();
+
+    errors.oneOf(network, NETWORKS, 'network');
+    errors.check(
+      Array.isArray(addresses) && addresses.length >= 1 && addresses.length <= maxSize,
+      'addresses',
+      `Must be a list of 1 to ${maxSize} addresses`
+    );
+    if (Array.isArray(addresses) && addresses.length <= maxSize) {
+      addresses.forEach((address, index) => {
+        errors.check(isValidAddress(address, network), `addresses[${index}]`, `Not a valid ${network} address`);
+      });
+    }
+    assertValid(errors.errors);
+
+    const results = await riskProfileService.getStoredVerdicts(network, addresses);
+    res.json({ network, results });
+  }));
+
+  router.get('/tombstones', rateLimit(), handle(async (req, res) => {
+    const errors = new FieldErrors();
+    const { network, verificationStatus } = req.query;
+    if (network !== undefined) errors.oneOf(network, NETWORKS, 'network');
+    if (verificationStatus !== undefined) errors.oneOf(verificationStatus, VERIFICATION_STATUSES, 'verificationStatus');
+    const page = pageParams(req.query, errors);
+    assertValid(errors.errors);
+
+    const filter = {};
+    if (network) filter.blockchainNetwork = network;
+    if (verificationStatus) filter.verificationStatus = verificationStatus;
+
+    const connection = await paginate(RugCoinTombstone, filter, { ...page, sortField: 'createdAt' });
+    sendCacheable(req, res, toPage(connection, tombstoneView));
+  }));
+
+  router.get('/warnings/active', rateLimit(), handle(async (req, res) => {
+    const errors = new FieldErrors();
+    const { network, minRiskLevel } = req.query;
+    if (network !== undefined) errors.oneOf(network, NETWORKS, 'network');
+    if (minRiskLevel !== undefined) errors.oneOf(minRiskLevel, RISK_LEVELS, 'minRiskLevel');
+    const page = pageParams(req.query, errors);
+    assertValid(errors.errors);
+
+    // Requests are anonymous, so new Critical warnings appear after the free tier delay
+    const filter = { ...premiumService.warningFilter(null), status: 'Active' };
+    if (network) filter.blockchainNetwork = network;
+    if (minRiskLevel) filter.riskLevel = { $in: RISK_LEVELS.slice(RISK_LEVELS.indexOf(minRiskLevel)) };
+
+    const connection = await paginate(WarningSign, filter, { ...page, sortField: 'createdAt' });
+    sendCacheable(req, res, toPage(connection, warningView));
+  }));
+
+  router.use((req, res, next) => {
+    next(new NotFoundError('Route', `${req.method} ${req.path}`));
+  });
+
+  // Errors are returned as { error: { code, message, ...details } }
+  router.use((err, req, res, next) => {
+    const error = err.type === 'entity.parse.failed'
+      ? new ValidationError([{ field: 'body', message: 'Malformed JSON' }])
+      : toAppError(err);
+    if (error.code === ERROR_CODES.INTERNAL_SERVER_ERROR) {
+      logger.error(`REST API error: ${err.message}`);
+    }
+
+    const { code, http, ...details } = error.extensions;
+    res.status(HTTP_STATUS[code]).json({
+      error: { code, message: error.message, ...details }
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createRestRouter };
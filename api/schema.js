@@ -1,26 +1,91 @@
 const { gql } = require('graphql-tag');
 
 const typeDefs = gql`
+  # Authorization directives. On operations and types a denied caller gets an
+  # error; on nullable fields of other types the value is hidden (null).
+  # Mutations also require a verified email unless allowUnverified is set.
+  # API keys need the READ, SUBMIT or MODERATION scope matching the field, and
+  # can't use fields marked requireSession. Moderators and admins satisfy
+  # every trustLevel.
+  directive @auth(allowUnverified: Boolean = false, requireSession: Boolean = false) on OBJECT | FIELD_DEFINITION
+  directive @hasRole(role: Role!, orOwner: Boolean = false) on OBJECT | FIELD_DEFINITION
+  directive @trustLevel(min: TrustLevel!) on OBJECT | FIELD_DEFINITION
+  directive @premium on OBJECT | FIELD_DEFINITION
+
+  enum Role {
+    USER
+    MODERATOR
+    ADMIN
+  }
+
+  enum AccountStatus {
+    ACTIVE
+    SUSPENDED
+    BANNED
+    DELETED
+  }
+
+  # Reputation-based trust levels, lowest first
+  enum TrustLevel {
+    NEW
+    MEMBER
+    TRUSTED
+    HIGHLY_TRUSTED
+  }
+
   # User types
   type User {
     id: ID!
     username: String!
-    email: String!
+    email: String @hasRole(role: ADMIN, orOwner: true)
+    emailVerified: Boolean @hasRole(role: ADMIN, orOwner: true)
+    twoFactorEnabled: Boolean @hasRole(role: ADMIN, orOwner: true)
+    wallets: [Wallet!] @hasRole(role: ADMIN, orOwner: true)
     role: String!
     reputation: Int!
     contributionPoints: Int!
+    trustLevel: TrustLevel!
+    accountStatus: AccountStatus @hasRole(role: MODERATOR, orOwner: true)
+    suspendedUntil: String @hasRole(role: MODERATOR, orOwner: true)
+    suspensionReason: String @hasRole(role: MODERATOR, orOwner: true)
     isPremium: Boolean!
+    entitlements: Entitlements @hasRole(role: ADMIN, orOwner: true)
     lastLogin: String
     createdAt: String!
     updatedAt: String!
   }
 
+  # What a user can see and use. Moderators and admins see all premium content
+  # so they can moderate it, without the other premium features.
+  type Entitlements {
+    premium: Boolean!
+    # Premium chat rooms and premium-only messages
+    premiumChat: Boolean!
+    # How long after creation Critical warnings become visible
+    criticalWarningDelaySeconds: Int!
+    # Days of history the stats queries cover; null means no limit
+    statsHistoryDays: Int
+    projectRiskReports: Boolean!
+    apiKeyMonthlyQuota: Int!
+  }
+
   input UserInput {
     username: String!
     email: String!
     password: String!
   }
 
+  type Wallet {
+    address: String!
+    linkedAt: String!
+  }
+
+  # Passwords are changed with changePassword or resetPassword
+  input UpdateUserInput {
+    username: String
+    email: String
+  }
+
   # RugCoinTombstone types
   type TeamMember {
     name: String
@@ -41,6 +106,7 @@ const typeDefs = gql`
     tokenSymbol: String!
     blockchainNetwork: String!
     contractAddress: String!
+    deployerAddress: String
     launchDate: String!
     rugPullDate: String!
     totalLoss: Float!
@@ -51,7 +117,10 @@ const typeDefs = gql`
     tradingData: TradingData
     verificationStatus: String!
     verifiedBy: [User!]
+    coVerifiedBy: [User!]
     submittedBy: User!
+    similarCases: [RugCoinTombstone!]!
+    warningSigns: [WarningSign!]!
     createdAt: String!
     updatedAt: String!
   }
@@ -66,6 +135,7 @@ const typeDefs = gql`
     tokenSymbol: String!
     blockchainNetwork: String!
     contractAddress: String!
+    deployerAddress: String
     launchDate: String!
     rugPullDate: String!
     totalLoss: Float!
@@ -122,8 +192,9 @@ const typeDefs = gql`
     submissionHash: String!
     views: Int!
     likes: Int!
-    reports: [Report!]
-    moderatorNotes: [ModeratorNote!]
+    reports: [Report!] @hasRole(role: MODERATOR)
+    moderatorNotes: [ModeratorNote!] @hasRole(role: MODERATOR)
+    relatedSubmissions: [InsiderInformation!]!
     createdAt: String!
     updatedAt: String!
   }
@@ -192,15 +263,20 @@ const typeDefs = gql`
     tokenSymbol: String!
     blockchainNetwork: String!
     contractAddress: String!
+    deployerAddress: String
     riskType: [String!]!
     riskLevel: String!
+    # When riskLevel last became Critical
+    criticalAt: String
     description: String!
     evidence: Evidence!
     aiAnalysis: AIAnalysis!
     status: String!
-    notificationsSent: [Notification!]!
+    notificationsSent: [Notification!] @hasRole(role: MODERATOR)
     verifiedBy: [User!]
     resolutionDetails: ResolutionDetails
+    tombstone: RugCoinTombstone
+    relatedTombstones: [RugCoinTombstone!]!
     createdAt: String!
     updatedAt: String!
   }
@@ -210,6 +286,7 @@ const typeDefs = gql`
     tokenSymbol: String!
     blockchainNetwork: String!
     contractAddress: String!
+    deployerAddress: String
     riskType: [String!]!
     riskLevel: String!
     description: String!
@@ -256,12 +333,13 @@ const typeDefs = gql`
     userId: ID!
     anonymous: Boolean!
     reputation: Int
+    user: User
   }
 
   type MessageReactions {
     likes: [ID!]!
     dislikes: [ID!]!
-    flags: [MessageFlag!]!
+    flags: [MessageFlag!] @hasRole(role: MODERATOR)
   }
 
   type MessageFlag {
@@ -304,6 +382,8 @@ const typeDefs = gql`
     messageType: String!
     metadata: MessageMetadataInput
     anonymous: Boolean
+    # Hide the message from free users. Only premium users can set it.
+    premiumOnly: Boolean
   }
 
   input MessageMetadataInput {
@@ -314,15 +394,389 @@ const typeDefs = gql`
     evidenceUrl: String
   }
 
+  # Risk report types
+  type ContractAnalysis {
+    isContract: Boolean!
+    hasCode: Boolean!
+    codeSize: Int!
+    risks: [String!]!
+    timestamp: String!
+  }
+
+  type LiquidityAnalysis {
+    token0: String!
+    token1: String!
+    reserve0: String!
+    reserve1: String!
+    timestamp: String!
+  }
+
+  type TeamWalletActivity {
+    address: String!
+    balance: String!
+    txCount: Int!
+    recentTransactions: Int!
+    timestamp: String!
+  }
+
+  type RiskPrediction {
+    riskScore: Int!
+    confidence: Int!
+    factors: [String!]!
+    timestamp: String!
+  }
+
+  type ReportSectionError {
+    section: String!
+    # Error catalogue code, e.g. UPSTREAM_RPC_FAILED
+    code: String!
+    message: String!
+  }
+
+  type ProjectRiskReport {
+    network: String!
+    contractAddress: String!
+    contract: ContractAnalysis
+    liquidity: LiquidityAnalysis
+    team: [TeamWalletActivity!]
+    prediction: RiskPrediction
+    errors: [ReportSectionError!]!
+    generatedAt: String!
+    cached: Boolean!
+  }
+
+  # Token risk profile types
+  enum RiskVerdict {
+    NO_KNOWN_RISK
+    CAUTION
+    DANGER
+    RUGGED
+  }
+
+  type RiskReason {
+    verdict: RiskVerdict!
+    source: String!
+    message: String!
+  }
+
+  type TokenInfo {
+    name: String
+    symbol: String
+    decimals: Int
+    totalSupply: String
+  }
+
+  type TokenRiskProfile {
+    network: String!
+    contractAddress: String!
+    verdict: RiskVerdict!
+    reasons: [RiskReason!]!
+    tombstone: RugCoinTombstone
+    activeWarnings: [WarningSign!]!
+    insiderInformation: [InsiderInformation!]!
+    contract: ContractAnalysis
+    tokenInfo: TokenInfo
+    onChainFetchedAt: String
+    onChainCached: Boolean!
+    errors: [ReportSectionError!]!
+  }
+
+  # Import types
+  enum ImportFormat {
+    CSV
+    NDJSON
+  }
+
+  enum ImportRowStatus {
+    CREATED
+    UPDATED
+    REJECTED
+  }
+
+  type ImportFieldError {
+    field: String!
+    message: String!
+  }
+
+  type ImportRowResult {
+    row: Int!
+    contractAddress: String
+    status: ImportRowStatus!
+    id: ID
+    errors: [ImportFieldError!]!
+  }
+
+  type ImportReport {
+    dryRun: Boolean!
+    total: Int!
+    created: Int!
+    updated: Int!
+    rejected: Int!
+    rows: [ImportRowResult!]!
+  }
+
+  # Webhook types
+  enum WebhookEvent {
+    WARNING_CRITICAL
+    TOMBSTONE_VERIFIED
+    CONTENT_MODERATED
+  }
+
+  type WebhookEndpoint {
+    id: ID!
+    url: String!
+    description: String
+    events: [WebhookEvent!]!
+    active: Boolean!
+    secretRotatedAt: String
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  # The signing secret is only returned when it is created or rotated
+  type WebhookSecret {
+    endpoint: WebhookEndpoint!
+    secret: String!
+  }
+
+  type WebhookDeliveryAttempt {
+    at: String!
+    responseStatus: Int
+    error: String
+    durationMs: Int
+  }
+
+  type WebhookDelivery {
+    id: ID!
+    event: String!
+    payload: JSON!
+    status: String!
+    attempts: Int!
+    nextAttemptAt: String
+    deliveredAt: String
+    deadAt: String
+    attemptLog: [WebhookDeliveryAttempt!]!
+    createdAt: String!
+  }
+
+  input WebhookEndpointInput {
+    url: String
+    description: String
+    events: [WebhookEvent!]
+    active: Boolean
+  }
+
+  # Search types
+  enum SearchType {
+    TOMBSTONE
+    INSIDER_INFORMATION
+    WARNING_SIGN
+    CHAT_MESSAGE
+  }
+
+  union SearchResultItem = RugCoinTombstone | InsiderInformation | WarningSign | ChatMessage
+
+  type SearchResult {
+    score: Float!
+    matchType: String!
+    # HTML-escaped excerpt with the matched terms wrapped in <mark>
+    snippet: String
+    item: SearchResultItem!
+  }
+
+  # Statistics types
+  type StatCount {
+    key: String!
+    count: Int!
+  }
+
+  type RugPullStats {
+    totalCases: Int!
+    totalLoss: Float!
+    affectedUsers: Int!
+    fraudTactics: [StatCount!]!
+    timeline: [StatCount!]!
+  }
+
+  type WarningStats {
+    totalWarnings: Int!
+    activeWarnings: Int!
+    resolvedWarnings: Int!
+    falseAlarms: Int!
+    riskTypeDistribution: [StatCount!]!
+    riskLevelDistribution: [StatCount!]!
+    averageRiskScore: Int!
+  }
+
+  type InsiderStats {
+    totalSubmissions: Int!
+    verifiedCount: Int!
+    rejectedCount: Int!
+    pendingCount: Int!
+    averageCredibility: Int!
+    categoryDistribution: [StatCount!]!
+    riskLevelDistribution: [StatCount!]!
+  }
+
+  input DateRangeInput {
+    start: String
+    end: String
+  }
+
+  # Pagination types
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type UserEdge {
+    cursor: String!
+    node: User!
+  }
+
+  type UserConnection {
+    edges: [UserEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type RugCoinTombstoneEdge {
+    cursor: String!
+    node: RugCoinTombstone!
+  }
+
+  type RugCoinTombstoneConnection {
+    edges: [RugCoinTombstoneEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type InsiderInformationEdge {
+    cursor: String!
+    node: InsiderInformation!
+  }
+
+  type InsiderInformationConnection {
+    edges: [InsiderInformationEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type WarningSignEdge {
+    cursor: String!
+    node: WarningSign!
+  }
+
+  type WarningSignConnection {
+    edges: [WarningSignEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type ChatMessageEdge {
+    cursor: String!
+    node: ChatMessage!
+  }
+
+  type ChatMessageConnection {
+    edges: [ChatMessageEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type WebhookDeliveryEdge {
+    cursor: String!
+    node: WebhookDelivery!
+  }
+
+  type WebhookDeliveryConnection {
+    edges: [WebhookDeliveryEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type ReputationEventEdge {
+    cursor: String!
+    node: ReputationEvent!
+  }
+
+  type ReputationEventConnection {
+    edges: [ReputationEventEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type AdminAuditEntryEdge {
+    cursor: String!
+    node: AdminAuditEntry!
+  }
+
+  type AdminAuditEntryConnection {
+    edges: [AdminAuditEntryEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type TrustLevelChangeEdge {
+    cursor: String!
+    node: TrustLevelChange!
+  }
+
+  type TrustLevelChangeConnection {
+    edges: [TrustLevelChangeEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
   # Custom scalar for handling JSON data
   scalar JSON
 
   # Queries
   type Query {
     # User queries
-    me: User
-    user(id: ID!): User
-    users(limit: Int, offset: Int): [User!]!
+    me: User @auth
+    mySessions: [Session!]! @auth(requireSession: true)
+    myApiKeys: [ApiKey!]! @auth(requireSession: true)
+    apiKeyUsage(id: ID!, months: Int = 6): [ApiKeyUsagePeriod!]! @auth(requireSession: true)
+    # Defaults to the signed-in user; moderators can pass any userId, but
+    # only see insider information entries in their own history
+    reputationHistory(
+      userId: ID
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): ReputationEventConnection! @auth
+    trustSettings: TrustSettings! @auth
+    # Defaults to the signed-in user; moderators can pass any userId
+    trustLevelHistory(
+      userId: ID
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): TrustLevelChangeConnection! @auth
+    adminAuditLog(
+      targetId: ID
+      actorId: ID
+      action: AdminAction
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): AdminAuditEntryConnection! @hasRole(role: ADMIN)
+    # Nonce to put in a Sign-In with Ethereum message
+    walletNonce: String!
+    user(id: ID!): User @auth
+    users(limit: Int, offset: Int): [User!]! @auth @deprecated(reason: "Use usersConnection")
+    usersConnection(
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): UserConnection! @auth
 
     # RugCoinTombstone queries
     rugCoinTombstone(id: ID!): RugCoinTombstone
@@ -331,8 +785,25 @@ const typeDefs = gql`
       offset: Int
       network: String
       verificationStatus: String
-    ): [RugCoinTombstone!]!
-    searchRugCoinTombstones(query: String!): [RugCoinTombstone!]!
+    ): [RugCoinTombstone!]! @deprecated(reason: "Use rugCoinTombstonesConnection")
+    rugCoinTombstonesConnection(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      network: String
+      verificationStatus: String
+    ): RugCoinTombstoneConnection!
+    searchRugCoinTombstones(query: String!): [RugCoinTombstone!]! @deprecated(reason: "Use search")
+    projectRiskReport(
+      network: String!
+      contractAddress: String!
+      pairAddress: String
+      # At most 20 wallets
+      teamWallets: [String!]
+      refresh: Boolean
+    ): ProjectRiskReport! @premium
+    tokenRiskProfile(network: String!, contractAddress: String!): TokenRiskProfile!
 
     # InsiderInformation queries
     insiderInformation(id: ID!): InsiderInformation
@@ -341,26 +812,73 @@ const typeDefs = gql`
       offset: Int
       riskLevel: String
       category: String
-    ): [InsiderInformation!]!
-    searchInsiderInformations(query: String!): [InsiderInformation!]!
+    ): [InsiderInformation!]! @deprecated(reason: "Use insiderInformationsConnection")
+    insiderInformationsConnection(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      riskLevel: String
+      category: String
+    ): InsiderInformationConnection!
+    searchInsiderInformations(query: String!): [InsiderInformation!]! @deprecated(reason: "Use search")
 
     # WarningSign queries
-    warningSign(id: ID!): WarningSign
+    warningSign(id: ID!): WarningSign @auth
     warningSigns(
       limit: Int
       offset: Int
       riskLevel: String
       status: String
-    ): [WarningSign!]!
+    ): [WarningSign!]! @deprecated(reason: "Use warningSignsConnection")
+    warningSignsConnection(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      riskLevel: String
+      status: String
+    ): WarningSignConnection!
     activeWarningSigns: [WarningSign!]!
 
     # ChatMessage queries
-    chatMessage(id: ID!): ChatMessage
+    chatMessage(id: ID!): ChatMessage @auth
     chatMessages(
       roomId: String!
       limit: Int
       offset: Int
-    ): [ChatMessage!]!
+    ): [ChatMessage!]! @deprecated(reason: "Use chatMessagesConnection")
+    chatMessagesConnection(
+      roomId: String!
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): ChatMessageConnection!
+
+    # Search queries
+    search(
+      query: String!
+      types: [SearchType!]
+      network: String
+      limit: Int
+    ): [SearchResult!]!
+
+    # Statistics queries
+    rugPullStats(network: String, dateRange: DateRangeInput): RugPullStats!
+    warningStats(network: String, dateRange: DateRangeInput): WarningStats!
+    insiderStats(network: String, dateRange: DateRangeInput): InsiderStats!
+
+    # Webhook queries
+    webhookEndpoints: [WebhookEndpoint!]! @auth
+    webhookDeliveries(
+      endpointId: ID!
+      status: String
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): WebhookDeliveryConnection! @auth
   }
 
   # Mutations
@@ -368,38 +886,79 @@ const typeDefs = gql`
     # User mutations
     register(input: UserInput!): AuthPayload!
     login(email: String!, password: String!): AuthPayload!
-    updateUser(id: ID!, input: UserInput!): User!
-    deleteUser(id: ID!): Boolean!
+    walletLogin(message: String!, signature: String!): AuthPayload!
+    linkWallet(message: String!, signature: String!): User! @auth(allowUnverified: true, requireSession: true)
+    unlinkWallet(address: String!): User! @auth(requireSession: true)
+    completeTwoFactorLogin(challenge: String!, code: String!): AuthPayload!
+    refreshToken(refreshToken: String!): AuthPayload!
+    logout: Boolean! @auth(allowUnverified: true, requireSession: true)
+    logoutAllSessions: Boolean! @auth(allowUnverified: true, requireSession: true)
+    beginTwoFactorEnrollment: TwoFactorEnrollment! @auth(allowUnverified: true, requireSession: true)
+    confirmTwoFactorEnrollment(code: String!): [String!]! @auth(allowUnverified: true, requireSession: true)
+    disableTwoFactor(code: String!): Boolean! @auth(allowUnverified: true, requireSession: true)
+    regenerateRecoveryCodes(code: String!): [String!]! @auth(allowUnverified: true, requireSession: true)
+    createApiKey(input: ApiKeyInput!): ApiKeySecret! @auth(requireSession: true)
+    revokeApiKey(id: ID!): ApiKey! @auth(requireSession: true)
+    updateUser(id: ID!, input: UpdateUserInput!): User! @auth(allowUnverified: true, requireSession: true)
+    verifyEmail(token: String!): User!
+    resendVerification: Boolean! @auth(allowUnverified: true, requireSession: true)
+    requestPasswordReset(email: String!): Boolean!
+    resetPassword(token: String!, newPassword: String!): Boolean!
+    changePassword(currentPassword: String!, newPassword: String!): Boolean! @auth(allowUnverified: true, requireSession: true)
+    # Anonymises the account; its submissions keep it as their submitter
+    deleteUser(id: ID!): Boolean! @hasRole(role: ADMIN)
+    setUserRole(id: ID!, role: Role!): User! @hasRole(role: ADMIN)
+    # until is an ISO 8601 date in the future
+    suspendUser(id: ID!, until: String!, reason: String!): User! @hasRole(role: ADMIN)
+    banUser(id: ID!, reason: String!): User! @hasRole(role: ADMIN)
+    reinstateUser(id: ID!, reason: String): User! @hasRole(role: ADMIN)
+    updateTrustSettings(input: TrustSettingsInput!): TrustSettings! @hasRole(role: ADMIN)
 
     # RugCoinTombstone mutations
-    createRugCoinTombstone(input: RugCoinTombstoneInput!): RugCoinTombstone!
-    updateRugCoinTombstone(id: ID!, input: RugCoinTombstoneInput!): RugCoinTombstone!
-    verifyRugCoinTombstone(id: ID!, status: String!): RugCoinTombstone!
-    deleteRugCoinTombstone(id: ID!): Boolean!
+    createRugCoinTombstone(input: RugCoinTombstoneInput!): RugCoinTombstone! @auth
+    updateRugCoinTombstone(id: ID!, input: RugCoinTombstoneInput!): RugCoinTombstone! @hasRole(role: MODERATOR)
+    verifyRugCoinTombstone(id: ID!, status: String!): RugCoinTombstone! @hasRole(role: MODERATOR)
+    # Vouch for a pending tombstone; enough co-verifications verify it
+    coVerifyRugCoinTombstone(id: ID!): RugCoinTombstone! @trustLevel(min: HIGHLY_TRUSTED)
+    deleteRugCoinTombstone(id: ID!): Boolean! @hasRole(role: ADMIN)
+    importRugCoinTombstones(format: ImportFormat!, content: String!, dryRun: Boolean = false): ImportReport! @hasRole(role: MODERATOR)
 
     # InsiderInformation mutations
-    submitInsiderInformation(input: InsiderInformationInput!): InsiderInformation!
-    verifyInsiderInformation(id: ID!, status: String!, note: String): InsiderInformation!
-    updateInsiderInformation(id: ID!, input: InsiderInformationInput!): InsiderInformation!
-    deleteInsiderInformation(id: ID!): Boolean!
+    submitInsiderInformation(input: InsiderInformationInput!): InsiderInformation! @auth
+    verifyInsiderInformation(id: ID!, status: String!, note: String): InsiderInformation! @hasRole(role: MODERATOR)
+    updateInsiderInformation(id: ID!, input: InsiderInformationInput!): InsiderInformation! @hasRole(role: MODERATOR)
+    deleteInsiderInformation(id: ID!): Boolean! @hasRole(role: ADMIN)
 
     # WarningSign mutations
-    createWarningSign(input: WarningSignInput!): WarningSign!
-    updateWarningSign(id: ID!, input: WarningSignInput!): WarningSign!
-    resolveWarningSign(id: ID!, resolution: String!): WarningSign!
-    markWarningSignAsFalseAlarm(id: ID!, explanation: String!): WarningSign!
+    createWarningSign(input: WarningSignInput!): WarningSign! @auth
+    updateWarningSign(id: ID!, input: WarningSignInput!): WarningSign! @hasRole(role: MODERATOR)
+    resolveWarningSign(id: ID!, resolution: String!): WarningSign! @hasRole(role: MODERATOR)
+    markWarningSignAsFalseAlarm(id: ID!, explanation: String!): WarningSign! @hasRole(role: MODERATOR)
+    importWarningSigns(format: ImportFormat!, content: String!, dryRun: Boolean = false): ImportReport! @hasRole(role: MODERATOR)
 
     # ChatMessage mutations
-    sendChatMessage(input: ChatMessageInput!): ChatMessage!
-    reactToChatMessage(id: ID!, reactionType: String!): ChatMessage!
-    flagChatMessage(id: ID!, reason: String!): ChatMessage!
-    moderateChatMessage(id: ID!, status: String!, reason: String): ChatMessage!
+    sendChatMessage(input: ChatMessageInput!): ChatMessage! @auth
+    reactToChatMessage(id: ID!, reactionType: String!): ChatMessage! @auth
+    flagChatMessage(id: ID!, reason: String!): ChatMessage! @auth
+    moderateChatMessage(id: ID!, status: String!, reason: String): ChatMessage! @hasRole(role: MODERATOR)
+
+    # Webhook mutations
+    registerWebhookEndpoint(input: WebhookEndpointInput!): WebhookSecret! @auth
+    updateWebhookEndpoint(id: ID!, input: WebhookEndpointInput!): WebhookEndpoint! @auth
+    deleteWebhookEndpoint(id: ID!): Boolean! @auth
+    rotateWebhookSecret(id: ID!): WebhookSecret! @auth
+    testWebhookEndpoint(id: ID!): WebhookDelivery! @auth
+    redeliverWebhook(deliveryId: ID!): WebhookDelivery! @auth
   }
 
   # Subscriptions
   type Subscription {
     # WarningSign subscriptions
-    warningSignCreated: WarningSign!
+    warningSignCreated(
+      network: String
+      minRiskLevel: String
+      contractAddresses: [String!]
+    ): WarningSign!
     warningSignUpdated(id: ID!): WarningSign!
 
     # ChatMessage subscriptions
@@ -407,10 +966,151 @@ const typeDefs = gql`
     chatMessageUpdated(roomId: String!): ChatMessage!
   }
 
-  # Auth payload
+  # Auth payload: a short-lived access token and the refresh token that renews it.
+  # When login needs a second factor only twoFactorChallenge is set; pass it to
+  # completeTwoFactorLogin with a code to get the tokens.
   type AuthPayload {
-    token: String!
-    user: User!
+    token: String
+    refreshToken: String
+    user: User
+    twoFactorChallenge: String
+  }
+
+  # API key types
+  enum ApiKeyScope {
+    READ
+    SUBMIT
+    MODERATION
+  }
+
+  type ApiKey {
+    id: ID!
+    name: String!
+    prefix: String!
+    scopes: [ApiKeyScope!]!
+    lastUsedAt: String
+    revokedAt: String
+    createdAt: String!
+  }
+
+  # The key is only returned when it is created
+  type ApiKeySecret {
+    apiKey: ApiKey!
+    key: String!
+  }
+
+  type ApiKeyUsagePeriod {
+    period: String!
+    count: Int!
+    limit: Int!
+    remaining: Int!
+    resetsAt: String!
+  }
+
+  input ApiKeyInput {
+    name: String!
+    scopes: [ApiKeyScope!]!
+  }
+
+  # Scan provisioningUri as a QR code, then confirm with a code from the app
+  type TwoFactorEnrollment {
+    secret: String!
+    provisioningUri: String!
+  }
+
+  # A logged-in device
+  type Session {
+    id: ID!
+    userAgent: String
+    ip: String
+    createdAt: String!
+    lastUsedAt: String!
+    expiresAt: String!
+    current: Boolean!
+  }
+
+  # Reputation ledger types
+  enum ReputationReason {
+    TOMBSTONE_VERIFIED
+    TOMBSTONE_DISPUTED
+    INSIDER_VERIFIED
+    INSIDER_REJECTED
+    WARNING_CONFIRMED
+    WARNING_FALSE_ALARM
+    MESSAGE_LIKED
+    MESSAGE_MODERATED
+  }
+
+  # A change to a user's reputation and contribution points. Reversal entries
+  # undo an earlier review outcome that was changed; their amounts are negated.
+  type ReputationEvent {
+    id: ID!
+    reason: ReputationReason!
+    reputation: Int!
+    contributionPoints: Int!
+    subjectType: String!
+    subjectId: ID
+    reversal: Boolean!
+    createdAt: String!
+  }
+
+  # Trust level types
+  type TrustThreshold {
+    level: TrustLevel!
+    minReputation: Int!
+  }
+
+  type TrustSettings {
+    # Reputation needed for each level above NEW
+    thresholds: [TrustThreshold!]!
+    # Co-verifications by highly trusted users that verify a pending tombstone
+    coVerificationsRequired: Int!
+    updatedAt: String
+  }
+
+  input TrustThresholdInput {
+    level: TrustLevel!
+    minReputation: Int!
+  }
+
+  # Thresholds, when given, must list MEMBER, TRUSTED and HIGHLY_TRUSTED with
+  # increasing reputation
+  input TrustSettingsInput {
+    thresholds: [TrustThresholdInput!]
+    coVerificationsRequired: Int
+  }
+
+  # cause is REPUTATION when the user's reputation moved, THRESHOLDS when an
+  # admin changed the trust settings
+  type TrustLevelChange {
+    id: ID!
+    from: TrustLevel!
+    to: TrustLevel!
+    reputation: Int!
+    cause: String!
+    createdAt: String!
+  }
+
+  # Admin audit types
+  enum AdminAction {
+    SET_ROLE
+    SUSPEND
+    BAN
+    REINSTATE
+    DELETE_USER
+    UPDATE_TRUST_SETTINGS
+  }
+
+  # target is null once the user has been deleted; targetId remains
+  type AdminAuditEntry {
+    id: ID!
+    action: AdminAction!
+    actor: User
+    target: User
+    targetId: ID
+    reason: String
+    details: JSON
+    createdAt: String!
   }
 `;
 
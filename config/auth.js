@@ -0,0 +1,54 @@
+// Token and session settings, overridable through environment variables
+
+const int = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+module.exports = {
+  // Lifetime of access tokens (JWT), in jsonwebtoken's expiresIn format
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // Sessions, and so refresh tokens, expire after this long without a refresh
+  refreshTokenTtlMs: int('REFRESH_TOKEN_TTL_MS', 30 * 24 * 60 * 60 * 1000),
+  // Rotated refresh tokens remembered per session; presenting one revokes it
+  rotatedRefreshTokensKept: int('ROTATED_REFRESH_TOKENS_KEPT', 10),
+  resetTokenTtl: process.env.RESET_TOKEN_TTL || '1h',
+  verificationTokenTtl: process.env.VERIFICATION_TOKEN_TTL || '48h',
+
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Grave Rato',
+    // Roles that can't use their privileges until 2FA is enabled. Set
+    // TWO_FACTOR_REQUIRED_ROLES to an empty string to make 2FA optional.
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'moderator,admin')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean),
+    // Time allowed between the password and code steps of a login
+    challengeTtl: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+    // Wrong codes in a row before the account stops accepting codes for
+    // lockoutMs. Keep lockoutMs longer than challengeTtl so a lockout also
+    // outlasts every challenge issued before it.
+    maxFailedAttempts: int('TWO_FACTOR_MAX_FAILED_ATTEMPTS', 5),
+    lockoutMs: int('TWO_FACTOR_LOCKOUT_MS', 15 * 60 * 1000),
+    recoveryCodeCount: 10
+  },
+
+  // Sign-In with Ethereum (EIP-4361)
+  siwe: {
+    // Domains sign-in messages may be issued for
+    domains: (process.env.SIWE_DOMAINS || 'graverato.life,localhost:3000')
+      .split(',')
+      .map(domain => domain.trim())
+      .filter(Boolean),
+    // Ethereum, BSC and Polygon mainnets
+    chainIds: (process.env.SIWE_CHAIN_IDS || '1,56,137').split(',').map(Number),
+    // How long a nonce from walletNonce stays usable, and the oldest Issued At accepted
+    nonceTtlMs: int('SIWE_NONCE_TTL_MS', 10 * 60 * 1000)
+  },
+
+  apiKeys: {
+    maxKeysPerUser: int('API_KEY_MAX_PER_USER', 10),
+    // Requests per key per calendar month, by the owner's tier
+    monthlyQuota: {
+      free: int('API_KEY_QUOTA_FREE', 10000),
+      premium: int('API_KEY_QUOTA_PREMIUM', 1000000)
+    }
+  }
+};
@@ -0,0 +1,68 @@
+// Query cost and rate limit settings, overridable through environment variables
+
+const int = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+const float = (name, fallback) => parseFloat(process.env[name]) || fallback;
+
+module.exports = {
+  query: {
+    maxDepth: int('GRAPHQL_MAX_DEPTH', 10),
+    maxComplexity: int('GRAPHQL_MAX_COMPLEXITY', 1000),
+    maxAliases: int('GRAPHQL_MAX_ALIASES', 15),
+    // Assumed size of list fields requested without first/last/limit
+    defaultListSize: int('GRAPHQL_DEFAULT_LIST_SIZE', 10)
+  },
+
+  rateLimit: {
+    // 'memory' for a single instance, 'mongo' to share counters across instances
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+
+    // Token buckets: capacity is the burst size, refillPerSecond the sustained rate
+    buckets: {
+      ip: {
+        capacity: int('RATE_LIMIT_IP_CAPACITY', 120),
+        refillPerSecond: float('RATE_LIMIT_IP_REFILL', 2)
+      },
+      user: {
+        capacity: int('RATE_LIMIT_USER_CAPACITY', 300),
+        refillPerSecond: float('RATE_LIMIT_USER_REFILL', 5)
+      },
+      auth: {
+        capacity: int('RATE_LIMIT_AUTH_CAPACITY', 5),
+        refillPerSecond: float('RATE_LIMIT_AUTH_REFILL', 5 / 60)
+      }
+    },
+
+    // Mutations charged against the stricter auth bucket, one token per call,
+    // so aliased copies in one operation each cost a token
+    authMutations: [
+      'login',
+      'register',
+      'walletLogin',
+      'linkWallet',
+      'refreshToken',
+      'requestPasswordReset',
+      'resetPassword',
+      'changePassword',
+      'verifyEmail',
+      'resendVerification',
+      'completeTwoFactorLogin',
+      'confirmTwoFactorEnrollment',
+      'disableTwoFactor',
+      'regenerateRecoveryCodes'
+    ]
+  },
+
+  rest: {
+    // Addresses accepted by one batch lookup
+    maxBatchSize: int('REST_MAX_BATCH_SIZE', 500),
+    // Addresses covered by each rate limit token a batch lookup consumes
+    batchAddressesPerToken: int('REST_BATCH_ADDRESSES_PER_TOKEN', 50)
+  },
+
+  import: {
+    // Rows accepted by one import mutation; the CLI has no limit
+    maxRows: int('IMPORT_MAX_ROWS', 5000),
+    // JSON body size accepted on /graphql, large enough for an import file
+    maxBodySize: process.env.IMPORT_MAX_BODY_SIZE || '10mb'
+  }
+};
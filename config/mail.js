@@ -0,0 +1,12 @@
+// Outgoing mail settings, overridable through environment variables
+
+module.exports = {
+  // 'console' logs messages, 'file' writes them to outboxDir; other transports
+  // can be plugged in with mailer.setTransport(). Messages carry reset and
+  // verification tokens, so production has no default and must choose one.
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console'),
+  from: process.env.MAIL_FROM || 'Grave Rato <no-reply@graverato.life>',
+  outboxDir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox',
+  // Base URL of the web app, used for links in messages
+  appUrl: process.env.APP_URL || 'https://graverato.life'
+};
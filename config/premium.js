@@ -0,0 +1,29 @@
+// Premium tier rules, overridable through environment variables
+
+// Zero is meaningful here (no delay, no history limit), so only unset or
+// malformed variables fall back
+const int = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  chat: {
+    // Rooms only premium users can join, read or post in: every room whose id
+    // starts with roomPrefix, plus the rooms listed in PREMIUM_CHAT_ROOMS
+    roomPrefix: process.env.PREMIUM_CHAT_ROOM_PREFIX ?? 'premium:',
+    rooms: (process.env.PREMIUM_CHAT_ROOMS || '')
+      .split(',')
+      .map(room => room.trim())
+      .filter(Boolean)
+  },
+
+  // How long after creation a Critical warning reaches free users
+  criticalWarningDelayMs: int('PREMIUM_CRITICAL_WARNING_DELAY_MS', 15 * 60 * 1000),
+
+  // Days of history the stats queries cover; 0 means no limit
+  statsHistoryDays: {
+    free: int('FREE_STATS_HISTORY_DAYS', 30),
+    premium: int('PREMIUM_STATS_HISTORY_DAYS', 0)
+  }
+};
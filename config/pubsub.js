@@ -0,0 +1,7 @@
+const { PubSub } = require('graphql-subscriptions');
+
+// Shared PubSub instance for GraphQL subscriptions. Kept out of server.js so
+// resolvers can publish without a circular require.
+const pubsub = new PubSub();
+
+module.exports = { pubsub };
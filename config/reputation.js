@@ -0,0 +1,67 @@
+// Reputation awards, weighting and trust levels, overridable through environment variables
+
+// Unlike the other configs, zero is a meaningful value here (an award can be
+// switched off), so only unset or malformed variables fall back
+const int = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+const float = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Reputation and contribution points for a ledger reason, e.g.
+// REPUTATION_TOMBSTONE_VERIFIED and POINTS_TOMBSTONE_VERIFIED
+const award = (reason, reputation, points) => ({
+  reputation: int(`REPUTATION_${reason}`, reputation),
+  points: int(`POINTS_${reason}`, points)
+});
+
+module.exports = {
+  awards: {
+    TOMBSTONE_VERIFIED: award('TOMBSTONE_VERIFIED', 25, 50),
+    TOMBSTONE_DISPUTED: award('TOMBSTONE_DISPUTED', -15, 0),
+    INSIDER_VERIFIED: award('INSIDER_VERIFIED', 30, 75),
+    INSIDER_REJECTED: award('INSIDER_REJECTED', -20, 0),
+    WARNING_CONFIRMED: award('WARNING_CONFIRMED', 15, 30),
+    WARNING_FALSE_ALARM: award('WARNING_FALSE_ALARM', -10, 0),
+    // Scaled by the weight of the user who liked the message
+    MESSAGE_LIKED: award('MESSAGE_LIKED', 1, 1),
+    MESSAGE_MODERATED: award('MESSAGE_MODERATED', -10, 0)
+  },
+
+  // Likes from users below this trust level award nothing, so throwaway
+  // accounts can't farm reputation for each other
+  minLikerTrustLevel: process.env.REPUTATION_MIN_LIKER_TRUST_LEVEL || 'MEMBER',
+
+  // Weight of a user's likes: 1 + reputation / scale, clamped.
+  // With the defaults a user at 200 reputation counts double.
+  weight: {
+    scale: float('REPUTATION_WEIGHT_SCALE', 200),
+    min: float('REPUTATION_WEIGHT_MIN', 0.5),
+    max: float('REPUTATION_WEIGHT_MAX', 3)
+  },
+
+  // Chat credibility moves one point per reputationPerPoint of the sender's
+  // reputation, by at most maxAdjustment either way
+  credibility: {
+    reputationPerPoint: float('REPUTATION_PER_CREDIBILITY_POINT', 10),
+    maxAdjustment: int('REPUTATION_MAX_CREDIBILITY_ADJUSTMENT', 20)
+  },
+
+  // Starting trust settings. Admins change them at runtime with
+  // updateTrustSettings; these apply until they do.
+  trust: {
+    // Reputation needed for each level above NEW
+    thresholds: {
+      MEMBER: int('TRUST_MEMBER_REPUTATION', 10),
+      TRUSTED: int('TRUST_TRUSTED_REPUTATION', 100),
+      HIGHLY_TRUSTED: int('TRUST_HIGHLY_TRUSTED_REPUTATION', 500)
+    },
+    // Co-verifications by highly trusted users that verify a pending tombstone
+    coVerificationsRequired: int('TRUST_CO_VERIFICATIONS_REQUIRED', 3),
+    // How long each instance caches the settings
+    settingsCacheMs: int('TRUST_SETTINGS_CACHE_MS', 60 * 1000)
+  }
+};
@@ -2,59 +2,172 @@ require('dotenv').config();
 const express = require('express');
 const { ApolloServer } = require('@apollo/server');
 const { expressMiddleware } = require('@apollo/server/express4');
+const { ApolloServerPluginDrainHttpServer } = require('@apollo/server/plugin/drainHttpServer');
+const { unwrapResolverError } = require('@apollo/server/errors');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const { WebSocketServer } = require('ws');
 const http = require('http');
+const { URL } = require('url');
 const logger = require('../src/utils/logger');
+const limits = require('./limits');
 const connectDB = require('./db');
 const typeDefs = require('../api/schema');
 const resolvers = require('../api/resolvers');
 const { authenticate } = require('../src/utils/auth');
-const chatService = require('../src/services/chatService');
+const { createLoaders } = require('../api/loaders');
+const { queryLimitsPlugin, subscriptionLimits } = require('../api/queryLimits');
+const { authDirectiveTransformer } = require('../api/directives');
+const { createRestRouter } = require('../api/rest');
+const chatService = require('../services/chatService');
+const webhookService = require('../services/webhookService');
+const mailer = require('../src/utils/mailer');
+const { AppError, ERROR_CODES, toAppError } = require('../src/utils/errors');
 
 // Express app setup
 const app = express();
-app.use(express.json());
+
+// Read-only REST API for integrations
+app.use('/api/v1', createRestRouter());
+
+// Sized for import mutations, which carry a whole CSV/NDJSON file
+app.use(express.json({ limit: limits.import.maxBodySize }));
+
+// Needed behind a load balancer so per-IP rate limits see the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Create HTTP server
 const httpServer = http.createServer(app);
 
-// WebSocket server setup
-const wss = new WebSocketServer({ server: httpServer });
+// Executable schema shared by HTTP and WebSocket transports, with the
+// @auth/@hasRole/@premium directives enforced on every field
+const schema = authDirectiveTransformer(makeExecutableSchema({ typeDefs, resolvers }));
+
+// WebSocket server setup: GraphQL subscriptions on /graphql, chat everywhere else
+const wss = new WebSocketServer({ noServer: true });
 chatService.initializeWebSocket(wss);
 
-// Apollo Server setup
-const server = new ApolloServer({
-  typeDefs,
-  resolvers,
-  formatError: (error) => {
-    logger.error('GraphQL Error:', error);
-    return error;
+const subscriptionServer = new WebSocketServer({ noServer: true });
+
+httpServer.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const target = pathname === '/graphql' ? subscriptionServer : wss;
+
+  target.handleUpgrade(req, socket, head, (ws) => {
+    target.emit('connection', ws, req);
+  });
+});
+
+// Per-operation context for WebSocket operations, built from the connection
+const buildSubscriptionContext = (ctx) => ({
+  user: ctx.extra.user,
+  ip: ctx.extra.request.socket.remoteAddress,
+  client: {
+    userAgent: ctx.extra.request.headers['user-agent'],
+    ip: ctx.extra.request.socket.remoteAddress
   },
-  context: async ({ req }) => {
-    // Get the user token from the headers
-    const token = req.headers.authorization || '';
-    // Try to retrieve a user with the token
+  loaders: createLoaders()
+});
+
+// Authenticates subscription connections with the JWT from connectionParams.
+// Apollo plugins don't run here, so query and rate limits are applied on subscribe.
+const subscriptionCleanup = useServer({
+  schema,
+  onConnect: async (ctx) => {
+    const token = ctx.connectionParams?.authorization || '';
     const user = await authenticate(token);
-    return { user };
+
+    // Reject connections that present a token we can't verify
+    if (token && !user) return false;
+
+    ctx.extra.user = user;
+    return true;
   },
+  onSubscribe: subscriptionLimits(schema, buildSubscriptionContext)
+}, subscriptionServer);
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Map resolver failures onto the error catalogue. Errors outside it are logged
+// and, in production, returned without their message or stack.
+const formatError = (formattedError, error) => {
+  const original = unwrapResolverError(error);
+  if (original instanceof AppError) return formattedError;
+
+  // Parse, validation and input coercion errors raised by GraphQL itself
+  if (formattedError.extensions?.code !== ERROR_CODES.INTERNAL_SERVER_ERROR) return formattedError;
+
+  const mapped = toAppError(original);
+  const internal = mapped.code === ERROR_CODES.INTERNAL_SERVER_ERROR;
+  if (internal) logger.error('GraphQL Error:', original);
+
+  return {
+    ...formattedError,
+    message: internal && !isProduction ? formattedError.message : mapped.message,
+    extensions: isProduction
+      ? { code: mapped.code, ...mapped.extensions }
+      : { ...formattedError.extensions, ...mapped.extensions }
+  };
+};
+
+// Apollo Server setup
+const server = new ApolloServer({
+  schema,
+  plugins: [
+    queryLimitsPlugin(),
+    ApolloServerPluginDrainHttpServer({ httpServer }),
+    {
+      async serverWillStart() {
+        return {
+          async drainServer() {
+            await subscriptionCleanup.dispose();
+          }
+        };
+      }
+    }
+  ],
+  formatError
 });
 
+// Per-request context: the authenticated user and fresh DataLoaders
+const buildContext = async ({ req }) => {
+  // Get the user token from the headers
+  const token = req.headers.authorization || '';
+  // Try to retrieve a user with the token
+  const user = await authenticate(token);
+  return {
+    user,
+    ip: req.ip,
+    client: { userAgent: req.headers['user-agent'], ip: req.ip },
+    loaders: createLoaders()
+  };
+};
+
 // Start function
 const startServer = async () => {
   try {
+    // Fail now rather than on the first password reset if mail isn't set up
+    mailer.getTransport();
+
     // Connect to MongoDB
     await connectDB();
 
+    // Resume webhook deliveries left pending by a previous run
+    webhookService.start();
+
     // Start Apollo Server
     await server.start();
 
     // Apply Apollo middleware
-    app.use('/graphql', expressMiddleware(server));
+    app.use('/graphql', expressMiddleware(server, { context: buildContext }));
 
     // Start HTTP server
     const PORT = process.env.PORT || 4000;
     httpServer.listen(PORT, () => {
       logger.info(`🚀 Server ready at http://localhost:${PORT}/graphql`);
+      logger.info(`📡 Subscriptions ready at ws://localhost:${PORT}/graphql`);
       logger.info(`🔌 WebSocket server is running on ws://localhost:${PORT}`);
     });
 
@@ -67,6 +180,7 @@ const startServer = async () => {
 // Handle process termination
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  webhookService.stop();
   httpServer.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -0,0 +1,19 @@
+// Webhook delivery settings, overridable through environment variables
+
+const int = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+module.exports = {
+  // Attempts before a delivery is dead-lettered
+  maxAttempts: int('WEBHOOK_MAX_ATTEMPTS', 8),
+  // Retry delay doubles from baseDelayMs after each failure, capped at maxDelayMs
+  baseDelayMs: int('WEBHOOK_BASE_DELAY_MS', 30 * 1000),
+  maxDelayMs: int('WEBHOOK_MAX_DELAY_MS', 6 * 60 * 60 * 1000),
+  timeoutMs: int('WEBHOOK_TIMEOUT_MS', 10 * 1000),
+  // How often due retries are picked up
+  pollIntervalMs: int('WEBHOOK_POLL_INTERVAL_MS', 15 * 1000),
+  // How long the previous secret keeps signing after a rotation
+  secretRotationGraceMs: int('WEBHOOK_SECRET_GRACE_MS', 24 * 60 * 60 * 1000),
+  maxEndpointsPerUser: int('WEBHOOK_MAX_ENDPOINTS_PER_USER', 10),
+  // Loopback and private network targets, for local development only
+  allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+};
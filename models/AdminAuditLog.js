@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Record of administrative actions. Entries outlive the users they mention,
+// so deleted accounts can still be traced.
+const adminAuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['SET_ROLE', 'SUSPEND', 'BAN', 'REINSTATE', 'DELETE_USER', 'UPDATE_TRUST_SETTINGS'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User acted on, if any
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  // Action-specific values, e.g. the previous and new role
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+adminAuditLogSchema.index({ createdAt: -1, _id: -1 });
+adminAuditLogSchema.index({ target: 1, createdAt: -1, _id: -1 });
+adminAuditLogSchema.index({ actor: 1, createdAt: -1, _id: -1 });
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+module.exports = AdminAuditLog;
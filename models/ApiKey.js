@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Start of the key, shown so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Keys are only stored hashed; the key itself is shown once on creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: ['READ', 'SUBMIT', 'MODERATION']
+  }],
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ owner: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Requests made with an API key in one calendar month (UTC)
+const apiKeyUsageSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  // 'YYYY-MM'
+  period: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+apiKeyUsageSchema.index({ key: 1, period: -1 }, { unique: true });
+
+const ApiKeyUsage = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
+
+module.exports = ApiKeyUsage;
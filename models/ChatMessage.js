@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normaliseAddress } = require('../src/utils/address');
 
 const chatMessageSchema = new mongoose.Schema({
   roomId: {
@@ -19,7 +20,10 @@ const chatMessageSchema = new mongoose.Schema({
   },
   metadata: {
     projectName: String,
-    contractAddress: String,
+    contractAddress: {
+      type: String,
+      set: normaliseAddress
+    },
     blockchainNetwork: String,
     evidenceType: {
       type: String,
@@ -54,6 +58,11 @@ const chatMessageSchema = new mongoose.Schema({
         ref: 'User'
       },
       reason: String,
+      // Reputation weight of the flagger when the flag was raised
+      weight: {
+        type: Number,
+        default: 1
+      },
       timestamp: Date
     }]
   },
@@ -97,10 +106,14 @@ const chatMessageSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient querying
-chatMessageSchema.index({ roomId: 1, createdAt: -1 });
+chatMessageSchema.index({ roomId: 1, createdAt: -1, _id: -1 });
 chatMessageSchema.index({ 'sender.userId': 1 });
 chatMessageSchema.index({ visibility: 1 });
 chatMessageSchema.index({ 'moderationStatus.status': 1 });
+chatMessageSchema.index({ 'metadata.contractAddress': 1 });
+
+// Text index for ranked search
+chatMessageSchema.index({ content: 'text' });
 
 // Virtual for calculating reaction counts
 chatMessageSchema.virtual('reactionCounts').get(function() {
@@ -126,18 +139,20 @@ chatMessageSchema.methods.addReaction = async function(userId, reactionType) {
 };
 
 // Method to flag message
-chatMessageSchema.methods.flagMessage = async function(userId, reason) {
+chatMessageSchema.methods.flagMessage = async function(userId, reason, weight = 1) {
   const existingFlag = this.reactions.flags.find(flag => flag.userId.equals(userId));
   if (existingFlag) throw new Error('Message already flagged by this user');
 
   this.reactions.flags.push({
     userId,
     reason,
+    weight,
     timestamp: new Date()
   });
 
-  // Auto-moderate if flag count exceeds threshold
-  if (this.reactions.flags.length >= 5) {
+  // Auto-moderate if weighted flags exceed threshold
+  const flagWeight = this.reactions.flags.reduce((sum, flag) => sum + (flag.weight || 1), 0);
+  if (flagWeight >= 5) {
     this.visibility = 'moderated';
     this.moderationStatus.status = 'pending';
   }
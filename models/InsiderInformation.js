@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normaliseAddress } = require('../src/utils/address');
 
 const insiderInformationSchema = new mongoose.Schema({
   title: {
@@ -24,9 +25,10 @@ const insiderInformationSchema = new mongoose.Schema({
     required: true,
     enum: ['Ethereum', 'BSC', 'Solana', 'Polygon', 'Other']
   },
+  // EVM addresses are stored lowercase, see normaliseAddress
   contractAddress: {
     type: String,
-    trim: true
+    set: normaliseAddress
   },
   riskLevel: {
     type: String,
@@ -115,8 +117,16 @@ const insiderInformationSchema = new mongoose.Schema({
 // Indexes for efficient querying
 insiderInformationSchema.index({ projectName: 1, blockchainNetwork: 1 });
 insiderInformationSchema.index({ verificationStatus: 1 });
-insiderInformationSchema.index({ credibilityScore: -1 });
+insiderInformationSchema.index({ credibilityScore: -1, _id: -1 });
+insiderInformationSchema.index({ createdAt: -1 });
 insiderInformationSchema.index({ submissionHash: 1 }, { unique: true });
+insiderInformationSchema.index({ contractAddress: 1 });
+
+// Text index for ranked search
+insiderInformationSchema.index(
+  { title: 'text', projectName: 'text', content: 'text' },
+  { weights: { title: 5, projectName: 5, content: 1 } }
+);
 
 // Method to update verification status
 insiderInformationSchema.methods.updateVerificationStatus = async function(status, moderatorId, note) {
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokens: {
+    type: Number,
+    required: true
+  },
+  refilledAt: {
+    type: Date,
+    required: true
+  },
+  // Whether the most recent consume call was allowed
+  allowed: Boolean,
+  // Time at which the bucket is full again and can be dropped
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Remove idle buckets once they would have refilled completely
+rateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+module.exports = RateLimitBucket;
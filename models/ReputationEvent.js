@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Ledger of reputation and contribution point changes. User.reputation and
+// User.contributionPoints are running totals of a user's entries.
+const reputationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'TOMBSTONE_VERIFIED',
+      'TOMBSTONE_DISPUTED',
+      'INSIDER_VERIFIED',
+      'INSIDER_REJECTED',
+      'WARNING_CONFIRMED',
+      'WARNING_FALSE_ALARM',
+      'MESSAGE_LIKED',
+      'MESSAGE_MODERATED'
+    ],
+    required: true
+  },
+  reputation: {
+    type: Number,
+    default: 0
+  },
+  points: {
+    type: Number,
+    default: 0
+  },
+  // What the entry is for. The API hides subjectId on insider information
+  // entries, and only shows those entries to their owner, since their times
+  // match the reviews of the anonymous submissions.
+  subjectType: {
+    type: String,
+    enum: ['RugCoinTombstone', 'InsiderInformation', 'WarningSign', 'ChatMessage'],
+    required: true
+  },
+  subjectId: mongoose.Schema.Types.ObjectId,
+  // User whose action caused the entry
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Review outcomes replace each other: a changed decision reverses the
+  // previous outcome entry before recording the new one
+  outcome: {
+    type: Boolean,
+    default: false
+  },
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReputationEvent'
+  },
+  // Makes one-off entries, like a like from a given user, idempotent
+  key: String
+}, {
+  timestamps: true
+});
+
+reputationEventSchema.index({ user: 1, createdAt: -1, _id: -1 });
+reputationEventSchema.index({ user: 1, subjectType: 1, subjectId: 1, outcome: 1, createdAt: -1 });
+reputationEventSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+const ReputationEvent = mongoose.model('ReputationEvent', reputationEventSchema);
+
+module.exports = ReputationEvent;
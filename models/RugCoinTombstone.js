@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normaliseAddress } = require('../src/utils/address');
 
 const rugCoinTombstoneSchema = new mongoose.Schema({
   projectName: {
@@ -17,10 +18,15 @@ const rugCoinTombstoneSchema = new mongoose.Schema({
     required: true,
     enum: ['Ethereum', 'BSC', 'Solana', 'Polygon', 'Other']
   },
+  // EVM addresses are stored lowercase, see normaliseAddress
   contractAddress: {
     type: String,
     required: true,
-    trim: true
+    set: normaliseAddress
+  },
+  deployerAddress: {
+    type: String,
+    set: normaliseAddress
   },
   launchDate: {
     type: Date,
@@ -82,6 +88,11 @@ const rugCoinTombstoneSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Highly trusted users vouching for a pending tombstone
+  coVerifiedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   submittedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -104,6 +115,16 @@ rugCoinTombstoneSchema.index({ tokenSymbol: 1, blockchainNetwork: 1 }, { unique:
 rugCoinTombstoneSchema.index({ contractAddress: 1 }, { unique: true });
 rugCoinTombstoneSchema.index({ verificationStatus: 1 });
 rugCoinTombstoneSchema.index({ rugPullDate: -1 });
+rugCoinTombstoneSchema.index({ createdAt: -1, _id: -1 });
+rugCoinTombstoneSchema.index({ deployerAddress: 1 });
+rugCoinTombstoneSchema.index({ 'teamInformation.knownMembers.name': 1 });
+rugCoinTombstoneSchema.index({ evidence: 1 });
+
+// Text index for ranked search
+rugCoinTombstoneSchema.index(
+  { projectName: 'text', tokenSymbol: 'text' },
+  { weights: { projectName: 5, tokenSymbol: 10 } }
+);
 
 // Virtual for calculating time since rug pull
 rugCoinTombstoneSchema.virtual('timeSinceRugPull').get(function() {
@@ -119,6 +140,17 @@ rugCoinTombstoneSchema.methods.updateVerificationStatus = async function(status,
   await this.save();
 };
 
+// Method to add a co-verification. Enough of them verify a pending tombstone.
+rugCoinTombstoneSchema.methods.addCoVerification = async function(userId, required) {
+  if (this.coVerifiedBy.some(id => id.equals(userId))) throw new Error('Tombstone already co-verified by this user');
+
+  this.coVerifiedBy.push(userId);
+  if (this.coVerifiedBy.length >= required) {
+    this.verificationStatus = 'Verified';
+  }
+  await this.save();
+};
+
 const RugCoinTombstone = mongoose.model('RugCoinTombstone', rugCoinTombstoneSchema);
 
 module.exports = RugCoinTombstone;
\ No newline at end of file
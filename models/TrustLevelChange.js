@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const TRUST_LEVELS = ['NEW', 'MEMBER', 'TRUSTED', 'HIGHLY_TRUSTED'];
+
+// History of trust level changes
+const trustLevelChangeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from: {
+    type: String,
+    enum: TRUST_LEVELS,
+    required: true
+  },
+  to: {
+    type: String,
+    enum: TRUST_LEVELS,
+    required: true
+  },
+  // Reputation when the level changed
+  reputation: {
+    type: Number,
+    required: true
+  },
+  // REPUTATION when the user's reputation moved, THRESHOLDS when an admin
+  // changed the trust settings
+  cause: {
+    type: String,
+    enum: ['REPUTATION', 'THRESHOLDS'],
+    required: true
+  },
+  // Admin who changed the thresholds
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+trustLevelChangeSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+const TrustLevelChange = mongoose.model('TrustLevelChange', trustLevelChangeSchema);
+
+module.exports = TrustLevelChange;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Admin-managed trust settings. There is a single document, keyed 'default';
+// until it exists the defaults from config/reputation.js apply.
+const trustSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Reputation needed for each level above NEW, ascending
+  thresholds: [{
+    _id: false,
+    level: {
+      type: String,
+      enum: ['MEMBER', 'TRUSTED', 'HIGHLY_TRUSTED'],
+      required: true
+    },
+    minReputation: {
+      type: Number,
+      required: true
+    }
+  }],
+  coVerificationsRequired: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const TrustSettings = mongoose.model('TrustSettings', trustSettingsSchema);
+
+module.exports = TrustSettings;
@@ -10,19 +10,38 @@ const userSchema = new mongoose.Schema({
     minlength: 3,
     maxlength: 30
   },
+  // Email and password are optional for accounts that sign in with a wallet
   email: {
     type: String,
-    required: true,
+    required: function() { return !this.wallets.length && !this.deletedAt; },
     unique: true,
+    sparse: true,
     trim: true,
     lowercase: true,
     match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // false until the address is confirmed. Accounts created before verification
+  // existed have no value and are treated as verified.
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
   password: {
     type: String,
-    required: true,
+    required: function() { return !this.wallets.length && !this.deletedAt; },
     minlength: 8
   },
+  // Ethereum addresses proven through Sign-In with Ethereum, stored lowercase
+  wallets: [{
+    _id: false,
+    address: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   role: {
     type: String,
     enum: ['user', 'moderator', 'admin'],
@@ -36,10 +55,60 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Derived from reputation by trustService; changes are recorded in TrustLevelChange
+  trustLevel: {
+    type: String,
+    enum: ['NEW', 'MEMBER', 'TRUSTED', 'HIGHLY_TRUSTED'],
+    default: 'NEW'
+  },
+  // Set by suspendUser and banUser, cleared by reinstateUser. A ban is a
+  // suspension without an end.
+  suspension: {
+    banned: Boolean,
+    until: Date,
+    reason: String,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    suspendedAt: Date
+  },
+  // Set by deleteUser. Deleted accounts are kept, anonymised, so their
+  // submissions still have a submitter; they can't sign in.
+  deletedAt: Date,
   isPremium: {
     type: Boolean,
     default: false
   },
+  // TOTP two-factor authentication. Secrets are encrypted; recovery codes
+  // are stored as hashes and removed once used.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: Number,
+    // Wrong codes in a row, and the lockout they lead to
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -56,6 +125,11 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for cursor pagination
+userSchema.index({ createdAt: -1, _id: -1 });
+// A wallet belongs to at most one account
+userSchema.index({ 'wallets.address': 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -71,6 +145,7 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password for login
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
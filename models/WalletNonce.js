@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Nonces handed out for Sign-In with Ethereum messages. Each is deleted when
+// used, and MongoDB removes unused ones once they expire.
+const walletNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+walletNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WalletNonce = mongoose.model('WalletNonce', walletNonceSchema);
+
+module.exports = WalletNonce;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normaliseAddress } = require('../src/utils/address');
 
 const warningSignSchema = new mongoose.Schema({
   projectName: {
@@ -17,10 +18,15 @@ const warningSignSchema = new mongoose.Schema({
     required: true,
     enum: ['Ethereum', 'BSC', 'Solana', 'Polygon', 'Other']
   },
+  // EVM addresses are stored lowercase, see normaliseAddress
   contractAddress: {
     type: String,
     required: true,
-    trim: true
+    set: normaliseAddress
+  },
+  deployerAddress: {
+    type: String,
+    set: normaliseAddress
   },
   riskType: [{
     type: String,
@@ -41,6 +47,8 @@ const warningSignSchema = new mongoose.Schema({
     enum: ['Low', 'Medium', 'High', 'Critical'],
     default: 'Medium'
   },
+  // When riskLevel last became Critical; the free tier delay counts from here
+  criticalAt: Date,
   description: {
     type: String,
     required: true,
@@ -102,6 +110,10 @@ const warningSignSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   resolutionDetails: {
     resolvedAt: Date,
     resolvedBy: {
@@ -127,7 +139,25 @@ warningSignSchema.index({ projectName: 1, blockchainNetwork: 1 });
 warningSignSchema.index({ contractAddress: 1 });
 warningSignSchema.index({ riskLevel: 1 });
 warningSignSchema.index({ status: 1 });
-warningSignSchema.index({ 'aiAnalysis.riskScore': -1 });
+warningSignSchema.index({ 'aiAnalysis.riskScore': -1, _id: -1 });
+warningSignSchema.index({ createdAt: -1 });
+warningSignSchema.index({ status: 1, createdAt: -1, _id: -1 });
+warningSignSchema.index({ deployerAddress: 1 });
+warningSignSchema.index({ 'evidence.onChainData.transactionHash': 1 });
+
+// Text index for ranked search
+warningSignSchema.index(
+  { projectName: 'text', tokenSymbol: 'text', description: 'text' },
+  { weights: { projectName: 5, tokenSymbol: 10, description: 1 } }
+);
+
+// Record when the warning becomes Critical, and forget it once it isn't
+warningSignSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('riskLevel')) {
+    this.criticalAt = this.riskLevel === 'Critical' ? this.criticalAt || new Date() : undefined;
+  }
+  next();
+});
 
 // Method to update risk level based on new evidence
 warningSignSchema.methods.updateRiskLevel = async function(newEvidence) {
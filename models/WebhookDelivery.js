@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending until delivered; dead once every attempt has failed (dead letter)
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+  deadAt: Date,
+  attemptLog: [{
+    at: Date,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1, _id: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
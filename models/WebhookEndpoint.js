@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const webhookEndpointSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  events: [{
+    type: String,
+    enum: ['WARNING_CRITICAL', 'TOMBSTONE_VERIFIED', 'CONTENT_MODERATED']
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Signing secrets are stored encrypted and never returned after creation
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Previous secret, still used to sign until expiresAt after a rotation
+  previousSecret: {
+    secret: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  secretRotatedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.index({ owner: 1 });
+webhookEndpointSchema.index({ events: 1, active: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+module.exports = WebhookEndpoint;
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const importService = require('../services/importService');
+
+const USAGE = `Usage: node scripts/import.js <tombstones|warnings> <file> [options]
+
+Options:
+  --format <csv|ndjson>     File format (default: from the file extension)
+  --dry-run                 Validate and report without writing
+  --submitted-by <userId>   User recorded as submitter of new tombstones (required for tombstones)
+  --report <file>           Write the full per-row report as JSON
+
+CSV files need a header row. Nested fields use dotted column names
+(e.g. teamInformation.anonymous) and list cells separate items with "|".`;
+
+const FORMATS_BY_EXTENSION = { '.csv': 'CSV', '.ndjson': 'NDJSON', '.jsonl': 'NDJSON' };
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+const parseArgs = (argv) => {
+  const [type, file, ...rest] = argv;
+  const options = { type, file, dryRun: false };
+
+  for (let i = 0; i < rest.length; i++) {
+    switch (rest[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--format':
+        options.format = (rest[++i] || '').toUpperCase();
+        break;
+      case '--submitted-by':
+        options.submittedBy = rest[++i];
+        break;
+      case '--report':
+        options.report = rest[++i];
+        break;
+      default:
+        throw new Error(`Unknown option: ${rest[i]}`);
+    }
+  }
+
+  if (!['tombstones', 'warnings'].includes(type) || !file) throw new Error('Missing record type or file');
+  options.format = options.format || FORMATS_BY_EXTENSION[path.extname(file).toLowerCase()];
+  if (!['CSV', 'NDJSON'].includes(options.format)) throw new Error('Cannot tell the file format, pass --format');
+  if (type === 'tombstones' && !mongoose.Types.ObjectId.isValid(options.submittedBy)) {
+    throw new Error('Tombstone imports need --submitted-by <userId>');
+  }
+
+  return options;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const content = fs.readFileSync(options.file, 'utf8');
+  await connectDB();
+
+  try {
+    const importOptions = {
+      format: options.format,
+      dryRun: options.dryRun,
+      submittedBy: options.submittedBy,
+      maxRows: Infinity
+    };
+    const report = options.type === 'tombstones'
+      ? await importService.importRugCoinTombstones(content, importOptions)
+      : await importService.importWarningSigns(content, importOptions);
+
+    report.rows
+      .filter(row => row.status === 'REJECTED')
+      .forEach(row => {
+        const errors = row.errors.map(error => `${error.field}: ${error.message}`).join('; ');
+        console.log(`Row ${row.row}${row.contractAddress ? ` (${row.contractAddress})` : ''}: ${errors}`);
+      });
+
+    console.log(`${options.dryRun ? '[dry run] ' : ''}${report.total} rows: ` +
+      `${report.created} created, ${report.updated} updated, ${report.rejected} rejected`);
+
+    if (options.report) fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+    process.exitCode = report.rejected ? 1 : 0;
+  } catch (error) {
+    const details = error.extensions && error.extensions.fieldErrors;
+    console.error(details ? details.map(e => `${e.field}: ${e.message}`).join('\n') : error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const RugCoinTombstone = require('../models/RugCoinTombstone');
+const WarningSign = require('../models/WarningSign');
+const InsiderInformation = require('../models/InsiderInformation');
+const ChatMessage = require('../models/ChatMessage');
+
+const USAGE = `Usage: node scripts/normaliseAddresses.js [--dry-run]
+
+Lowercases EVM contract and deployer addresses stored before addresses were
+normalised on write. Tombstones that would then share an address with
+another tombstone are reported and left as they are.`;
+
+const TARGETS = [
+  { model: RugCoinTombstone, fields: ['contractAddress', 'deployerAddress'] },
+  { model: WarningSign, fields: ['contractAddress', 'deployerAddress'] },
+  { model: InsiderInformation, fields: ['contractAddress'] },
+  { model: ChatMessage, fields: ['metadata.contractAddress'] }
+];
+
+// EVM addresses with at least one uppercase hex digit
+const MIXED_CASE_EVM_ADDRESS = /^0x(?=[0-9a-fA-F]*[A-F])[0-9a-fA-F]{40}$/;
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Lowercase one field across a collection. Updates go through the driver so
+ * updatedAt keeps recording the last real change.
+ * @param {Object} model
+ * @param {string} field
+ * @param {boolean} dryRun
+ * @returns {Promise<Object>} { updated, conflicts }
+ */
+const normaliseField = async (model, field, dryRun) => {
+  const result = { updated: 0, conflicts: [] };
+  const cursor = model.collection.find({ [field]: MIXED_CASE_EVM_ADDRESS }, { projection: { [field]: 1 } });
+
+  for await (const doc of cursor) {
+    const address = field.split('.').reduce((value, key) => value[key], doc);
+    if (dryRun) {
+      result.updated++;
+      continue;
+    }
+
+    try {
+      await model.collection.updateOne({ _id: doc._id }, { $set: { [field]: address.toLowerCase() } });
+      result.updated++;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      result.conflicts.push({ id: String(doc._id), address });
+    }
+  }
+
+  return result;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  if (args.some(arg => arg !== '--dry-run')) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const dryRun = args.includes('--dry-run');
+
+  await connectDB();
+
+  try {
+    for (const { model, fields } of TARGETS) {
+      for (const field of fields) {
+        const { updated, conflicts } = await normaliseField(model, field, dryRun);
+        console.log(`${dryRun ? '[dry run] ' : ''}${model.modelName}.${field}: ${updated} normalised`);
+        conflicts.forEach(({ id, address }) => {
+          console.log(`  ${model.modelName} ${id} (${address}) duplicates another record; merge it by hand`);
+        });
+        if (conflicts.length) process.exitCode = 1;
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
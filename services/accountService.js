@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const mailConfig = require('../config/mail');
+const mailer = require('../src/utils/mailer');
+const logger = require('../src/utils/logger');
+const {
+  generateResetToken,
+  verifyResetToken,
+  generateVerificationToken,
+  verifyVerificationToken,
+  isEmailVerified
+} = require('../src/utils/auth');
+const { assertValid, validatePassword } = require('../src/utils/validation');
+const { AuthenticationError, ValidationError } = require('../src/utils/errors');
+
+class AccountService {
+  /**
+   * Email a verification link to the user's current address
+   * @param {Object} user
+   * @returns {Promise<void>}
+   */
+  async sendVerification(user) {
+    try {
+      const link = `${mailConfig.appUrl}/verify-email?token=${encodeURIComponent(generateVerificationToken(user))}`;
+      await mailer.send({
+        to: user.email,
+        subject: 'Confirm your Grave Rato email address',
+        text: `Hi ${user.username},\n\n` +
+          `Confirm your email address to start posting:\n${link}\n\n` +
+          'The link expires in 48 hours.'
+      });
+    } catch (error) {
+      logger.error(`Error sending verification email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a new verification link
+   * @param {Object} user
+   * @returns {Promise<void>}
+   */
+  async resendVerification(user) {
+    if (isEmailVerified(user)) {
+      throw new ValidationError([{ field: 'email', message: 'Already verified' }]);
+    }
+    await this.sendVerification(user);
+  }
+
+  /**
+   * Mark an email address as verified
+   * @param {string} token
+   * @returns {Promise<Object>} The user
+   */
+  async verifyEmail(token) {
+    const user = await verifyVerificationToken(token);
+    if (!user) {
+      throw new ValidationError([{ field: 'token', message: 'Invalid or expired verification token' }]);
+    }
+
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      logger.info(`Email verified for user ${user.id}`);
+    }
+    return user;
+  }
+
+  /**
+   * Email a password reset link. Unknown addresses are ignored, and mail
+   * failures only logged, so the response doesn't reveal which emails have
+   * accounts.
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    try {
+      const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+      if (!user) return;
+
+      const link = `${mailConfig.appUrl}/reset-password?token=${encodeURIComponent(generateResetToken(user))}`;
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your Grave Rato password',
+        text: `Hi ${user.username},\n\n` +
+          `Use this link within the next hour to choose a new password:\n${link}\n\n` +
+          'If you didn\'t ask for this, you can ignore this email.'
+      }).catch(error => {
+        logger.error(`Error sending password reset email to user ${user.id}: ${error.message}`);
+      });
+    } catch (error) {
+      logger.error(`Error requesting password reset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with a reset token and sign out every session
+   * @param {string} token
+   * @param {string} newPassword
+   * @returns {Promise<Object>} The user
+   */
+  async resetPassword(token, newPassword) {
+    assertValid(validatePassword(newPassword, 'newPassword'));
+
+    const user = await verifyResetToken(token);
+    if (!user) {
+      throw new ValidationError([{ field: 'token', message: 'Invalid or expired reset token' }]);
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await sessionService.revokeAllSessions(user.id, { reason: 'password_change' });
+
+    logger.info(`Password reset for user ${user.id}`);
+    return user;
+  }
+
+  /**
+   * Change the password of a signed-in user. Other sessions are signed out.
+   * @param {Object} user
+   * @param {string} currentPassword
+   * @param {string} newPassword
+   * @returns {Promise<Object>} The user
+   */
+  async changePassword(user, currentPassword, newPassword) {
+    if (!user.password) {
+      throw new ValidationError([{ field: 'currentPassword', message: 'This account signs in with a wallet' }]);
+    }
+    if (!(await user.comparePassword(currentPassword))) {
+      throw new AuthenticationError('Current password is incorrect');
+    }
+    assertValid(validatePassword(newPassword, 'newPassword'));
+
+    user.password = newPassword;
+    await user.save();
+    await sessionService.revokeAllSessions(user.id, {
+      exceptSessionId: user.$locals.sessionId,
+      reason: 'password_change'
+    });
+
+    return user;
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,171 @@
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const config = require('../config/auth');
+const encryption = require('../src/utils/encryption');
+const logger = require('../src/utils/logger');
+const { API_KEY_PREFIX, checkPremiumAccess, checkRole } = require('../src/utils/auth');
+const { NotFoundError, ValidationError, ForbiddenError, QuotaExceededError } = require('../src/utils/errors');
+
+class ApiKeyService {
+  /**
+   * Create a key. The key itself is only returned here.
+   * @param {Object} user
+   * @param {Object} input name and scopes
+   * @returns {Promise<Object>} { apiKey, key }
+   */
+  async createKey(user, { name, scopes }) {
+    try {
+      if (!scopes.length) {
+        throw new ValidationError([{ field: 'scopes', message: 'At least one scope is required' }]);
+      }
+      if (scopes.includes('MODERATION') && !checkRole(user, 'moderator')) {
+        throw new ForbiddenError('Only moderators can create keys with the MODERATION scope');
+      }
+
+      const count = await ApiKey.countDocuments({ owner: user.id, revokedAt: null });
+      if (count >= config.apiKeys.maxKeysPerUser) {
+        throw new ValidationError([{
+          field: 'name',
+          message: `At most ${config.apiKeys.maxKeysPerUser} active keys are allowed`
+        }]);
+      }
+
+      const key = API_KEY_PREFIX + encryption.generateToken(40);
+      const apiKey = await ApiKey.create({
+        owner: user.id,
+        name,
+        prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+        keyHash: encryption.generateHash(key),
+        scopes: [...new Set(scopes)]
+      });
+
+      logger.info(`API key ${apiKey.id} created for user ${user.id}`);
+      return { apiKey, key };
+    } catch (error) {
+      logger.error(`Error creating API key: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Keys of a user, newest first
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async listKeys(userId) {
+    return ApiKey.find({ owner: userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke a key owned by the user
+   * @param {string} id
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async revokeKey(id, userId) {
+    const apiKey = await this.getKey(id, userId);
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info(`API key ${apiKey.id} revoked`);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Revoke every key of a user
+   * @param {string} userId
+   * @returns {Promise<number>} Keys revoked
+   */
+  async revokeAllKeys(userId) {
+    const result = await ApiKey.updateMany({ owner: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  async getKey(id, userId) {
+    const apiKey = await ApiKey.findOne({ _id: id, owner: userId });
+    if (!apiKey) throw new NotFoundError('ApiKey', id);
+    return apiKey;
+  }
+
+  /**
+   * Monthly request quota for keys owned by a user
+   * @param {Object} user
+   * @returns {number}
+   */
+  quotaFor(user) {
+    return checkPremiumAccess(user) ? config.apiKeys.monthlyQuota.premium : config.apiKeys.monthlyQuota.free;
+  }
+
+  /**
+   * Count a request against the key's monthly quota
+   * @param {Object} apiKey
+   * @param {Object} owner
+   * @returns {Promise<Object>} { period, count, limit }
+   */
+  async recordUsage(apiKey, owner) {
+    const now = new Date();
+    const period = this.periodOf(now);
+    const limit = this.quotaFor(owner);
+
+    const usage = await ApiKeyUsage.findOneAndUpdate(
+      { key: apiKey._id, period },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    if (usage.count > limit) {
+      throw new QuotaExceededError(limit, period, this.nextPeriodStart(now));
+    }
+
+    return { period, count: usage.count, limit };
+  }
+
+  /**
+   * Usage period a date falls in
+   * @param {Date} [date]
+   * @returns {string} 'YYYY-MM' (UTC)
+   */
+  periodOf(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Start of the period after the one a date falls in
+   * @param {Date} [date]
+   * @returns {Date}
+   */
+  nextPeriodStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * Usage of a key for the current and previous months, newest first
+   * @param {string} id
+   * @param {Object} user Owner of the key
+   * @param {number} months
+   * @returns {Promise<Array<Object>>} { period, count, limit, remaining, resetsAt }
+   */
+  async getUsage(id, user, months = 6) {
+    const apiKey = await this.getKey(id, user.id);
+    const now = new Date();
+    const periods = Array.from({ length: Math.min(Math.max(months, 1), 24) }, (_, i) =>
+      this.periodOf(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1))));
+
+    const records = await ApiKeyUsage.find({ key: apiKey._id, period: { $in: periods } });
+    const counts = new Map(records.map(record => [record.period, record.count]));
+    const limit = this.quotaFor(user);
+
+    return periods.map(period => {
+      const count = counts.get(period) || 0;
+      return {
+        period,
+        count,
+        limit,
+        remaining: Math.max(limit - count, 0),
+        resetsAt: this.nextPeriodStart(new Date(`${period}-01T00:00:00Z`)).toISOString()
+      };
+    });
+  }
+}
+
+module.exports = new ApiKeyService();
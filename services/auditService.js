@@ -0,0 +1,35 @@
+const AdminAuditLog = require('../models/AdminAuditLog');
+const logger = require('../src/utils/logger');
+const { paginate } = require('../src/utils/pagination');
+
+class AuditService {
+  /**
+   * Record an administrative action
+   * @param {string} action
+   * @param {Object} actor User who performed it
+   * @param {Object} [fields] target, reason and details
+   * @returns {Promise<Object>}
+   */
+  async record(action, actor, { target, reason, details } = {}) {
+    const entry = await AdminAuditLog.create({ action, actor: actor.id, target, reason, details });
+    logger.info(`Admin action ${action} by ${actor.id}${target ? ` on user ${target}` : ''}`);
+    return entry;
+  }
+
+  /**
+   * Audit entries, newest first
+   * @param {Object} filter targetId, actorId and action, all optional
+   * @param {Object} args Connection arguments
+   * @returns {Promise<Object>}
+   */
+  async getEntries({ targetId, actorId, action }, args) {
+    const filter = {};
+    if (targetId) filter.target = targetId;
+    if (actorId) filter.actor = actorId;
+    if (action) filter.action = action;
+
+    return paginate(AdminAuditLog, filter, { ...args, sortField: 'createdAt' });
+  }
+}
+
+module.exports = new AuditService();
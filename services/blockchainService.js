@@ -1,5 +1,6 @@
-const Web3 = require('web3');
+const { Web3 } = require('web3');
 const logger = require('../src/utils/logger');
+const { AppError, UpstreamRpcError, ValidationError } = require('../src/utils/errors');
 
 class BlockchainService {
   constructor() {
@@ -11,6 +12,19 @@ class BlockchainService {
     };
   }
 
+  /**
+   * Web3 client for a network
+   * @param {string} network
+   * @returns {Web3}
+   */
+  getProvider(network) {
+    const web3 = this.providers[(network || '').toLowerCase()];
+    if (!web3) {
+      throw new ValidationError([{ field: 'network', message: `Unsupported network: ${network}` }]);
+    }
+    return web3;
+  }
+
   /**
    * Get token information from blockchain
    * @param {string} contractAddress 
@@ -19,8 +33,7 @@ class BlockchainService {
    */
   async getTokenInfo(contractAddress, network) {
     try {
-      const web3 = this.providers[network.toLowerCase()];
-      if (!web3) throw new Error(`Unsupported network: ${network}`);
+      const web3 = this.getProvider(network);
 
       // Standard ERC20 ABI for token info
       const minABI = [
@@ -42,7 +55,7 @@ class BlockchainService {
       return { name, symbol, decimals, totalSupply };
     } catch (error) {
       logger.error(`Error fetching token info: ${error.message}`);
-      throw error;
+      throw error instanceof AppError ? error : new UpstreamRpcError(network, error);
     }
   }
 
@@ -55,8 +68,7 @@ class BlockchainService {
    */
   async monitorLargeTransfers(contractAddress, network, threshold) {
     try {
-      const web3 = this.providers[network.toLowerCase()];
-      if (!web3) throw new Error(`Unsupported network: ${network}`);
+      const web3 = this.getProvider(network);
 
       // Transfer event signature
       const transferEvent = web3.utils.sha3('Transfer(address,address,uint256)');
@@ -108,7 +120,7 @@ class BlockchainService {
       return largeTransfers;
     } catch (error) {
       logger.error(`Error monitoring transfers: ${error.message}`);
-      throw error;
+      throw error instanceof AppError ? error : new UpstreamRpcError(network, error);
     }
   }
 
@@ -120,8 +132,7 @@ class BlockchainService {
    */
   async checkLiquidityPool(pairAddress, network) {
     try {
-      const web3 = this.providers[network.toLowerCase()];
-      if (!web3) throw new Error(`Unsupported network: ${network}`);
+      const web3 = this.getProvider(network);
 
       // Uniswap V2 Pair ABI (minimal)
       const pairABI = [
@@ -147,7 +158,7 @@ class BlockchainService {
       };
     } catch (error) {
       logger.error(`Error checking liquidity pool: ${error.message}`);
-      throw error;
+      throw error instanceof AppError ? error : new UpstreamRpcError(network, error);
     }
   }
 
@@ -159,8 +170,7 @@ class BlockchainService {
    */
   async analyzeContractRisks(contractAddress, network) {
     try {
-      const web3 = this.providers[network.toLowerCase()];
-      if (!web3) throw new Error(`Unsupported network: ${network}`);
+      const web3 = this.getProvider(network);
 
       // Get contract code
       const code = await web3.eth.getCode(contractAddress);
@@ -195,7 +205,7 @@ class BlockchainService {
       };
     } catch (error) {
       logger.error(`Error analyzing contract risks: ${error.message}`);
-      throw error;
+      throw error instanceof AppError ? error : new UpstreamRpcError(network, error);
     }
   }
 
@@ -207,8 +217,7 @@ class BlockchainService {
    */
   async trackTeamWallets(walletAddresses, network) {
     try {
-      const web3 = this.providers[network.toLowerCase()];
-      if (!web3) throw new Error(`Unsupported network: ${network}`);
+      const web3 = this.getProvider(network);
 
       const activities = await Promise.all(
         walletAddresses.map(async (address) => {
@@ -237,7 +246,7 @@ class BlockchainService {
       return activities;
     } catch (error) {
       logger.error(`Error tracking team wallets: ${error.message}`);
-      throw error;
+      throw error instanceof AppError ? error : new UpstreamRpcError(network, error);
     }
   }
 }
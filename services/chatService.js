@@ -1,7 +1,15 @@
 const WebSocket = require('ws');
 const ChatMessage = require('../models/ChatMessage');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 const aiService = require('./aiService');
+const reputationService = require('./reputationService');
+const trustService = require('./trustService');
+const premiumService = require('./premiumService');
 const logger = require('../src/utils/logger');
+const { authenticate, isDeleted, isIdentityConfirmed, isSuspended } = require('../src/utils/auth');
+const { ForbiddenError } = require('../src/utils/errors');
 
 class ChatService {
   constructor() {
@@ -55,6 +63,9 @@ class ChatService {
    */
   async handleMessage(ws, message) {
     switch (message.type) {
+      case 'auth':
+        await this.handleAuth(ws, message);
+        break;
       case 'join':
         await this.handleJoinRoom(ws, message);
         break;
@@ -72,13 +83,123 @@ class ChatService {
     }
   }
 
+  /**
+   * Authenticate the connection with an access token or API key. Every other
+   * message acts as the user authenticated here.
+   * @param {WebSocket} ws
+   * @param {Object} message
+   */
+  async handleAuth(ws, message) {
+    if (ws.user) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        error: 'Already authenticated'
+      }));
+      return;
+    }
+
+    const user = await authenticate(message.token);
+    if (!user) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        error: 'Authentication failed'
+      }));
+      return;
+    }
+
+    ws.user = user;
+    ws.userId = user.id;
+    ws.apiKey = user.$locals.apiKey || null;
+    ws.sessionId = user.$locals.sessionId || null;
+    ws.send(JSON.stringify({
+      type: 'authenticated',
+      userId: user.id
+    }));
+  }
+
+  /**
+   * Check the session or API key the connection authenticated with hasn't
+   * been revoked since, as each HTTP request does
+   * @param {WebSocket} ws
+   * @returns {Promise<boolean>}
+   */
+  async isCredentialActive(ws) {
+    if (ws.apiKey) {
+      return Boolean(await ApiKey.exists({ _id: ws.apiKey._id, revokedAt: null }));
+    }
+    return Boolean(await Session.exists({
+      _id: ws.sessionId,
+      user: ws.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }));
+  }
+
+  /**
+   * Reload the connection's user, rejecting unauthenticated connections,
+   * revoked sessions and API keys, and users suspended or deleted since they
+   * authenticated
+   * @param {WebSocket} ws
+   * @param {string} fields Fields to select
+   * @returns {Promise<Object|null>}
+   */
+  async loadUser(ws, fields) {
+    if (!ws.userId || !await this.isCredentialActive(ws)) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        error: 'Not authenticated'
+      }));
+      return null;
+    }
+
+    const found = await User.findById(ws.userId).select(`${fields} deletedAt`);
+    const user = found && !isDeleted(found) ? found : null;
+    if (!user || isSuspended(user)) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        error: user ? 'Account is suspended' : 'Not authenticated'
+      }));
+      return null;
+    }
+    return user;
+  }
+
+  /**
+   * Check the connection may post, as the auth directive does for mutations.
+   * API keys need the SUBMIT scope, and accounts are read-only until their
+   * email address (or a wallet) is confirmed.
+   * @param {WebSocket} ws
+   * @param {Object} user
+   */
+  assertCanWrite(ws, user) {
+    if (ws.apiKey && !ws.apiKey.scopes.includes('SUBMIT')) {
+      throw new ForbiddenError('API key is missing the SUBMIT scope', { reason: 'MISSING_SCOPE', scope: 'SUBMIT' });
+    }
+    if (!isIdentityConfirmed(user)) {
+      throw new ForbiddenError('Email address must be verified first', { reason: 'EMAIL_NOT_VERIFIED' });
+    }
+  }
+
   /**
    * Handle room join requests
    * @param {WebSocket} ws 
    * @param {Object} message 
    */
   async handleJoinRoom(ws, message) {
-    const { roomId, userId } = message;
+    const { roomId } = message;
+
+    const user = await this.loadUser(ws, 'suspension isPremium role');
+    if (!user) return;
+    const userId = ws.userId;
+
+    const premium = premiumService.hasAccess(user);
+    if (premiumService.isPremiumRoom(roomId) && !premium) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        error: 'Premium access required'
+      }));
+      return;
+    }
 
     // Create room if it doesn't exist
     if (!this.rooms.has(roomId)) {
@@ -89,12 +210,12 @@ class ChatService {
     const room = this.rooms.get(roomId);
     room.add(ws);
 
-    // Store room and user info in connection
+    // Store room info in connection
     ws.roomId = roomId;
-    ws.userId = userId;
+    ws.premium = premium;
 
     // Send recent messages
-    const recentMessages = await this.getRecentMessages(roomId);
+    const recentMessages = await this.getRecentMessages(roomId, premium);
     ws.send(JSON.stringify({
       type: 'history',
       messages: recentMessages
@@ -134,7 +255,7 @@ class ChatService {
     }
 
     delete ws.roomId;
-    delete ws.userId;
+    delete ws.premium;
 
     logger.info(`User ${ws.userId} left room ${roomId}`);
   }
@@ -145,11 +266,11 @@ class ChatService {
    * @param {Object} message 
    */
   async handleChatMessage(ws, message) {
-    const { content, metadata, anonymous } = message;
+    const { content, metadata, anonymous, premiumOnly } = message;
     const roomId = ws.roomId;
     const userId = ws.userId;
 
-    if (!roomId || !userId) {
+    if (!roomId) {
       ws.send(JSON.stringify({
         type: 'error',
         error: 'Not joined to a room'
@@ -158,8 +279,26 @@ class ChatService {
     }
 
     try {
-      // Analyze message with AI
+      const sender = await this.loadUser(ws, 'reputation trustLevel role suspension isPremium emailVerified wallets');
+      if (!sender) return;
+
+      let visibility;
+      try {
+        this.assertCanWrite(ws, sender);
+        trustService.assertCanPost(sender, content);
+        visibility = premiumService.messageVisibility(sender, roomId, premiumOnly);
+      } catch (error) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: error.message
+        }));
+        return;
+      }
+
+      // Analyze message with AI, weighting credibility by the sender's reputation
       const analysis = await aiService.analyzeChatMessage(content);
+      const reputation = sender.reputation;
+      analysis.credibilityScore = reputationService.adjustCredibility(analysis.credibilityScore, reputation);
 
       // Create and save message
       const chatMessage = new ChatMessage({
@@ -167,9 +306,11 @@ class ChatService {
         content,
         messageType: 'text',
         metadata,
+        visibility,
         sender: {
           userId,
-          anonymous: anonymous || false
+          anonymous: anonymous || false,
+          reputation
         },
         aiAnalysis: analysis
       });
@@ -180,7 +321,7 @@ class ChatService {
       this.broadcastToRoom(roomId, {
         type: 'chat',
         message: savedMessage
-      });
+      }, null, visibility === 'premium');
 
       // Check for high-risk indicators
       if (analysis.riskIndicators.length > 0) {
@@ -197,6 +338,24 @@ class ChatService {
     }
   }
 
+  /**
+   * Close every connection of a user, e.g. once they are suspended
+   * @param {string} userId
+   */
+  disconnectUser(userId) {
+    if (!this.wss) return;
+
+    this.wss.clients.forEach((ws) => {
+      if (String(ws.userId) === String(userId)) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: 'Account is suspended'
+        }));
+        ws.close();
+      }
+    });
+  }
+
   /**
    * Handle client disconnection
    * @param {WebSocket} ws 
@@ -234,13 +393,15 @@ class ChatService {
    * @param {string} roomId 
    * @param {Object} message 
    * @param {WebSocket} exclude Client to exclude from broadcast
+   * @param {boolean} premiumOnly Only send to clients with premium access
    */
-  broadcastToRoom(roomId, message, exclude = null) {
+  broadcastToRoom(roomId, message, exclude = null, premiumOnly = false) {
     const room = this.rooms.get(roomId);
     if (!room) return;
 
     const messageStr = JSON.stringify(message);
     room.forEach((client) => {
+      if (premiumOnly && !client.premium) return;
       if (client !== exclude && client.readyState === WebSocket.OPEN) {
         client.send(messageStr);
       }
@@ -250,14 +411,15 @@ class ChatService {
   /**
    * Get recent messages for a room
    * @param {string} roomId 
+   * @param {boolean} premium Include premium-only messages
    * @param {number} limit 
    * @returns {Promise<Array>}
    */
-  async getRecentMessages(roomId, limit = 50) {
+  async getRecentMessages(roomId, premium = false, limit = 50) {
     try {
       return await ChatMessage.find({
         roomId,
-        visibility: 'public'
+        visibility: premium ? { $in: ['public', 'premium'] } : 'public'
       })
         .sort({ createdAt: -1 })
         .limit(limit);
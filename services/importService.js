@@ -0,0 +1,308 @@
+const RugCoinTombstone = require('../models/RugCoinTombstone');
+const WarningSign = require('../models/WarningSign');
+const limits = require('../config/limits');
+const logger = require('../src/utils/logger');
+const { parseCsv } = require('../src/utils/csv');
+const { normaliseAddress } = require('../src/utils/address');
+const { validateRugCoinTombstone, validateWarningSign } = require('../src/utils/validation');
+const { ValidationError, fromDatabaseError } = require('../src/utils/errors');
+
+// Separator for list values inside one CSV cell
+const LIST_SEPARATOR = '|';
+
+// Import settings per record type. CSV columns use dotted paths for nested
+// fields (e.g. teamInformation.anonymous); `types` says how to read their text.
+const IMPORT_TARGETS = {
+  tombstone: {
+    Model: RugCoinTombstone,
+    validate: validateRugCoinTombstone,
+    fields: [
+      'projectName', 'tokenSymbol', 'blockchainNetwork', 'contractAddress', 'deployerAddress',
+      'launchDate', 'rugPullDate', 'totalLoss', 'affectedUsers', 'fraudTactics', 'evidence',
+      'teamInformation', 'tradingData'
+    ],
+    types: {
+      totalLoss: 'number',
+      affectedUsers: 'number',
+      fraudTactics: 'list',
+      evidence: 'list',
+      'teamInformation.anonymous': 'boolean',
+      'tradingData.initialPrice': 'number',
+      'tradingData.peakPrice': 'number',
+      'tradingData.rugPullPrice': 'number',
+      'tradingData.totalVolume': 'number'
+    },
+    // Contract addresses are unique across networks
+    matchByNetwork: false,
+    defaults: (submittedBy) => ({ submittedBy })
+  },
+  warning: {
+    Model: WarningSign,
+    validate: validateWarningSign,
+    fields: [
+      'projectName', 'tokenSymbol', 'blockchainNetwork', 'contractAddress', 'deployerAddress',
+      'riskType', 'riskLevel', 'description', 'evidence'
+    ],
+    types: {
+      riskType: 'list',
+      'evidence.onChainData.blockNumber': 'number',
+      'evidence.marketData.priceChange': 'number',
+      'evidence.marketData.volumeChange': 'number',
+      'evidence.marketData.liquidityChange': 'number',
+      'evidence.socialData.sentiment': 'number',
+      'evidence.socialData.volume': 'number'
+    },
+    matchByNetwork: true,
+    defaults: () => ({
+      aiAnalysis: {
+        riskScore: 0,
+        confidence: 0,
+        factors: [],
+        timestamp: new Date()
+      }
+    })
+  }
+};
+
+/**
+ * Convert a CSV cell to the type expected at its path
+ * @param {string} value
+ * @param {string} type 'number', 'boolean' or 'list'
+ * @returns {*} The converted value, or the text when it can't be converted
+ */
+const coerce = (value, type) => {
+  const text = value.trim();
+  switch (type) {
+    case 'number':
+      return text === '' ? value : Number(text);
+    case 'boolean':
+      if (/^(true|yes|1)$/i.test(text)) return true;
+      if (/^(false|no|0)$/i.test(text)) return false;
+      return value;
+    case 'list':
+      return text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value && value[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+};
+
+class ImportService {
+  /**
+   * Import rug coin tombstones, upserting by contract address
+   * @param {string} content CSV or NDJSON text
+   * @param {Object} options format, dryRun, submittedBy and maxRows
+   * @returns {Promise<Object>} Import report
+   */
+  async importRugCoinTombstones(content, options) {
+    return this.importRecords('tombstone', content, options);
+  }
+
+  /**
+   * Import warning signs, upserting by network and contract address
+   * @param {string} content CSV or NDJSON text
+   * @param {Object} options format, dryRun and maxRows
+   * @returns {Promise<Object>} Import report
+   */
+  async importWarningSigns(content, options) {
+    return this.importRecords('warning', content, options);
+  }
+
+  /**
+   * Validate and upsert every row, collecting a per-row report. Rows are
+   * independent: a rejected row doesn't stop the rest of the import.
+   * @param {string} type Key of IMPORT_TARGETS
+   * @param {string} content
+   * @param {Object} options format ('CSV' or 'NDJSON'), dryRun, submittedBy, maxRows
+   * @returns {Promise<Object>} { dryRun, total, created, updated, rejected, rows }
+   */
+  async importRecords(type, content, { format, dryRun = false, submittedBy, maxRows = limits.import.maxRows } = {}) {
+    try {
+      const rows = this.parse(type, content, format);
+      if (rows.length > maxRows) {
+        throw new ValidationError([{ field: 'content', message: `Must contain at most ${maxRows} rows` }]);
+      }
+
+      const existing = await this.findExisting(type, rows);
+      const seen = new Map();
+      const results = [];
+      for (const row of rows) {
+        results.push(await this.importRow(type, row, { existing, seen, dryRun, submittedBy }));
+      }
+
+      const count = (status) => results.filter(result => result.status === status).length;
+      const report = {
+        dryRun,
+        total: results.length,
+        created: count('CREATED'),
+        updated: count('UPDATED'),
+        rejected: count('REJECTED'),
+        rows: results
+      };
+
+      logger.info(`Imported ${type} records${dryRun ? ' (dry run)' : ''}: ` +
+        `${report.created} created, ${report.updated} updated, ${report.rejected} rejected`);
+      return report;
+    } catch (error) {
+      logger.error(`Error importing ${type} records: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse import content into rows
+   * @param {string} type Key of IMPORT_TARGETS
+   * @param {string} content
+   * @param {string} format 'CSV' or 'NDJSON'
+   * @returns {Array<Object>} { line, record } or { line, error }
+   */
+  parse(type, content, format) {
+    const target = IMPORT_TARGETS[type];
+    if (format === 'CSV') {
+      let records;
+      try {
+        records = parseCsv(content);
+      } catch (error) {
+        throw new ValidationError([{ field: 'content', message: error.message }]);
+      }
+
+      return records.map(({ line, values }) => {
+        const record = {};
+        Object.entries(values).forEach(([path, value]) => {
+          if (value === undefined || value.trim() === '') return;
+          setPath(record, path, target.types[path] ? coerce(value, target.types[path]) : value.trim());
+        });
+        return { line, record };
+      });
+    }
+
+    if (format === 'NDJSON') {
+      return content.split(/\r?\n/)
+        .map((text, index) => ({ line: index + 1, text: text.trim() }))
+        .filter(({ text }) => text)
+        .map(({ line, text }) => {
+          let record;
+          try {
+            record = JSON.parse(text);
+          } catch (error) {
+            return { line, error: 'Invalid JSON' };
+          }
+          if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { line, error: 'Must be a JSON object' };
+          }
+
+          // Spreadsheet exports often quote numbers and lists
+          Object.entries(target.types).forEach(([path, fieldType]) => {
+            const value = getPath(record, path);
+            if (typeof value === 'string') setPath(record, path, coerce(value, fieldType));
+          });
+          return { line, record };
+        });
+    }
+
+    throw new ValidationError([{ field: 'format', message: 'Must be one of: CSV, NDJSON' }]);
+  }
+
+  /**
+   * Key used to match a row to a stored record
+   * @param {Object} target
+   * @param {Object} record
+   * @returns {string}
+   */
+  matchKey(target, record) {
+    const address = normaliseAddress(String(record.contractAddress));
+    return target.matchByNetwork ? `${record.blockchainNetwork}:${address}` : address;
+  }
+
+  /**
+   * Load the stored records the rows would update, newest first per key
+   * @param {string} type Key of IMPORT_TARGETS
+   * @param {Array<Object>} rows
+   * @returns {Promise<Map>} match key -> document
+   */
+  async findExisting(type, rows) {
+    const target = IMPORT_TARGETS[type];
+    const addresses = [...new Set(rows
+      .filter(row => row.record && typeof row.record.contractAddress === 'string')
+      .map(row => normaliseAddress(row.record.contractAddress)))];
+    if (!addresses.length) return new Map();
+
+    const docs = await target.Model.find({ contractAddress: { $in: addresses } }).sort({ createdAt: -1 });
+
+    const existing = new Map();
+    docs.forEach(doc => {
+      const key = this.matchKey(target, doc);
+      if (!existing.has(key)) existing.set(key, doc);
+    });
+    return existing;
+  }
+
+  /**
+   * Validate and write one row
+   * @param {string} type Key of IMPORT_TARGETS
+   * @param {Object} row
+   * @param {Object} state existing, seen, dryRun and submittedBy
+   * @returns {Promise<Object>} { row, contractAddress, status, id, errors }
+   */
+  async importRow(type, { line, record, error }, { existing, seen, dryRun, submittedBy }) {
+    const target = IMPORT_TARGETS[type];
+    const result = {
+      row: line,
+      contractAddress: (record && typeof record.contractAddress === 'string') ? record.contractAddress : null,
+      status: 'REJECTED',
+      id: null,
+      errors: []
+    };
+
+    if (error) {
+      result.errors.push({ field: 'row', message: error });
+      return result;
+    }
+
+    Object.keys(record)
+      .filter(field => !target.fields.includes(field))
+      .forEach(field => result.errors.push({ field, message: 'Unknown field' }));
+    result.errors.push(...target.validate(record));
+
+    const key = this.matchKey(target, record);
+    if (!result.errors.length && seen.has(key)) {
+      result.errors.push({ field: 'contractAddress', message: `Duplicate of row ${seen.get(key)}` });
+    }
+    if (result.errors.length) return result;
+
+    const current = existing.get(key);
+    const doc = current || new target.Model(target.defaults(submittedBy));
+    doc.set(record, undefined, { merge: true });
+
+    try {
+      const invalid = doc.validateSync();
+      if (invalid) throw invalid;
+      if (!dryRun) await doc.save();
+    } catch (saveError) {
+      const mapped = fromDatabaseError(saveError);
+      if (!mapped) throw saveError;
+
+      result.errors = mapped.extensions.fieldErrors ||
+        mapped.extensions.fields.map(field => ({ field, message: 'Already used by another record' }));
+      return result;
+    }
+
+    seen.set(key, line);
+    result.status = current ? 'UPDATED' : 'CREATED';
+    result.id = current || !dryRun ? doc.id : null;
+    return result;
+  }
+}
+
+module.exports = new ImportService();
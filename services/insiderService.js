@@ -2,6 +2,8 @@ const InsiderInformation = require('../models/InsiderInformation');
 const aiService = require('./aiService');
 const encryption = require('../src/utils/encryption');
 const logger = require('../src/utils/logger');
+const { dateRangeCondition, bucketsToMap, findEach } = require('../src/utils/aggregation');
+const { NotFoundError } = require('../src/utils/errors');
 
 class InsiderService {
   /**
@@ -50,7 +52,7 @@ class InsiderService {
   async verifyInformation(submissionId, status, moderatorId, note) {
     try {
       const submission = await InsiderInformation.findById(submissionId);
-      if (!submission) throw new Error('Submission not found');
+      if (!submission) throw new NotFoundError('InsiderInformation', submissionId);
 
       // Update verification status
       await submission.updateVerificationStatus(status, moderatorId, note);
@@ -91,11 +93,7 @@ class InsiderService {
 
       // Text search
       if (criteria.searchText) {
-        query.$or = [
-          { title: { $regex: criteria.searchText, $options: 'i' } },
-          { content: { $regex: criteria.searchText, $options: 'i' } },
-          { projectName: { $regex: criteria.searchText, $options: 'i' } }
-        ];
+        query.$text = { $search: criteria.searchText };
       }
 
       const submissions = await InsiderInformation.find(query)
@@ -109,28 +107,21 @@ class InsiderService {
   }
 
   /**
-   * Get related submissions
-   * @param {string} submissionId 
-   * @returns {Promise<Array>}
+   * Get related submissions of several submissions in one query
+   * @param {Array<Object>} submissions
+   * @returns {Promise<Array<Array>>} Related submissions of each, in order
    */
-  async getRelatedSubmissions(submissionId) {
+  async getRelatedSubmissions(submissions) {
     try {
-      const submission = await InsiderInformation.findById(submissionId);
-      if (!submission) throw new Error('Submission not found');
-
       // Find related submissions based on project and category
-      const related = await InsiderInformation.find({
-        _id: { $ne: submissionId },
+      return await findEach(InsiderInformation, submissions.map(submission => ({
+        _id: { $ne: submission._id },
         $or: [
           { projectName: submission.projectName },
           { category: { $in: submission.category } }
         ],
         verificationStatus: 'Verified'
-      })
-        .limit(5)
-        .sort({ credibilityScore: -1 });
-
-      return related;
+      })), { sort: { credibilityScore: -1 }, limit: 5 });
     } catch (error) {
       logger.error(`Error getting related submissions: ${error.message}`);
       throw error;
@@ -163,64 +154,53 @@ class InsiderService {
   /**
    * Get submission statistics
    * @param {Object} dateRange 
+   * @param {string} network 
    * @returns {Promise<Object>}
    */
-  async getSubmissionStats(dateRange) {
+  async getSubmissionStats(dateRange, network) {
     try {
-      const query = {
-        createdAt: {
-          $gte: dateRange.start,
-          $lte: dateRange.end
+      const match = {};
+
+      const createdAt = dateRangeCondition(dateRange);
+      if (createdAt) match.createdAt = createdAt;
+      if (network) match.blockchainNetwork = network;
+
+      const [result] = await InsiderInformation.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            totals: [{
+              $group: {
+                _id: null,
+                totalSubmissions: { $sum: 1 },
+                averageCredibility: { $avg: '$credibilityScore' }
+              }
+            }],
+            // Count by verification status
+            status: [{ $group: { _id: '$verificationStatus', count: { $sum: 1 } } }],
+            // Count categories
+            categories: [
+              { $unwind: '$category' },
+              { $group: { _id: '$category', count: { $sum: 1 } } }
+            ],
+            // Count risk levels
+            riskLevels: [{ $group: { _id: '$riskLevel', count: { $sum: 1 } } }]
+          }
         }
+      ]);
+
+      const totals = result.totals[0] || {};
+      const status = bucketsToMap(result.status);
+
+      return {
+        totalSubmissions: totals.totalSubmissions || 0,
+        verifiedCount: status['Verified'] || 0,
+        rejectedCount: status['Rejected'] || 0,
+        pendingCount: status['Pending'] || 0,
+        averageCredibility: Math.round(totals.averageCredibility || 0),
+        categoryDistribution: bucketsToMap(result.categories),
+        riskLevelDistribution: bucketsToMap(result.riskLevels)
       };
-
-      const submissions = await InsiderInformation.find(query);
-
-      // Calculate statistics
-      const stats = {
-        totalSubmissions: submissions.length,
-        verifiedCount: 0,
-        rejectedCount: 0,
-        pendingCount: 0,
-        averageCredibility: 0,
-        categoryDistribution: {},
-        riskLevelDistribution: {}
-      };
-
-      let totalCredibility = 0;
-
-      submissions.forEach(sub => {
-        // Count by verification status
-        switch (sub.verificationStatus) {
-          case 'Verified':
-            stats.verifiedCount++;
-            break;
-          case 'Rejected':
-            stats.rejectedCount++;
-            break;
-          case 'Pending':
-            stats.pendingCount++;
-            break;
-        }
-
-        // Sum credibility scores
-        totalCredibility += sub.credibilityScore;
-
-        // Count categories
-        sub.category.forEach(cat => {
-          stats.categoryDistribution[cat] = (stats.categoryDistribution[cat] || 0) + 1;
-        });
-
-        // Count risk levels
-        stats.riskLevelDistribution[sub.riskLevel] =
-          (stats.riskLevelDistribution[sub.riskLevel] || 0) + 1;
-      });
-
-      // Calculate average credibility
-      stats.averageCredibility = submissions.length ?
-        Math.round(totalCredibility / submissions.length) : 0;
-
-      return stats;
     } catch (error) {
       logger.error(`Error getting submission statistics: ${error.message}`);
       throw error;
@@ -237,7 +217,7 @@ class InsiderService {
   async reportSubmission(submissionId, userId, reason) {
     try {
       const submission = await InsiderInformation.findById(submissionId);
-      if (!submission) throw new Error('Submission not found');
+      if (!submission) throw new NotFoundError('InsiderInformation', submissionId);
 
       // Add report
       submission.reports.push({
@@ -0,0 +1,175 @@
+const apiKeyService = require('./apiKeyService');
+const config = require('../config/premium');
+const { checkPremiumAccess, checkRole } = require('../src/utils/auth');
+const { ForbiddenError } = require('../src/utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PremiumService {
+  /**
+   * Whether a user sees premium content. Moderators and admins see all of it
+   * so they can moderate it.
+   * @param {Object|null} user
+   * @returns {boolean}
+   */
+  hasAccess(user) {
+    return Boolean(user) && (Boolean(checkPremiumAccess(user)) || checkRole(user, 'moderator'));
+  }
+
+  /**
+   * @param {Object|null} user
+   */
+  assertAccess(user) {
+    if (!this.hasAccess(user)) {
+      throw new ForbiddenError('Premium access required', { reason: 'PREMIUM_REQUIRED' });
+    }
+  }
+
+  /**
+   * @param {string} roomId
+   * @returns {boolean}
+   */
+  isPremiumRoom(roomId) {
+    const { roomPrefix, rooms } = config.chat;
+    return (Boolean(roomPrefix) && String(roomId).startsWith(roomPrefix)) || rooms.includes(roomId);
+  }
+
+  /**
+   * @param {Object|null} user
+   * @param {string} roomId
+   */
+  assertRoomAccess(user, roomId) {
+    if (this.isPremiumRoom(roomId)) this.assertAccess(user);
+  }
+
+  /**
+   * Visibility of a new chat message. Everything posted in a premium room is
+   * premium; elsewhere premium users can mark a message premium-only.
+   * @param {Object|null} user Sender
+   * @param {string} roomId
+   * @param {boolean} [premiumOnly]
+   * @returns {string} 'public' or 'premium'
+   */
+  messageVisibility(user, roomId, premiumOnly = false) {
+    if (!this.isPremiumRoom(roomId) && !premiumOnly) return 'public';
+    this.assertAccess(user);
+    return 'premium';
+  }
+
+  /**
+   * Condition on ChatMessage matching the messages a user can read
+   * @param {Object|null} user
+   * @returns {Object}
+   */
+  messageFilter(user) {
+    if (this.hasAccess(user)) return { visibility: { $in: ['public', 'premium'] } };
+
+    const { roomPrefix, rooms } = config.chat;
+    const premiumRooms = [...rooms];
+    if (roomPrefix) premiumRooms.push(new RegExp(`^${roomPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+    return premiumRooms.length
+      ? { visibility: 'public', roomId: { $nin: premiumRooms } }
+      : { visibility: 'public' };
+  }
+
+  /**
+   * @param {Object|null} user
+   * @param {Object} message ChatMessage
+   * @returns {boolean}
+   */
+  canReadMessage(user, message) {
+    if (message.visibility === 'premium' || (message.visibility === 'public' && this.isPremiumRoom(message.roomId))) {
+      return this.hasAccess(user);
+    }
+    return message.visibility === 'public';
+  }
+
+  /**
+   * Time left before a warning reaches free users; 0 once it has. The delay
+   * counts from when the warning became Critical, or from its creation for
+   * warnings stored before that was recorded.
+   * @param {Object} warning WarningSign
+   * @returns {number} Milliseconds
+   */
+  releaseDelay(warning) {
+    if (warning.riskLevel !== 'Critical') return 0;
+    const since = warning.criticalAt || warning.createdAt;
+    const criticalAt = since ? new Date(since).getTime() : Date.now();
+    return Math.max(0, criticalAt + config.criticalWarningDelayMs - Date.now());
+  }
+
+  /**
+   * Whether a warning is still held back from a user
+   * @param {Object} warning WarningSign
+   * @param {Object|null} user
+   * @returns {boolean}
+   */
+  isEmbargoed(warning, user) {
+    return this.releaseDelay(warning) > 0 && !this.hasAccess(user);
+  }
+
+  /**
+   * Condition on WarningSign leaving out warnings still held back from a user
+   * @param {Object|null} user
+   * @returns {Object}
+   */
+  warningFilter(user) {
+    if (this.hasAccess(user) || config.criticalWarningDelayMs <= 0) return {};
+
+    const released = new Date(Date.now() - config.criticalWarningDelayMs);
+    return {
+      $or: [
+        { riskLevel: { $ne: 'Critical' } },
+        { criticalAt: { $lte: released } },
+        { criticalAt: null, createdAt: { $lte: released } }
+      ]
+    };
+  }
+
+  /**
+   * Days of history the stats queries cover for a user
+   * @param {Object|null} user
+   * @returns {number|null} null when there is no limit
+   */
+  statsHistoryDays(user) {
+    const days = this.hasAccess(user) ? config.statsHistoryDays.premium : config.statsHistoryDays.free;
+    return days > 0 ? days : null;
+  }
+
+  /**
+   * Limit a stats date range to the history a user can see
+   * @param {Object|null} user
+   * @param {Object} [dateRange] start and end
+   * @returns {Object|undefined}
+   */
+  statsRange(user, dateRange) {
+    const days = this.statsHistoryDays(user);
+    if (!days) return dateRange;
+
+    // Invalid starts are left for dateRangeCondition to reject
+    const earliest = new Date(Date.now() - days * DAY_MS);
+    const start = dateRange && dateRange.start ? new Date(dateRange.start) : null;
+    if (start && !(start < earliest)) return dateRange;
+
+    return { ...dateRange, start: earliest.toISOString() };
+  }
+
+  /**
+   * What a user can see and use
+   * @param {Object} user
+   * @returns {Object}
+   */
+  getEntitlements(user) {
+    const access = this.hasAccess(user);
+    return {
+      premium: Boolean(user.isPremium),
+      premiumChat: access,
+      criticalWarningDelaySeconds: access ? 0 : Math.max(0, Math.ceil(config.criticalWarningDelayMs / 1000)),
+      statsHistoryDays: this.statsHistoryDays(user),
+      projectRiskReports: Boolean(checkPremiumAccess(user)),
+      apiKeyMonthlyQuota: apiKeyService.quotaFor(user)
+    };
+  }
+}
+
+module.exports = new PremiumService();
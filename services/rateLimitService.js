@@ -0,0 +1,134 @@
+const RateLimitBucket = require('../models/RateLimitBucket');
+const limits = require('../config/limits');
+const logger = require('../src/utils/logger');
+
+class RateLimitService {
+  constructor() {
+    this.store = limits.rateLimit.store;
+    this.buckets = new Map(); // key -> { tokens, refilledAt, capacity, refillPerSecond }
+
+    // Periodically drop in-memory buckets that have refilled completely
+    this.sweepInterval = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepInterval.unref();
+  }
+
+  /**
+   * Take tokens from a bucket
+   * @param {string} key Bucket key, e.g. 'ip:1.2.3.4'
+   * @param {Object} bucket capacity and refillPerSecond
+   * @param {number} cost Tokens to take, at most the bucket's capacity
+   * @returns {Promise<Object>} allowed, remaining and retryAfter (seconds)
+   */
+  async consume(key, bucket, cost = 1) {
+    // A full bucket couldn't pay for it either, so no retryAfter would ever be
+    // honoured; callers reject such requests before charging them
+    if (cost > bucket.capacity) {
+      throw new RangeError(`Cost ${cost} exceeds the capacity of bucket ${key}`);
+    }
+
+    try {
+      const state = this.store === 'mongo'
+        ? await this.consumeShared(key, bucket, cost)
+        : this.consumeLocal(key, bucket, cost);
+
+      return {
+        allowed: state.allowed,
+        remaining: Math.floor(state.tokens),
+        retryAfter: state.allowed
+          ? 0
+          : Math.ceil((cost - state.tokens) / bucket.refillPerSecond)
+      };
+    } catch (error) {
+      // Fail open: a broken counter store must not take the API down
+      logger.error(`Error consuming rate limit bucket ${key}: ${error.message}`);
+      return { allowed: true, remaining: bucket.capacity, retryAfter: 0 };
+    }
+  }
+
+  /**
+   * Consume from an in-process bucket
+   * @param {string} key
+   * @param {Object} bucket
+   * @param {number} cost
+   * @returns {Object}
+   */
+  consumeLocal(key, bucket, cost) {
+    const now = Date.now();
+    const state = this.buckets.get(key) || {
+      tokens: bucket.capacity,
+      refilledAt: now,
+      ...bucket
+    };
+
+    const elapsed = (now - state.refilledAt) / 1000;
+    state.tokens = Math.min(bucket.capacity, state.tokens + elapsed * bucket.refillPerSecond);
+    state.refilledAt = now;
+
+    const allowed = state.tokens >= cost;
+    if (allowed) state.tokens -= cost;
+
+    this.buckets.set(key, state);
+    return { allowed, tokens: state.tokens };
+  }
+
+  /**
+   * Consume from a bucket stored in MongoDB. Refill and consume happen in a
+   * single pipeline update so concurrent instances never double-spend.
+   * @param {string} key
+   * @param {Object} bucket
+   * @param {number} cost
+   * @returns {Promise<Object>}
+   */
+  async consumeShared(key, bucket, cost) {
+    const now = new Date();
+    const { capacity, refillPerSecond } = bucket;
+
+    const elapsedSeconds = {
+      $divide: [{ $subtract: [now, { $ifNull: ['$refilledAt', now] }] }, 1000]
+    };
+
+    const state = await RateLimitBucket.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [
+                capacity,
+                { $add: [{ $ifNull: ['$tokens', capacity] }, { $multiply: [elapsedSeconds, refillPerSecond] }] }
+              ]
+            },
+            refilledAt: now
+          }
+        },
+        { $set: { allowed: { $gte: ['$tokens', cost] } } },
+        { $set: { tokens: { $cond: ['$allowed', { $subtract: ['$tokens', cost] }, '$tokens'] } } },
+        {
+          $set: {
+            expiresAt: {
+              $add: [now, { $multiply: [{ $divide: [{ $subtract: [capacity, '$tokens'] }, refillPerSecond] }, 1000] }]
+            }
+          }
+        }
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+
+    return { allowed: state.allowed, tokens: state.tokens };
+  }
+
+  /**
+   * Drop in-memory buckets that are full again
+   */
+  sweep() {
+    const now = Date.now();
+    this.buckets.forEach((state, key) => {
+      const elapsed = (now - state.refilledAt) / 1000;
+      if (state.tokens + elapsed * state.refillPerSecond >= state.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = new RateLimitService();
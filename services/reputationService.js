@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ReputationEvent = require('../models/ReputationEvent');
+const trustService = require('./trustService');
+const config = require('../config/reputation');
+const encryption = require('../src/utils/encryption');
+const logger = require('../src/utils/logger');
+const { paginate } = require('../src/utils/pagination');
+const { hasTrustLevel } = require('../src/utils/auth');
+const { DuplicateError, fromDatabaseError } = require('../src/utils/errors');
+
+// Ledger reason for each review status. Statuses not listed (Pending,
+// Active, approved) reverse an earlier outcome without recording a new one.
+const TOMBSTONE_OUTCOMES = { Verified: 'TOMBSTONE_VERIFIED', Disputed: 'TOMBSTONE_DISPUTED' };
+const INSIDER_OUTCOMES = { Verified: 'INSIDER_VERIFIED', Rejected: 'INSIDER_REJECTED' };
+const WARNING_OUTCOMES = { Resolved: 'WARNING_CONFIRMED', 'False Alarm': 'WARNING_FALSE_ALARM' };
+const MESSAGE_OUTCOMES = { rejected: 'MESSAGE_MODERATED' };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+class ReputationService {
+  /**
+   * Weight of a user's likes
+   * @param {Object} user
+   * @returns {number}
+   */
+  voteWeight(user) {
+    const { scale, min, max } = config.weight;
+    return clamp(1 + ((user && user.reputation) || 0) / scale, min, max);
+  }
+
+  /**
+   * Shift a chat message credibility score by its sender's reputation
+   * @param {number} score 0-100
+   * @param {number} reputation
+   * @returns {number}
+   */
+  adjustCredibility(score, reputation = 0) {
+    const { reputationPerPoint, maxAdjustment } = config.credibility;
+    const adjustment = clamp(Math.round(reputation / reputationPerPoint), -maxAdjustment, maxAdjustment);
+    return clamp(score + adjustment, 0, 100);
+  }
+
+  /**
+   * Settle the submitter's reputation after a tombstone review
+   * @param {Object} tombstone
+   * @param {string} actorId Reviewer
+   * @returns {Promise<Object|null>} The new ledger entry
+   */
+  async tombstoneReviewed(tombstone, actorId) {
+    return this.settle(tombstone.submittedBy, TOMBSTONE_OUTCOMES[tombstone.verificationStatus], {
+      subjectType: 'RugCoinTombstone',
+      subjectId: tombstone._id
+    }, actorId);
+  }
+
+  /**
+   * Settle the (anonymous) submitter's reputation after an insider information review
+   * @param {Object} info
+   * @param {string} actorId Reviewer
+   * @returns {Promise<Object|null>}
+   */
+  async insiderReviewed(info, actorId) {
+    const submitter = await this.insiderSubmitter(info);
+    if (!submitter) return null;
+
+    return this.settle(submitter, INSIDER_OUTCOMES[info.verificationStatus], {
+      subjectType: 'InsiderInformation',
+      subjectId: info._id
+    }, actorId);
+  }
+
+  /**
+   * Settle the reporter's reputation once a warning is resolved or dismissed
+   * @param {Object} warning
+   * @param {string} actorId
+   * @returns {Promise<Object|null>}
+   */
+  async warningClosed(warning, actorId) {
+    if (!warning.reportedBy) return null;
+
+    return this.settle(warning.reportedBy, WARNING_OUTCOMES[warning.status], {
+      subjectType: 'WarningSign',
+      subjectId: warning._id
+    }, actorId);
+  }
+
+  /**
+   * Award the sender of a liked message, weighted by the liker's reputation.
+   * Each user's like counts once per message, even if withdrawn and repeated,
+   * and only once the liker has reached config.minLikerTrustLevel.
+   * @param {Object} message
+   * @param {Object} liker
+   * @returns {Promise<Object|null>}
+   */
+  async messageLiked(message, liker) {
+    const sender = message.sender.userId;
+    if (String(sender) === String(liker.id)) return null;
+    if (!hasTrustLevel(liker, config.minLikerTrustLevel)) return null;
+
+    const weight = this.voteWeight(liker);
+    const { reputation, points } = config.awards.MESSAGE_LIKED;
+    try {
+      return await this.record({
+        user: sender,
+        reason: 'MESSAGE_LIKED',
+        reputation: Math.round(reputation * weight),
+        points: Math.round(points * weight),
+        subjectType: 'ChatMessage',
+        subjectId: message._id,
+        actor: liker.id,
+        key: `MESSAGE_LIKED:${message.id}:${liker.id}`
+      });
+    } catch (error) {
+      if (fromDatabaseError(error) instanceof DuplicateError) return null;
+      logger.error(`Error awarding like on message ${message.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Penalise the sender of a message rejected by a moderator
+   * @param {Object} message
+   * @param {string} actorId
+   * @returns {Promise<Object|null>}
+   */
+  async messageModerated(message, actorId) {
+    return this.settle(message.sender.userId, MESSAGE_OUTCOMES[message.moderationStatus.status], {
+      subjectType: 'ChatMessage',
+      subjectId: message._id
+    }, actorId);
+  }
+
+  /**
+   * Record the outcome of a review, reversing the previous outcome for the
+   * same subject if the decision changed. Nobody is scored for reviewing
+   * their own content. Failures are logged rather than thrown so they never
+   * undo the review itself.
+   * @param {string} userId User being scored
+   * @param {string|undefined} reason Ledger reason, or none to only reverse
+   * @param {Object} subject subjectType and subjectId
+   * @param {string} actorId
+   * @returns {Promise<Object|null>}
+   */
+  async settle(userId, reason, subject, actorId) {
+    if (!userId || String(userId) === String(actorId)) return null;
+
+    try {
+      const previous = await ReputationEvent.findOne({ user: userId, ...subject, outcome: true })
+        .sort({ createdAt: -1, _id: -1 });
+      if (previous && previous.reason === reason && !previous.reverses) return null;
+      if (!previous && !reason) return null;
+
+      if (previous && !previous.reverses) {
+        await this.record({
+          user: userId,
+          reason: previous.reason,
+          reputation: -previous.reputation,
+          points: -previous.points,
+          ...subject,
+          actor: actorId,
+          outcome: true,
+          reverses: previous._id
+        });
+      }
+      if (!reason) return null;
+
+      const { reputation, points } = config.awards[reason];
+      return await this.record({ user: userId, reason, reputation, points, ...subject, actor: actorId, outcome: true });
+    } catch (error) {
+      logger.error(`Error settling reputation for user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Add a ledger entry and apply it to the user's totals and trust level.
+   * Contribution points never go below zero, as with User.updateContributionPoints.
+   * @param {Object} entry
+   * @returns {Promise<Object>}
+   */
+  async record(entry) {
+    const event = await ReputationEvent.create(entry);
+    await User.updateOne({ _id: entry.user }, [{
+      $set: {
+        reputation: { $add: [{ $ifNull: ['$reputation', 0] }, event.reputation] },
+        contributionPoints: { $max: [0, { $add: [{ $ifNull: ['$contributionPoints', 0] }, event.points] }] }
+      }
+    }]);
+    await trustService.sync(entry.user);
+
+    logger.info(`Reputation ${event.reason} for user ${entry.user}: ${event.reputation} reputation, ${event.points} points`);
+    return event;
+  }
+
+  /**
+   * Ledger entries of a user, newest first
+   * @param {string} userId
+   * @param {Object} args Connection arguments
+   * @param {Object} [options]
+   * @param {boolean} [options.includeInsider] Include insider information
+   *   entries. Only their owner should see them: their times match the
+   *   reviews, which would unmask the anonymous submitter.
+   * @returns {Promise<Object>}
+   */
+  async getHistory(userId, args, { includeInsider = false } = {}) {
+    const filter = includeInsider
+      ? { user: userId }
+      : { user: userId, subjectType: { $ne: 'InsiderInformation' } };
+    return paginate(ReputationEvent, filter, { ...args, sortField: 'createdAt' });
+  }
+
+  /**
+   * Rebuild a user's totals from the ledger
+   * @param {string} userId
+   * @returns {Promise<Object>} { reputation, contributionPoints }
+   */
+  async recalculate(userId) {
+    const [totals] = await ReputationEvent.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, reputation: { $sum: '$reputation' }, points: { $sum: '$points' } } }
+    ]);
+
+    const result = {
+      reputation: totals ? totals.reputation : 0,
+      contributionPoints: totals ? Math.max(totals.points, 0) : 0
+    };
+    await User.updateOne({ _id: userId }, { $set: result });
+    await trustService.sync(userId);
+    return result;
+  }
+
+  /**
+   * Encrypted submitter reference stored on insider information
+   * @param {string} userId
+   * @returns {Promise<string>}
+   */
+  async encodeSubmitter(userId) {
+    return encryption.encrypt(JSON.stringify({ userId: String(userId) }));
+  }
+
+  /**
+   * Submitter of insider information, if it was submitted with a reference
+   * @param {Object} info
+   * @returns {Promise<string|null>}
+   */
+  async insiderSubmitter(info) {
+    try {
+      const { userId } = JSON.parse(await encryption.decrypt(info.encryptedSubmitterInfo));
+      return userId || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new ReputationService();
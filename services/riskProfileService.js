@@ -0,0 +1,253 @@
+const RugCoinTombstone = require('../models/RugCoinTombstone');
+const WarningSign = require('../models/WarningSign');
+const InsiderInformation = require('../models/InsiderInformation');
+const blockchainService = require('./blockchainService');
+const premiumService = require('./premiumService');
+const logger = require('../src/utils/logger');
+const { normaliseAddress } = require('../src/utils/address');
+const { TtlCache } = require('../src/utils/cache');
+const { toSectionError } = require('../src/utils/errors');
+
+// Contract patterns that let the owner drain or replace the contract
+const DANGEROUS_PATTERNS = ['selfdestruct', 'delegatecall'];
+
+// Verdicts in ascending order of severity
+const VERDICTS = ['NO_KNOWN_RISK', 'CAUTION', 'DANGER', 'RUGGED'];
+
+/**
+ * Pick the most severe verdict among the reasons
+ * @param {Array<Object>} reasons
+ * @returns {string}
+ */
+const worstVerdict = (reasons) => reasons.reduce(
+  (worst, reason) => VERDICTS.indexOf(reason.verdict) > VERDICTS.indexOf(worst) ? reason.verdict : worst,
+  'NO_KNOWN_RISK'
+);
+
+class RiskProfileService {
+  constructor() {
+    // network:contractAddress -> on-chain snapshot
+    this.onChainCache = new TtlCache({
+      maxSize: parseInt(process.env.RISK_PROFILE_CACHE_SIZE, 10) || 1000,
+      ttlMs: parseInt(process.env.RISK_PROFILE_CACHE_TTL_MS, 10) || 5 * 60 * 1000
+    });
+  }
+
+  /**
+   * Build a risk profile for a token from every intelligence source we hold
+   * @param {string} network
+   * @param {string} contractAddress
+   * @param {Object|null} [user] Caller; warnings still held back from them are
+   *   summarised without details
+   * @returns {Promise<Object>}
+   */
+  async getTokenRiskProfile(network, contractAddress, user = null) {
+    try {
+      const address = normaliseAddress(contractAddress);
+
+      const [tombstone, warnings, insiderInformation, onChain] = await Promise.all([
+        RugCoinTombstone.findOne({ contractAddress: address, blockchainNetwork: network }),
+        WarningSign.find({
+          contractAddress: address,
+          blockchainNetwork: network,
+          status: 'Active'
+        }).sort({ 'aiAnalysis.riskScore': -1 }),
+        InsiderInformation.find({
+          contractAddress: address,
+          blockchainNetwork: network,
+          verificationStatus: 'Verified'
+        }).sort({ credibilityScore: -1 }),
+        this.getOnChainSnapshot(network, contractAddress)
+      ]);
+
+      const activeWarnings = warnings.filter(warning => !premiumService.isEmbargoed(warning, user));
+      const reasons = this.collectReasons({
+        tombstone,
+        activeWarnings,
+        heldBackWarnings: warnings.length - activeWarnings.length,
+        insiderInformation,
+        contractAnalysis: onChain.contractAnalysis
+      });
+
+      return {
+        network,
+        contractAddress,
+        verdict: worstVerdict(reasons),
+        reasons,
+        tombstone,
+        activeWarnings,
+        insiderInformation,
+        contractAnalysis: onChain.contractAnalysis,
+        tokenInfo: onChain.tokenInfo,
+        onChainFetchedAt: onChain.fetchedAt,
+        onChainCached: onChain.cached,
+        errors: onChain.errors
+      };
+    } catch (error) {
+      logger.error(`Error building token risk profile: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Verdicts for many addresses from stored intelligence only. On-chain checks
+   * are skipped so large batches don't fan out into RPC calls.
+   * @param {string} network
+   * @param {Array<string>} contractAddresses
+   * @param {Object|null} [user] Caller
+   * @returns {Promise<Array<Object>>} { contractAddress, verdict, reasons } in input order
+   */
+  async getStoredVerdicts(network, contractAddresses, user = null) {
+    try {
+      const addresses = [...new Set(contractAddresses.map(normaliseAddress))];
+      const filter = { contractAddress: { $in: addresses }, blockchainNetwork: network };
+
+      const [tombstones, warnings, insiderInformation] = await Promise.all([
+        RugCoinTombstone.find(filter),
+        WarningSign.find({ ...filter, status: 'Active' }),
+        InsiderInformation.find({ ...filter, verificationStatus: 'Verified' })
+      ]);
+
+      const byAddress = (docs) => docs.reduce((map, doc) => {
+        const key = doc.contractAddress;
+        map.set(key, [...(map.get(key) || []), doc]);
+        return map;
+      }, new Map());
+
+      const tombstoneMap = byAddress(tombstones);
+      const warningMap = byAddress(warnings);
+      const insiderMap = byAddress(insiderInformation);
+
+      return contractAddresses.map(contractAddress => {
+        const key = normaliseAddress(contractAddress);
+        const warnings = warningMap.get(key) || [];
+        const activeWarnings = warnings.filter(warning => !premiumService.isEmbargoed(warning, user));
+        const reasons = this.collectReasons({
+          tombstone: (tombstoneMap.get(key) || [])[0] || null,
+          activeWarnings,
+          heldBackWarnings: warnings.length - activeWarnings.length,
+          insiderInformation: insiderMap.get(key) || [],
+          contractAnalysis: null
+        });
+
+        return { contractAddress, verdict: worstVerdict(reasons), reasons };
+      });
+    } catch (error) {
+      logger.error(`Error building stored verdicts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch contract analysis and token info, cached per contract. Snapshots with
+   * a failed lookup are not cached so the next request retries.
+   * @param {string} network
+   * @param {string} contractAddress
+   * @returns {Promise<Object>}
+   */
+  async getOnChainSnapshot(network, contractAddress) {
+    const key = `${network}:${normaliseAddress(contractAddress)}`;
+    const cached = this.onChainCache.get(key);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    const [contractResult, tokenResult] = await Promise.allSettled([
+      blockchainService.analyzeContractRisks(contractAddress, network),
+      blockchainService.getTokenInfo(contractAddress, network)
+    ]);
+
+    // Callers only see the catalogue code, so RPC hosts stay out of responses
+    const errors = [];
+    [['contract', contractResult], ['tokenInfo', tokenResult]].forEach(([section, result]) => {
+      if (result.status !== 'rejected') return;
+      logger.warn(`Risk profile ${section} lookup failed for ${key}: ${result.reason.message}`);
+      errors.push(toSectionError(section, result.reason));
+    });
+
+    const tokenInfo = tokenResult.status === 'fulfilled' ? {
+      ...tokenResult.value,
+      decimals: Number(tokenResult.value.decimals),
+      totalSupply: String(tokenResult.value.totalSupply)
+    } : null;
+
+    const snapshot = {
+      contractAnalysis: contractResult.status === 'fulfilled' ? contractResult.value : null,
+      tokenInfo,
+      errors,
+      fetchedAt: Date.now()
+    };
+
+    if (!errors.length) this.onChainCache.set(key, snapshot);
+    return { ...snapshot, cached: false };
+  }
+
+  /**
+   * Turn the gathered records into verdict reasons. Warnings held back from
+   * the caller still make the verdict DANGER, through one reason without
+   * their details.
+   * @param {Object} sources
+   * @returns {Array<Object>} { verdict, source, message }
+   */
+  collectReasons({ tombstone, activeWarnings, heldBackWarnings = 0, insiderInformation, contractAnalysis }) {
+    const reasons = [];
+
+    if (tombstone) {
+      reasons.push(tombstone.verificationStatus === 'Verified' ? {
+        verdict: 'RUGGED',
+        source: 'tombstone',
+        message: `Verified rug pull on ${tombstone.rugPullDate.toISOString().slice(0, 10)}`
+      } : {
+        verdict: 'DANGER',
+        source: 'tombstone',
+        message: `Reported rug pull (${tombstone.verificationStatus.toLowerCase()})`
+      });
+    }
+
+    activeWarnings.forEach(warning => {
+      reasons.push({
+        verdict: ['High', 'Critical'].includes(warning.riskLevel) ? 'DANGER' : 'CAUTION',
+        source: 'warningSign',
+        message: `${warning.riskLevel} warning: ${warning.riskType.join(', ')}`
+      });
+    });
+
+    if (heldBackWarnings > 0) {
+      reasons.push({
+        verdict: 'DANGER',
+        source: 'warningSign',
+        message: 'New Critical warning; details reach free users after a delay'
+      });
+    }
+
+    insiderInformation.forEach(info => {
+      reasons.push({
+        verdict: ['High', 'Critical'].includes(info.riskLevel) ? 'DANGER' : 'CAUTION',
+        source: 'insiderInformation',
+        message: `Verified insider report (${info.riskLevel}): ${info.title}`
+      });
+    });
+
+    if (contractAnalysis) {
+      if (!contractAnalysis.hasCode) {
+        reasons.push({
+          verdict: 'CAUTION',
+          source: 'onChain',
+          message: 'No contract code at this address'
+        });
+      }
+
+      contractAnalysis.risks.forEach(risk => {
+        reasons.push({
+          verdict: DANGEROUS_PATTERNS.includes(risk) ? 'DANGER' : 'CAUTION',
+          source: 'onChain',
+          message: `Contract uses ${risk}`
+        });
+      });
+    }
+
+    return reasons;
+  }
+}
+
+module.exports = new RiskProfileService();
@@ -2,8 +2,20 @@ const RugCoinTombstone = require('../models/RugCoinTombstone');
 const blockchainService = require('./blockchainService');
 const aiService = require('./aiService');
 const logger = require('../src/utils/logger');
+const { dateRangeCondition, bucketsToMap, findEach } = require('../src/utils/aggregation');
+const { normaliseAddress } = require('../src/utils/address');
+const { TtlCache } = require('../src/utils/cache');
+const { NotFoundError, toSectionError } = require('../src/utils/errors');
 
 class RugCoinService {
+  constructor() {
+    // network:contractAddress -> { inputs, report }
+    this.reportCache = new TtlCache({
+      maxSize: parseInt(process.env.RISK_REPORT_CACHE_SIZE, 10) || 1000,
+      ttlMs: parseInt(process.env.RISK_REPORT_CACHE_TTL_MS, 10) || 10 * 60 * 1000
+    });
+  }
+
   /**
    * Create a new rug coin tombstone
    * @param {Object} data Tombstone data
@@ -56,7 +68,7 @@ class RugCoinService {
   async verifyTombstone(tombstoneId, status, userId) {
     try {
       const tombstone = await RugCoinTombstone.findById(tombstoneId);
-      if (!tombstone) throw new Error('Tombstone not found');
+      if (!tombstone) throw new NotFoundError('RugCoinTombstone', tombstoneId);
 
       // Update verification status
       await tombstone.updateVerificationStatus(status, userId);
@@ -90,10 +102,7 @@ class RugCoinService {
 
       // Text search
       if (criteria.searchText) {
-        query.$or = [
-          { projectName: { $regex: criteria.searchText, $options: 'i' } },
-          { tokenSymbol: { $regex: criteria.searchText, $options: 'i' } }
-        ];
+        query.$text = { $search: criteria.searchText };
       }
 
       const tombstones = await RugCoinTombstone.find(query)
@@ -109,32 +118,67 @@ class RugCoinService {
   }
 
   /**
-   * Get similar rug pull cases
-   * @param {string} tombstoneId 
-   * @returns {Promise<Array>}
+   * Get similar rug pull cases of several tombstones in one query
+   * @param {Array<Object>} tombstones
+   * @returns {Promise<Array<Array>>} Similar cases of each tombstone, in order
    */
-  async getSimilarCases(tombstoneId) {
+  async getSimilarCases(tombstones) {
     try {
-      const tombstone = await RugCoinTombstone.findById(tombstoneId);
-      if (!tombstone) throw new Error('Tombstone not found');
-
       // Find similar cases based on fraud tactics and blockchain network
-      const similarCases = await RugCoinTombstone.find({
-        _id: { $ne: tombstoneId },
+      return await findEach(RugCoinTombstone, tombstones.map(tombstone => ({
+        _id: { $ne: tombstone._id },
         blockchainNetwork: tombstone.blockchainNetwork,
         fraudTactics: { $in: tombstone.fraudTactics },
         verificationStatus: 'Verified'
-      })
-        .limit(5)
-        .sort({ rugPullDate: -1 });
-
-      return similarCases;
+      })), { sort: { rugPullDate: -1 }, limit: 5 });
     } catch (error) {
       logger.error(`Error getting similar cases: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Get tombstones related to contracts through their address, their deployer
+   * or the known team members behind earlier rug pulls, in two queries
+   * @param {Array<Object>} criteria contractAddress and optional deployerAddress of each contract
+   * @param {number} limit Tombstones per contract
+   * @returns {Promise<Array<Array>>} Related tombstones of each contract, in order
+   */
+  async getRelatedTombstones(criteria, limit = 10) {
+    try {
+      const sort = { rugPullDate: -1 };
+      const related = await findEach(RugCoinTombstone, criteria.map(({ contractAddress, deployerAddress }) => {
+        const matches = [{ contractAddress: normaliseAddress(contractAddress) }];
+        if (deployerAddress) {
+          matches.push({ deployerAddress: normaliseAddress(deployerAddress) });
+        }
+        return { $or: matches };
+      }), { sort, limit });
+
+      // Follow known team members to their other projects
+      const teamMembers = related.map(direct => [...new Set(direct.flatMap(t =>
+        t.teamInformation.knownMembers.map(member => member.name).filter(Boolean)
+      ))]);
+      const followed = related
+        .map((direct, index) => index)
+        .filter(index => teamMembers[index].length && related[index].length < limit);
+      if (!followed.length) return related;
+
+      const viaTeam = await findEach(RugCoinTombstone, followed.map(index => ({
+        _id: { $nin: related[index].map(t => t._id) },
+        'teamInformation.knownMembers.name': { $in: teamMembers[index] }
+      })), { sort, limit });
+
+      followed.forEach((index, i) => {
+        related[index] = [...related[index], ...viaTeam[i].slice(0, limit - related[index].length)];
+      });
+      return related;
+    } catch (error) {
+      logger.error(`Error getting related tombstones: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Calculate total trading volume
    * @param {string} contractAddress 
@@ -164,43 +208,74 @@ class RugCoinService {
   }
 
   /**
-   * Generate risk report for a project
+   * Generate risk report for a project. Each sub-analysis runs independently,
+   * so a failing RPC call leaves its section empty instead of failing the report.
    * @param {Object} projectData 
    * @returns {Promise<Object>}
    */
   async generateRiskReport(projectData) {
     try {
-      // Get contract analysis
-      const contractRisks = await blockchainService.analyzeContractRisks(
-        projectData.contractAddress,
-        projectData.blockchainNetwork
-      );
+      const { contractAddress, pairAddress, teamWallets, blockchainNetwork } = projectData;
+      const errors = [];
+
+      const [contractResult, liquidityResult, teamResult] = await Promise.allSettled([
+        // Get contract analysis
+        blockchainService.analyzeContractRisks(contractAddress, blockchainNetwork),
+
+        // Check liquidity pool
+        pairAddress
+          ? blockchainService.checkLiquidityPool(pairAddress, blockchainNetwork)
+          : null,
+
+        // Track team wallet activities
+        teamWallets && teamWallets.length
+          ? blockchainService.trackTeamWallets(teamWallets, blockchainNetwork)
+          : null
+      ]);
+
+      // Failed sections are reported by code; the raw cause stays in the log
+      const fail = (section, error) => {
+        logger.warn(`Risk report ${section} section failed for ${contractAddress}: ${error.message}`);
+        errors.push(toSectionError(section, error));
+      };
 
-      // Check liquidity pool
-      const liquidityData = await blockchainService.checkLiquidityPool(
-        projectData.pairAddress,
-        projectData.blockchainNetwork
-      );
+      const settle = (section, result) => {
+        if (result.status === 'fulfilled') return result.value;
+        fail(section, result.reason);
+        return null;
+      };
 
-      // Track team wallet activities
-      const teamActivities = await blockchainService.trackTeamWallets(
-        projectData.teamWallets,
-        projectData.blockchainNetwork
-      );
+      const contractRisks = settle('contract', contractResult);
+      const liquidityData = settle('liquidity', liquidityResult);
+      const teamActivities = settle('team', teamResult);
 
       // Predict rug pull risk using AI
-      const riskAnalysis = await aiService.predictRugPullRisk({
-        ...projectData,
-        contractRisks,
-        liquidityData,
-        teamActivities
-      });
+      let riskAnalysis = null;
+      try {
+        riskAnalysis = await aiService.predictRugPullRisk({
+          ...projectData,
+          contractRisks,
+          liquidityData,
+          teamActivities
+        });
+      } catch (error) {
+        fail('prediction', error);
+      }
 
       return {
         contractAnalysis: contractRisks,
-        liquidityAnalysis: liquidityData,
-        teamAnalysis: teamActivities,
+        liquidityAnalysis: liquidityData && {
+          ...liquidityData,
+          reserve0: String(liquidityData.reserve0),
+          reserve1: String(liquidityData.reserve1)
+        },
+        teamAnalysis: teamActivities && teamActivities.map(activity => ({
+          ...activity,
+          balance: String(activity.balance),
+          txCount: Number(activity.txCount)
+        })),
         riskPrediction: riskAnalysis,
+        errors,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -209,6 +284,33 @@ class RugCoinService {
     }
   }
 
+  /**
+   * Get risk report for a project, served from the per-contract cache while fresh.
+   * Only complete reports are cached, so a failed section is retried next time.
+   * @param {Object} projectData 
+   * @param {boolean} refresh Bypass the cache
+   * @returns {Promise<Object>}
+   */
+  async getRiskReport(projectData, refresh = false) {
+    const key = `${projectData.blockchainNetwork}:${normaliseAddress(projectData.contractAddress)}`;
+    const inputs = JSON.stringify([
+      projectData.pairAddress || null,
+      [...(projectData.teamWallets || [])].sort()
+    ]);
+
+    const cached = this.reportCache.get(key);
+    if (!refresh && cached && cached.inputs === inputs) {
+      return { ...cached.report, cached: true };
+    }
+
+    const report = await this.generateRiskReport(projectData);
+    if (!report.errors.length) {
+      this.reportCache.set(key, { inputs, report });
+    }
+
+    return { ...report, cached: false };
+  }
+
   /**
    * Get rug pull statistics
    * @param {string} network 
@@ -217,39 +319,52 @@ class RugCoinService {
    */
   async getRugPullStats(network, dateRange) {
     try {
-      const query = {
-        verificationStatus: 'Verified',
-        rugPullDate: {
-          $gte: dateRange.start,
-          $lte: dateRange.end
+      const match = { verificationStatus: 'Verified' };
+
+      const rugPullDate = dateRangeCondition(dateRange);
+      if (rugPullDate) match.rugPullDate = rugPullDate;
+      if (network) match.blockchainNetwork = network;
+
+      const [result] = await RugCoinTombstone.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            totals: [{
+              $group: {
+                _id: null,
+                totalCases: { $sum: 1 },
+                totalLoss: { $sum: '$totalLoss' },
+                affectedUsers: { $sum: '$affectedUsers' }
+              }
+            }],
+            // Count fraud tactics
+            fraudTactics: [
+              { $unwind: '$fraudTactics' },
+              { $group: { _id: '$fraudTactics', count: { $sum: 1 } } }
+            ],
+            // Group by month for timeline
+            timeline: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: '%Y-%m', date: '$rugPullDate' } },
+                  count: { $sum: 1 }
+                }
+              },
+              { $sort: { _id: 1 } }
+            ]
+          }
         }
-      };
-
-      if (network) query.blockchainNetwork = network;
+      ]);
 
-      const tombstones = await RugCoinTombstone.find(query);
+      const totals = result.totals[0] || {};
 
-      // Calculate statistics
-      const stats = {
-        totalCases: tombstones.length,
-        totalLoss: tombstones.reduce((sum, t) => sum + t.totalLoss, 0),
-        affectedUsers: tombstones.reduce((sum, t) => sum + t.affectedUsers, 0),
-        fraudTactics: {},
-        timeline: {}
+      return {
+        totalCases: totals.totalCases || 0,
+        totalLoss: totals.totalLoss || 0,
+        affectedUsers: totals.affectedUsers || 0,
+        fraudTactics: bucketsToMap(result.fraudTactics),
+        timeline: bucketsToMap(result.timeline)
       };
-
-      // Count fraud tactics
-      tombstones.forEach(t => {
-        t.fraudTactics.forEach(tactic => {
-          stats.fraudTactics[tactic] = (stats.fraudTactics[tactic] || 0) + 1;
-        });
-
-        // Group by month for timeline
-        const month = t.rugPullDate.toISOString().slice(0, 7);
-        stats.timeline[month] = (stats.timeline[month] || 0) + 1;
-      });
-
-      return stats;
     } catch (error) {
       logger.error(`Error getting rug pull statistics: ${error.message}`);
       throw error;
@@ -0,0 +1,203 @@
+const RugCoinTombstone = require('../models/RugCoinTombstone');
+const InsiderInformation = require('../models/InsiderInformation');
+const WarningSign = require('../models/WarningSign');
+const ChatMessage = require('../models/ChatMessage');
+const premiumService = require('./premiumService');
+const logger = require('../src/utils/logger');
+const { ValidationError } = require('../src/utils/errors');
+
+// Score given to exact contract address / tx hash matches so they rank first
+const EXACT_MATCH_SCORE = 100;
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_RESULTS = 50;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Searchable entities keyed by SearchType enum value. accessFilter narrows
+// the results to what the caller may see.
+const SEARCH_TARGETS = {
+  TOMBSTONE: {
+    model: RugCoinTombstone,
+    networkField: 'blockchainNetwork',
+    filter: {},
+    snippetFields: ['projectName', 'tokenSymbol'],
+    exactFields: ['contractAddress', 'deployerAddress', 'evidence']
+  },
+  INSIDER_INFORMATION: {
+    model: InsiderInformation,
+    networkField: 'blockchainNetwork',
+    filter: {},
+    snippetFields: ['content', 'title'],
+    exactFields: ['contractAddress', 'evidence']
+  },
+  WARNING_SIGN: {
+    model: WarningSign,
+    networkField: 'blockchainNetwork',
+    filter: {},
+    accessFilter: user => premiumService.warningFilter(user),
+    snippetFields: ['description', 'projectName'],
+    exactFields: ['contractAddress', 'deployerAddress', 'evidence.onChainData.transactionHash']
+  },
+  CHAT_MESSAGE: {
+    model: ChatMessage,
+    networkField: 'metadata.blockchainNetwork',
+    filter: {},
+    accessFilter: user => premiumService.messageFilter(user),
+    snippetFields: ['content'],
+    exactFields: ['metadata.contractAddress', 'metadata.evidenceUrl']
+  }
+};
+
+class SearchService {
+  /**
+   * Search tombstones, insider information, warning signs and chat
+   * @param {string} query Search text, contract address or tx hash
+   * @param {Object} options types, network, limit and the searching user
+   * @returns {Promise<Array>} Results sorted by score
+   */
+  async search(query, { types, network, limit = 20, user = null } = {}) {
+    try {
+      const text = (query || '').trim();
+      if (!text) return [];
+      if (text.length > MAX_QUERY_LENGTH) {
+        throw new ValidationError([{ field: 'query', message: `Must be at most ${MAX_QUERY_LENGTH} characters` }]);
+      }
+
+      const targets = types && types.length ? types : Object.keys(SEARCH_TARGETS);
+      const size = Math.min(Math.max(limit, 1), MAX_RESULTS);
+      const identifier = this.isIdentifier(text);
+
+      const results = await Promise.all(targets.map(async (type) => {
+        const target = SEARCH_TARGETS[type];
+        const filter = { ...target.filter };
+        if (network) filter[target.networkField] = network;
+        // Kept under $and so it can't clash with the $or of exact matches
+        const access = target.accessFilter ? target.accessFilter(user) : {};
+        if (Object.keys(access).length) filter.$and = [access];
+
+        const [exact, ranked] = await Promise.all([
+          identifier ? this.exactMatches(target, filter, text, size) : [],
+          this.textMatches(target, filter, text, size)
+        ]);
+
+        // Keep the best score per document
+        const byId = new Map();
+        [...exact, ...ranked].forEach(result => {
+          const existing = byId.get(result.item.id);
+          if (!existing || existing.score < result.score) byId.set(result.item.id, result);
+        });
+
+        return [...byId.values()].map(result => ({
+          ...result,
+          snippet: this.buildSnippet(target, result.item, text)
+        }));
+      }));
+
+      return results
+        .flat()
+        .sort((a, b) => b.score - a.score)
+        .slice(0, size);
+    } catch (error) {
+      logger.error(`Error searching: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a ranked text index search
+   * @param {Object} target
+   * @param {Object} filter
+   * @param {string} text
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async textMatches(target, filter, text, limit) {
+    const docs = await target.model.find(
+      { ...filter, $text: { $search: text } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit);
+
+    return docs.map(doc => ({
+      item: doc,
+      score: doc.get('score'),
+      matchType: 'TEXT'
+    }));
+  }
+
+  /**
+   * Find exact contract address / tx hash matches
+   * @param {Object} target
+   * @param {Object} filter
+   * @param {string} text
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async exactMatches(target, filter, text, limit) {
+    // Hex identifiers are case-insensitive, base58 ones are not
+    const values = text.startsWith('0x') ? [...new Set([text, text.toLowerCase()])] : [text];
+
+    const docs = await target.model.find({
+      ...filter,
+      $or: target.exactFields.map(field => ({ [field]: { $in: values } }))
+    }).limit(limit);
+
+    return docs.map(doc => ({
+      item: doc,
+      score: EXACT_MATCH_SCORE,
+      matchType: 'EXACT'
+    }));
+  }
+
+  /**
+   * Check whether the query is an EVM address, EVM tx hash or Solana address/signature
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isIdentifier(text) {
+    return /^0x[a-fA-F0-9]{40}$/.test(text) ||
+      /^0x[a-fA-F0-9]{64}$/.test(text) ||
+      /^[1-9A-HJ-NP-Za-km-z]{32,88}$/.test(text);
+  }
+
+  /**
+   * Build a snippet around the first matched term with matches wrapped in
+   * <mark>. The text is user content, so everything else is HTML-escaped.
+   * @param {Object} target
+   * @param {Object} doc
+   * @param {string} text
+   * @param {number} radius Characters of context either side of the match
+   * @returns {string|null}
+   */
+  buildSnippet(target, doc, text, radius = 60) {
+    const terms = text.split(/\s+/).filter(Boolean);
+    const pattern = new RegExp(
+      terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+      'gi'
+    );
+
+    const values = target.snippetFields
+      .map(field => doc.get(field))
+      .filter(value => typeof value === 'string' && value.length);
+    if (!values.length) return null;
+
+    const source = values.find(value => value.search(pattern) !== -1) || values[0];
+    pattern.lastIndex = 0;
+    const index = Math.max(source.search(pattern), 0);
+
+    const start = Math.max(index - radius, 0);
+    const end = Math.min(index + radius, source.length);
+    // Splitting on a capturing group puts the matches at odd indexes
+    const excerpt = source.slice(start, end)
+      .split(new RegExp(`(${pattern.source})`, 'gi'))
+      .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+
+    return `${start > 0 ? '…' : ''}${excerpt}${end < source.length ? '…' : ''}`;
+  }
+}
+
+module.exports = new SearchService();
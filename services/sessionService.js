@@ -0,0 +1,174 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const config = require('../config/auth');
+const encryption = require('../src/utils/encryption');
+const logger = require('../src/utils/logger');
+const { generateToken, isDeleted, isSuspended } = require('../src/utils/auth');
+const { AuthenticationError, ForbiddenError } = require('../src/utils/errors');
+
+class SessionService {
+  /**
+   * Start a session and issue its first token pair
+   * @param {Object} user
+   * @param {Object} client userAgent and ip of the device logging in
+   * @returns {Promise<Object>} { token, refreshToken, user }
+   */
+  async createSession(user, { userAgent, ip } = {}) {
+    try {
+      this.assertNotSuspended(user);
+
+      const secret = encryption.generateToken(64);
+      const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: encryption.generateHash(secret),
+        userAgent,
+        ip,
+        expiresAt: new Date(Date.now() + config.refreshTokenTtlMs)
+      });
+
+      return this.tokenPair(user, session, secret);
+    } catch (error) {
+      logger.error(`Error creating session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Refresh tokens are single
+   * use: presenting one that has already been rotated means it was copied, so
+   * the whole session is revoked. Any other wrong secret is just rejected,
+   * since session ids aren't secret.
+   * @param {string} refreshToken
+   * @param {Object} client userAgent and ip
+   * @returns {Promise<Object>} { token, refreshToken, user }
+   */
+  async refresh(refreshToken, { userAgent, ip } = {}) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!/^[a-f0-9]{24}$/.test(sessionId) || !secret) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    // Rotating only if the presented secret is still current makes concurrent
+    // refreshes with one token succeed at most once
+    const hash = encryption.generateHash(secret);
+    const nextSecret = encryption.generateToken(64);
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: encryption.generateHash(nextSecret),
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + config.refreshTokenTtlMs),
+          ...(userAgent && { userAgent }),
+          ...(ip && { ip })
+        },
+        $push: { rotatedRefreshTokenHashes: { $each: [hash], $slice: -config.rotatedRefreshTokensKept } }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      await this.revokeOnReuse(sessionId, hash);
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) throw new AuthenticationError('Invalid refresh token');
+    this.assertNotSuspended(user);
+
+    return this.tokenPair(user, session, nextSecret);
+  }
+
+  /**
+   * Revoke a session if a refresh token hash is one it already rotated
+   * @param {string} sessionId
+   * @param {string} hash
+   * @returns {Promise<boolean>} Whether the session was revoked
+   */
+  async revokeOnReuse(sessionId, hash) {
+    const result = await Session.updateOne(
+      { _id: sessionId, rotatedRefreshTokenHashes: hash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    logger.warn(`Refresh token reuse detected, session ${sessionId} revoked`);
+    return true;
+  }
+
+  /**
+   * Keep suspended, banned and deleted users from getting tokens
+   * @param {Object} user
+   */
+  assertNotSuspended(user) {
+    if (isDeleted(user)) throw new AuthenticationError('Account has been deleted');
+    if (!isSuspended(user)) return;
+
+    const { banned, until, reason } = user.suspension;
+    throw new ForbiddenError(banned ? 'Account is banned' : `Account is suspended until ${until.toISOString()}`, {
+      reason: banned ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED',
+      ...(!banned && { until: until.toISOString() }),
+      ...(reason && { suspensionReason: reason })
+    });
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} sessionId
+   * @param {string} userId
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revokeSession(sessionId, userId) {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId
+   * @param {Object} [options] exceptSessionId to keep, e.g. the caller's, and reason
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllSessions(userId, { exceptSessionId, reason = 'logout_all' } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(
+      filter,
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getActiveSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Access token and refresh token for a session. The refresh token is the
+   * session id and its current secret.
+   * @param {Object} user
+   * @param {Object} session Session
+   * @param {string} secret Refresh secret, stored only as a hash
+   * @returns {Object} { token, refreshToken, user }
+   */
+  tokenPair(user, session, secret) {
+    return {
+      token: generateToken(user, session.id),
+      refreshToken: `${session.id}.${secret}`,
+      user
+    };
+  }
+}
+
+module.exports = new SessionService();
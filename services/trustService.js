@@ -0,0 +1,232 @@
+const User = require('../models/User');
+const TrustSettings = require('../models/TrustSettings');
+const TrustLevelChange = require('../models/TrustLevelChange');
+const auditService = require('./auditService');
+const config = require('../config/reputation');
+const logger = require('../src/utils/logger');
+const { paginate } = require('../src/utils/pagination');
+const { TRUST_LEVELS, hasTrustLevel } = require('../src/utils/auth');
+const { containsLink } = require('../src/utils/validation');
+const { ForbiddenError, ValidationError } = require('../src/utils/errors');
+
+// Levels that have a reputation threshold, in ascending order
+const THRESHOLD_LEVELS = TRUST_LEVELS.slice(1);
+
+class TrustService {
+  constructor() {
+    this.settings = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Current trust settings, cached for config.trust.settingsCacheMs
+   * @returns {Promise<Object>} { thresholds, coVerificationsRequired, updatedAt }
+   */
+  async getSettings() {
+    if (this.settings && Date.now() - this.loadedAt < config.trust.settingsCacheMs) {
+      return this.settings;
+    }
+
+    const stored = await TrustSettings.findOne({ key: 'default' });
+    this.settings = stored
+      ? {
+        thresholds: stored.thresholds.map(({ level, minReputation }) => ({ level, minReputation })),
+        coVerificationsRequired: stored.coVerificationsRequired,
+        updatedAt: stored.updatedAt
+      }
+      : {
+        thresholds: THRESHOLD_LEVELS.map(level => ({ level, minReputation: config.trust.thresholds[level] })),
+        coVerificationsRequired: config.trust.coVerificationsRequired,
+        updatedAt: null
+      };
+    this.loadedAt = Date.now();
+    return this.settings;
+  }
+
+  /**
+   * Change the trust settings and move every user whose level they change.
+   * Other instances pick the new settings up when their cache expires.
+   * @param {Object} input thresholds and coVerificationsRequired, both optional
+   * @param {Object} admin
+   * @returns {Promise<Object>} The new settings
+   */
+  async updateSettings(input, admin) {
+    try {
+      this.settings = null;
+      const current = await this.getSettings();
+      const thresholds = input.thresholds || current.thresholds;
+      const coVerificationsRequired = input.coVerificationsRequired != null
+        ? input.coVerificationsRequired
+        : current.coVerificationsRequired;
+      this.assertValidSettings(thresholds, coVerificationsRequired);
+
+      await TrustSettings.findOneAndUpdate({ key: 'default' }, {
+        thresholds: THRESHOLD_LEVELS.map(level => thresholds.find(threshold => threshold.level === level)),
+        coVerificationsRequired,
+        updatedBy: admin.id
+      }, { upsert: true, setDefaultsOnInsert: true, runValidators: true });
+
+      this.settings = null;
+      const settings = await this.getSettings();
+      const changed = await this.resync(settings, admin.id);
+      await auditService.record('UPDATE_TRUST_SETTINGS', admin, {
+        details: {
+          thresholds: settings.thresholds,
+          coVerificationsRequired: settings.coVerificationsRequired,
+          usersChanged: changed
+        }
+      });
+
+      logger.info(`Trust settings updated by ${admin.id}; ${changed} users changed level`);
+      return settings;
+    } catch (error) {
+      logger.error(`Error updating trust settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Array<Object>} thresholds level and minReputation
+   * @param {number} coVerificationsRequired
+   */
+  assertValidSettings(thresholds, coVerificationsRequired) {
+    const errors = [];
+
+    const levels = thresholds.map(threshold => threshold.level);
+    if (levels.length !== THRESHOLD_LEVELS.length || !THRESHOLD_LEVELS.every(level => levels.includes(level))) {
+      errors.push({ field: 'thresholds', message: `Must set each of ${THRESHOLD_LEVELS.join(', ')} once` });
+    } else {
+      const values = THRESHOLD_LEVELS.map(level => thresholds.find(threshold => threshold.level === level).minReputation);
+      if (values.some((value, i) => i > 0 && value <= values[i - 1])) {
+        errors.push({ field: 'thresholds', message: 'Must increase with each level' });
+      }
+    }
+
+    if (!Number.isInteger(coVerificationsRequired) || coVerificationsRequired < 1) {
+      errors.push({ field: 'coVerificationsRequired', message: 'Must be at least 1' });
+    }
+
+    if (errors.length) throw new ValidationError(errors);
+  }
+
+  /**
+   * Trust level for a reputation
+   * @param {number} reputation
+   * @param {Object} settings
+   * @returns {string}
+   */
+  levelFor(reputation, settings) {
+    return settings.thresholds.reduce(
+      (level, threshold) => (reputation >= threshold.minReputation ? threshold.level : level),
+      'NEW'
+    );
+  }
+
+  /**
+   * Bring a user's level in line with their reputation. Never throws.
+   * @param {string} userId
+   * @returns {Promise<Object|null>} The recorded change, if any
+   */
+  async sync(userId) {
+    try {
+      const user = await User.findById(userId).select('reputation trustLevel');
+      if (!user) return null;
+
+      const level = this.levelFor(user.reputation, await this.getSettings());
+      if (level === user.trustLevel) return null;
+      return await this.changeLevel(user, level, 'REPUTATION');
+    } catch (error) {
+      logger.error(`Error syncing trust level for user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Move every user whose stored level doesn't match the settings
+   * @param {Object} settings
+   * @param {string} actorId Admin who changed the settings
+   * @returns {Promise<number>} Users changed
+   */
+  async resync(settings, actorId) {
+    let changed = 0;
+
+    for (const [index, level] of TRUST_LEVELS.entries()) {
+      const reputation = {};
+      if (index > 0) reputation.$gte = settings.thresholds[index - 1].minReputation;
+      if (index < settings.thresholds.length) reputation.$lt = settings.thresholds[index].minReputation;
+
+      // Accounts from before trust levels have no stored level and count as NEW
+      const trustLevel = level === 'NEW' ? { $nin: ['NEW', null] } : { $ne: level };
+      const cursor = User.find({ reputation, trustLevel }).select('reputation trustLevel').cursor();
+      for await (const user of cursor) {
+        if (await this.changeLevel(user, level, 'THRESHOLDS', actorId)) changed++;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Store a new level and record the change. The update only applies if the
+   * level is still the one read, so concurrent syncs record it once.
+   * @param {Object} user User with reputation and trustLevel
+   * @param {string} level
+   * @param {string} cause 'REPUTATION' or 'THRESHOLDS'
+   * @param {string} [actorId]
+   * @returns {Promise<Object|null>}
+   */
+  async changeLevel(user, level, cause, actorId) {
+    const from = user.trustLevel || 'NEW';
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, trustLevel: from === 'NEW' ? { $in: ['NEW', null] } : from },
+      { $set: { trustLevel: level } }
+    );
+    if (!updated) return null;
+
+    logger.info(`User ${user._id} trust level changed from ${from} to ${level}`);
+    return TrustLevelChange.create({
+      user: user._id,
+      from,
+      to: level,
+      reputation: user.reputation,
+      cause,
+      actor: actorId
+    });
+  }
+
+  /**
+   * Weight of a user's flag toward ChatMessage auto-moderation: trusted
+   * users' flags count double
+   * @param {Object} user
+   * @returns {number}
+   */
+  flagWeight(user) {
+    return hasTrustLevel(user, 'TRUSTED') ? 2 : 1;
+  }
+
+  /**
+   * Check a user may post chat content. New accounts can't post links.
+   * @param {Object} user
+   * @param {string} content
+   */
+  assertCanPost(user, content) {
+    if (containsLink(content) && !hasTrustLevel(user, 'MEMBER')) {
+      throw new ForbiddenError('New accounts can\'t post links', {
+        reason: 'TRUST_LEVEL_REQUIRED',
+        requiredLevel: 'MEMBER'
+      });
+    }
+  }
+
+  /**
+   * Trust level changes of a user, newest first
+   * @param {string} userId
+   * @param {Object} args Connection arguments
+   * @returns {Promise<Object>}
+   */
+  async getHistory(userId, args) {
+    return paginate(TrustLevelChange, { user: userId }, { ...args, sortField: 'createdAt' });
+  }
+}
+
+module.exports = new TrustService();
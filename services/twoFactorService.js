@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const config = require('../config/auth');
+const encryption = require('../src/utils/encryption');
+const logger = require('../src/utils/logger');
+const totp = require('../src/utils/totp');
+const { verifyChallengeToken } = require('../src/utils/auth');
+const { AuthenticationError, ForbiddenError, ValidationError } = require('../src/utils/errors');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+/**
+ * Normalise a recovery code for hashing: case and separators don't matter
+ * @param {string} code
+ * @returns {string}
+ */
+const normaliseRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+class TwoFactorService {
+  /**
+   * Start enrollment with a new secret. 2FA isn't enabled until a code from
+   * the authenticator app is confirmed.
+   * @param {Object} user
+   * @returns {Promise<Object>} { secret, provisioningUri }
+   */
+  async beginEnrollment(user) {
+    try {
+      if (user.twoFactor && user.twoFactor.enabled) {
+        throw new ValidationError([{ field: 'twoFactor', message: 'Already enabled' }]);
+      }
+
+      const secret = totp.generateSecret();
+      user.twoFactor.pendingSecret = await encryption.encrypt(secret);
+      await user.save();
+
+      return {
+        secret,
+        provisioningUri: totp.provisioningUri({ secret, account: user.email || user.username, issuer: config.twoFactor.issuer })
+      };
+    } catch (error) {
+      logger.error(`Error starting 2FA enrollment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable 2FA once the user proves their app produces valid codes. Other
+   * sessions were created without a second factor, so they are signed out.
+   * @param {Object} user
+   * @param {string} code
+   * @returns {Promise<Array<string>>} Recovery codes, shown only once
+   */
+  async confirmEnrollment(user, code) {
+    const account = await User.findById(user.id).select(SECRET_FIELDS);
+    if (!account.twoFactor.pendingSecret) {
+      throw new ValidationError([{ field: 'twoFactor', message: 'No enrollment in progress' }]);
+    }
+
+    const secret = await encryption.decrypt(account.twoFactor.pendingSecret);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      throw new ValidationError([{ field: 'code', message: 'Invalid code' }]);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    account.twoFactor = {
+      enabled: true,
+      secret: account.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(value => encryption.generateHash(normaliseRecoveryCode(value))),
+      enabledAt: new Date()
+    };
+    await account.save();
+    await sessionService.revokeAllSessions(account.id, {
+      exceptSessionId: user.$locals.sessionId,
+      reason: 'two_factor_enabled'
+    });
+
+    logger.info(`2FA enabled for user ${account.id}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off
+   * @param {Object} user
+   * @param {string} code Current TOTP or recovery code
+   * @returns {Promise<void>}
+   */
+  async disable(user, code) {
+    const account = await this.loadVerified(user.id, code);
+    account.twoFactor = { enabled: false };
+    await account.save();
+
+    logger.info(`2FA disabled for user ${account.id}`);
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {Object} user
+   * @param {string} code Current TOTP or recovery code
+   * @returns {Promise<Array<string>>}
+   */
+  async regenerateRecoveryCodes(user, code) {
+    const account = await this.loadVerified(user.id, code);
+    const recoveryCodes = this.generateRecoveryCodes();
+    account.twoFactor.recoveryCodes = recoveryCodes.map(value => encryption.generateHash(normaliseRecoveryCode(value)));
+    await account.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Second step of a login: trade the challenge from login and a code for tokens
+   * @param {string} challenge
+   * @param {string} code TOTP or recovery code
+   * @param {Object} client userAgent and ip
+   * @returns {Promise<Object>} { token, refreshToken, user }
+   */
+  async completeLogin(challenge, code, client) {
+    const userId = verifyChallengeToken(challenge);
+    const account = userId && await User.findById(userId).select(SECRET_FIELDS);
+    if (!account || !account.twoFactor.enabled) {
+      throw new AuthenticationError('Invalid or expired login challenge');
+    }
+    if (!(await this.attemptCode(account, code))) {
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    account.lastLogin = new Date();
+    await account.save();
+
+    return sessionService.createSession(account, client);
+  }
+
+  /**
+   * Load a user with 2FA enabled and check a code for them
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<Object>}
+   */
+  async loadVerified(userId, code) {
+    const account = await User.findById(userId).select(SECRET_FIELDS);
+    if (!account.twoFactor.enabled) {
+      throw new ValidationError([{ field: 'twoFactor', message: 'Not enabled' }]);
+    }
+    if (!(await this.attemptCode(account, code))) {
+      throw new ValidationError([{ field: 'code', message: 'Invalid code' }]);
+    }
+    return account;
+  }
+
+  /**
+   * Check a code, counting wrong ones. After maxFailedAttempts wrong codes in
+   * a row the account accepts no codes until the lockout ends.
+   * @param {Object} account User loaded with 2FA secrets
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async attemptCode(account, code) {
+    const { lockedUntil } = account.twoFactor;
+    if (lockedUntil && lockedUntil > new Date()) {
+      throw new ForbiddenError('Too many invalid two-factor codes, try again later', {
+        reason: 'TWO_FACTOR_LOCKED',
+        lockedUntil: lockedUntil.toISOString()
+      });
+    }
+
+    if (!(await this.checkCode(account, code))) {
+      await this.recordFailure(account);
+      return false;
+    }
+
+    if (account.twoFactor.failedAttempts) {
+      account.twoFactor.failedAttempts = 0;
+      await account.save();
+    }
+    return true;
+  }
+
+  /**
+   * Count a wrong code atomically, so parallel guesses are all counted, and
+   * start a lockout once there have been too many in a row
+   * @param {Object} account
+   * @returns {Promise<void>}
+   */
+  async recordFailure(account) {
+    const { maxFailedAttempts, lockoutMs } = config.twoFactor;
+    const updated = await User.findOneAndUpdate(
+      { _id: account._id },
+      { $inc: { 'twoFactor.failedAttempts': 1 } },
+      { new: true, projection: { 'twoFactor.failedAttempts': 1 } }
+    );
+    if (!updated || updated.twoFactor.failedAttempts < maxFailedAttempts) return;
+
+    await User.updateOne(
+      { _id: account._id },
+      { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + lockoutMs) } }
+    );
+    logger.warn(`2FA locked for user ${account.id} after ${updated.twoFactor.failedAttempts} invalid codes`);
+  }
+
+  /**
+   * Accept a TOTP code not used before, or consume a recovery code. The
+   * document is saved straight away so the code can't be used twice.
+   * @param {Object} account User loaded with 2FA secrets
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async checkCode(account, code) {
+    const secret = await encryption.decrypt(account.twoFactor.secret);
+    const step = totp.verifyCode(secret, code);
+    if (step !== null) {
+      const { lastUsedStep } = account.twoFactor;
+      if (typeof lastUsedStep === 'number' && step <= lastUsedStep) return false;
+      account.twoFactor.lastUsedStep = step;
+      await account.save();
+      return true;
+    }
+
+    const hash = encryption.generateHash(normaliseRecoveryCode(code));
+    const index = account.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+
+    account.twoFactor.recoveryCodes.splice(index, 1);
+    await account.save();
+    logger.info(`Recovery code used by user ${account.id}, ${account.twoFactor.recoveryCodes.length} left`);
+    return true;
+  }
+
+  /**
+   * Random single-use recovery codes like "3f9a1-c07e2"
+   * @returns {Array<string>}
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const chatService = require('./chatService');
+const apiKeyService = require('./apiKeyService');
+const webhookService = require('./webhookService');
+const auditService = require('./auditService');
+const logger = require('../src/utils/logger');
+const { isDeleted, isSuspended } = require('../src/utils/auth');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../src/utils/errors');
+
+class UserAdminService {
+  /**
+   * Change a user's role
+   * @param {string} id
+   * @param {string} role 'user', 'moderator' or 'admin'
+   * @param {Object} admin
+   * @returns {Promise<Object>} The user
+   */
+  async setRole(id, role, admin) {
+    try {
+      const user = await this.loadTarget(id, admin);
+      const previous = user.role;
+      if (previous === role) return user;
+
+      user.role = role;
+      await user.save();
+      await auditService.record('SET_ROLE', admin, { target: user._id, details: { from: previous, to: role } });
+      return user;
+    } catch (error) {
+      logger.error(`Error setting role of user ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Suspend a user until a date
+   * @param {string} id
+   * @param {Object} input until (ISO date) and reason
+   * @param {Object} admin
+   * @returns {Promise<Object>}
+   */
+  async suspend(id, { until, reason }, admin) {
+    const end = new Date(until);
+    if (isNaN(end) || end <= new Date()) {
+      throw new ValidationError([{ field: 'until', message: 'Must be a date in the future' }]);
+    }
+    return this.restrict(id, 'SUSPEND', { banned: false, until: end }, reason, admin);
+  }
+
+  /**
+   * Ban a user until reinstated
+   * @param {string} id
+   * @param {string} reason
+   * @param {Object} admin
+   * @returns {Promise<Object>}
+   */
+  async ban(id, reason, admin) {
+    return this.restrict(id, 'BAN', { banned: true }, reason, admin);
+  }
+
+  /**
+   * Suspend or ban, signing the user out everywhere
+   * @param {string} id
+   * @param {string} action 'SUSPEND' or 'BAN'
+   * @param {Object} fields banned and until
+   * @param {string} reason
+   * @param {Object} admin
+   * @returns {Promise<Object>}
+   */
+  async restrict(id, action, fields, reason, admin) {
+    try {
+      if (!reason || !reason.trim()) {
+        throw new ValidationError([{ field: 'reason', message: 'Is required' }]);
+      }
+
+      const user = await this.loadTarget(id, admin);
+      user.suspension = { ...fields, reason, suspendedBy: admin.id, suspendedAt: new Date() };
+      await user.save();
+
+      await sessionService.revokeAllSessions(user.id, { reason: 'account_suspended' });
+      chatService.disconnectUser(user.id);
+      await auditService.record(action, admin, {
+        target: user._id,
+        reason,
+        details: fields.until ? { until: fields.until.toISOString() } : undefined
+      });
+      return user;
+    } catch (error) {
+      logger.error(`Error restricting user ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a suspension or ban
+   * @param {string} id
+   * @param {string} [reason]
+   * @param {Object} admin
+   * @returns {Promise<Object>}
+   */
+  async reinstate(id, reason, admin) {
+    const user = await this.loadTarget(id, admin);
+    if (!isSuspended(user)) {
+      throw new ValidationError([{ field: 'id', message: 'User is not suspended or banned' }]);
+    }
+
+    user.suspension = undefined;
+    await user.save();
+    await auditService.record('REINSTATE', admin, { target: user._id, reason });
+    return user;
+  }
+
+  /**
+   * Delete a user. The document is kept so their submissions still have a
+   * submitter, but everything identifying them is removed and they are
+   * signed out, their API keys revoked and their webhooks disabled.
+   * @param {string} id
+   * @param {Object} admin
+   * @returns {Promise<boolean>}
+   */
+  async deleteUser(id, admin) {
+    try {
+      const user = await this.loadTarget(id, admin);
+
+      // Usernames are at most 30 characters, too short for the hex id
+      await User.updateOne({ _id: user._id }, {
+        $set: {
+          username: `deleted_${BigInt(`0x${user.id}`).toString(36)}`,
+          deletedAt: new Date(),
+          twoFactor: { enabled: false },
+          isPremium: false
+        },
+        $unset: { email: 1, emailVerified: 1, emailVerifiedAt: 1, password: 1, wallets: 1, suspension: 1 }
+      });
+
+      await sessionService.revokeAllSessions(user.id, { reason: 'account_deleted' });
+      await apiKeyService.revokeAllKeys(user.id);
+      await webhookService.disableAllEndpoints(user.id);
+      chatService.disconnectUser(user.id);
+      await auditService.record('DELETE_USER', admin, { target: user._id, details: { username: user.username } });
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting user ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the user an admin action applies to. Deleted users can't be acted
+   * on, and admins can't act on their own account, so they can't lock
+   * themselves out.
+   * @param {string} id
+   * @param {Object} admin
+   * @returns {Promise<Object>}
+   */
+  async loadTarget(id, admin) {
+    const user = await User.findById(id);
+    if (!user || isDeleted(user)) throw new NotFoundError('User', id);
+    if (user.id === admin.id) {
+      throw new ForbiddenError('Admins can\'t apply this action to their own account');
+    }
+    return user;
+  }
+}
+
+module.exports = new UserAdminService();
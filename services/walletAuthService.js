@@ -0,0 +1,160 @@
+const User = require('../models/User');
+const WalletNonce = require('../models/WalletNonce');
+const sessionService = require('./sessionService');
+const config = require('../config/auth');
+const encryption = require('../src/utils/encryption');
+const logger = require('../src/utils/logger');
+const { generateChallengeToken } = require('../src/utils/auth');
+const { parseSiweMessage, validateSiweMessage, recoverSigner } = require('../src/utils/siwe');
+const { AuthenticationError, DuplicateError, ValidationError, fromDatabaseError } = require('../src/utils/errors');
+
+// Usernames tried for a new wallet account before giving up
+const USERNAME_ATTEMPTS = 5;
+
+class WalletAuthService {
+  /**
+   * Issue a nonce to embed in a sign-in message
+   * @returns {Promise<string>}
+   */
+  async createNonce() {
+    const nonce = encryption.generateToken(24);
+    await WalletNonce.create({ nonce, expiresAt: new Date(Date.now() + config.siwe.nonceTtlMs) });
+    return nonce;
+  }
+
+  /**
+   * Sign in with a wallet, creating an account the first time it is seen.
+   * Accounts with 2FA get a challenge instead of tokens, as with login.
+   * @param {string} message EIP-4361 message
+   * @param {string} signature personal_sign signature of the message
+   * @param {Object} client userAgent and ip
+   * @returns {Promise<Object>} AuthPayload
+   */
+  async login(message, signature, client) {
+    try {
+      const address = await this.verify(message, signature);
+
+      let user = await User.findOne({ 'wallets.address': address });
+      if (!user) {
+        user = await this.createAccount(address);
+        logger.info(`Account ${user.id} created for wallet ${address}`);
+      }
+
+      if (user.twoFactor.enabled) {
+        return { token: null, refreshToken: null, user: null, twoFactorChallenge: generateChallengeToken(user) };
+      }
+
+      user.lastLogin = new Date();
+      await user.save();
+      return await sessionService.createSession(user, client);
+    } catch (error) {
+      logger.error(`Wallet login failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach another wallet to a signed-in account
+   * @param {Object} user
+   * @param {string} message
+   * @param {string} signature
+   * @returns {Promise<Object>} The user
+   */
+  async linkWallet(user, message, signature) {
+    const address = await this.verify(message, signature);
+    if (user.wallets.some(wallet => wallet.address === address)) return user;
+
+    user.wallets.push({ address });
+    await this.save(user);
+    return user;
+  }
+
+  /**
+   * Detach a wallet. The last wallet of an account without a password can't
+   * be removed, or nobody could sign in to it.
+   * @param {Object} user
+   * @param {string} address
+   * @returns {Promise<Object>} The user
+   */
+  async unlinkWallet(user, address) {
+    const normalised = String(address).toLowerCase();
+    const remaining = user.wallets.filter(wallet => wallet.address !== normalised);
+    if (remaining.length === user.wallets.length) {
+      throw new ValidationError([{ field: 'address', message: 'Not linked to this account' }]);
+    }
+    if (!remaining.length && !user.password) {
+      throw new ValidationError([{ field: 'address', message: 'The only way to sign in to this account' }]);
+    }
+
+    user.wallets = remaining;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Check a signed sign-in message and use up its nonce
+   * @param {string} message
+   * @param {string} signature
+   * @returns {Promise<string>} The signer's address, lowercase
+   */
+  async verify(message, signature) {
+    const fields = parseSiweMessage(message);
+    const errors = validateSiweMessage(fields, {
+      domains: config.siwe.domains,
+      chainIds: config.siwe.chainIds,
+      maxAgeMs: config.siwe.nonceTtlMs
+    });
+    if (errors.length) throw new ValidationError(errors);
+
+    const signer = recoverSigner(message, signature);
+    if (!signer || signer !== fields.address) {
+      throw new AuthenticationError('Signature does not match the message address');
+    }
+
+    const nonce = await WalletNonce.findOneAndDelete({ nonce: fields.nonce, expiresAt: { $gt: new Date() } });
+    if (!nonce) throw new AuthenticationError('Unknown or expired nonce');
+
+    return signer.toLowerCase();
+  }
+
+  /**
+   * Create the account for a wallet's first sign-in. The username is derived
+   * from the address, so anyone can take it first; a random suffix is added
+   * when it is taken.
+   * @param {string} address
+   * @returns {Promise<Object>} The user
+   */
+  async createAccount(address) {
+    for (let attempt = 0; attempt < USERNAME_ATTEMPTS; attempt++) {
+      const suffix = attempt ? `_${encryption.generateToken(6)}` : '';
+      try {
+        return await this.save(new User({
+          username: `rato_${address.slice(2, 12)}${suffix}`,
+          wallets: [{ address }]
+        }));
+      } catch (error) {
+        if (!(error instanceof DuplicateError) || !error.extensions.fields.includes('username')) throw error;
+      }
+    }
+    throw new DuplicateError('No free username for this wallet', ['username']);
+  }
+
+  /**
+   * Save a user, reporting a wallet already on another account as such
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async save(user) {
+    try {
+      return await user.save();
+    } catch (error) {
+      const mapped = fromDatabaseError(error);
+      if (mapped && mapped.extensions.fields && mapped.extensions.fields.includes('wallets.address')) {
+        throw new DuplicateError('Wallet is linked to another account', ['address']);
+      }
+      throw mapped || error;
+    }
+  }
+}
+
+module.exports = new WalletAuthService();
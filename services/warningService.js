@@ -2,6 +2,8 @@ const WarningSign = require('../models/WarningSign');
 const blockchainService = require('./blockchainService');
 const aiService = require('./aiService');
 const logger = require('../src/utils/logger');
+const { dateRangeCondition, bucketsToMap } = require('../src/utils/aggregation');
+const { NotFoundError } = require('../src/utils/errors');
 
 class WarningService {
   constructor() {
@@ -55,7 +57,7 @@ class WarningService {
   async updateWarningSign(warningId, data) {
     try {
       const warning = await WarningSign.findById(warningId);
-      if (!warning) throw new Error('Warning sign not found');
+      if (!warning) throw new NotFoundError('WarningSign', warningId);
 
       // Update warning data
       Object.assign(warning, data);
@@ -199,64 +201,53 @@ class WarningService {
   /**
    * Get warning statistics
    * @param {Object} dateRange 
+   * @param {string} network 
    * @returns {Promise<Object>}
    */
-  async getWarningStats(dateRange) {
+  async getWarningStats(dateRange, network) {
     try {
-      const query = {
-        createdAt: {
-          $gte: dateRange.start,
-          $lte: dateRange.end
+      const match = {};
+
+      const createdAt = dateRangeCondition(dateRange);
+      if (createdAt) match.createdAt = createdAt;
+      if (network) match.blockchainNetwork = network;
+
+      const [result] = await WarningSign.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            totals: [{
+              $group: {
+                _id: null,
+                totalWarnings: { $sum: 1 },
+                averageRiskScore: { $avg: '$aiAnalysis.riskScore' }
+              }
+            }],
+            // Count by status
+            status: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+            // Count risk types
+            riskTypes: [
+              { $unwind: '$riskType' },
+              { $group: { _id: '$riskType', count: { $sum: 1 } } }
+            ],
+            // Count risk levels
+            riskLevels: [{ $group: { _id: '$riskLevel', count: { $sum: 1 } } }]
+          }
         }
+      ]);
+
+      const totals = result.totals[0] || {};
+      const status = bucketsToMap(result.status);
+
+      return {
+        totalWarnings: totals.totalWarnings || 0,
+        activeWarnings: status['Active'] || 0,
+        resolvedWarnings: status['Resolved'] || 0,
+        falseAlarms: status['False Alarm'] || 0,
+        riskTypeDistribution: bucketsToMap(result.riskTypes),
+        riskLevelDistribution: bucketsToMap(result.riskLevels),
+        averageRiskScore: Math.round(totals.averageRiskScore || 0)
       };
-
-      const warnings = await WarningSign.find(query);
-
-      // Calculate statistics
-      const stats = {
-        totalWarnings: warnings.length,
-        activeWarnings: 0,
-        resolvedWarnings: 0,
-        falseAlarms: 0,
-        riskTypeDistribution: {},
-        riskLevelDistribution: {},
-        averageRiskScore: 0
-      };
-
-      let totalRiskScore = 0;
-
-      warnings.forEach(warning => {
-        // Count by status
-        switch (warning.status) {
-          case 'Active':
-            stats.activeWarnings++;
-            break;
-          case 'Resolved':
-            stats.resolvedWarnings++;
-            break;
-          case 'False Alarm':
-            stats.falseAlarms++;
-            break;
-        }
-
-        // Count risk types
-        warning.riskType.forEach(type => {
-          stats.riskTypeDistribution[type] = (stats.riskTypeDistribution[type] || 0) + 1;
-        });
-
-        // Count risk levels
-        stats.riskLevelDistribution[warning.riskLevel] =
-          (stats.riskLevelDistribution[warning.riskLevel] || 0) + 1;
-
-        // Sum risk scores
-        totalRiskScore += warning.aiAnalysis.riskScore;
-      });
-
-      // Calculate average risk score
-      stats.averageRiskScore = warnings.length ?
-        Math.round(totalRiskScore / warnings.length) : 0;
-
-      return stats;
     } catch (error) {
       logger.error(`Error getting warning statistics: ${error.message}`);
       throw error;
@@ -272,7 +263,7 @@ class WarningService {
   async sendNotifications(warningId, recipients) {
     try {
       const warning = await WarningSign.findById(warningId);
-      if (!warning) throw new Error('Warning sign not found');
+      if (!warning) throw new NotFoundError('WarningSign', warningId);
 
       // TODO: Implement actual notification sending logic
       const notification = {
@@ -0,0 +1,579 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const User = require('../models/User');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const config = require('../config/webhooks');
+const premiumService = require('./premiumService');
+const encryption = require('../src/utils/encryption');
+const logger = require('../src/utils/logger');
+const { paginate } = require('../src/utils/pagination');
+const { isUrl } = require('../src/utils/validation');
+const { NotFoundError, ValidationError } = require('../src/utils/errors');
+
+const SIGNATURE_HEADER = 'X-GraveRato-Signature';
+const EVENT_HEADER = 'X-GraveRato-Event';
+const DELIVERY_HEADER = 'X-GraveRato-Delivery';
+
+const SECRET_PREFIX = 'whsec_';
+const MAX_ATTEMPT_LOG = 20;
+// Deliveries sent in parallel while draining the queue
+const CONCURRENCY = 5;
+
+// Loopback, private, shared (carrier-grade NAT), link-local, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one webhooks must not reach
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Whether a URL hostname is localhost or a private literal address. Names are
+ * checked again once resolved, by privateTargetLookup.
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+};
+
+/**
+ * DNS lookup for webhook requests that fails when a name resolves to a
+ * private address. The socket connects to the addresses checked here, so a
+ * name can't resolve to a public address for the check and a private one for
+ * the connection.
+ * @param {string} hostname
+ * @param {Object} options dns.lookup options
+ * @param {Function} callback
+ */
+const privateTargetLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error('Private network targets are not allowed'));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a body and wait for the response status, within config.timeoutMs
+ * @param {string} url
+ * @param {string} body
+ * @param {Object} headers
+ * @returns {Promise<number>} Response status
+ */
+const post = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: config.allowPrivateTargets ? undefined : privateTargetLookup
+  }, (response) => {
+    clearTimeout(timer);
+    // Only the status matters; discard the body
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  const timer = setTimeout(() => {
+    const error = new Error('Timed out');
+    error.name = 'TimeoutError';
+    request.destroy(error);
+  }, config.timeoutMs);
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+class WebhookService {
+  constructor() {
+    this.secretCache = new Map(); // encrypted secret -> plain secret
+    this.timer = null;
+    this.draining = null;
+    this.rerun = false;
+  }
+
+  /**
+   * Register an endpoint. The signing secret is only returned here and on rotation.
+   * @param {string} ownerId
+   * @param {Object} input url, events, description, active
+   * @returns {Promise<Object>} { endpoint, secret }
+   */
+  async registerEndpoint(ownerId, input) {
+    try {
+      this.assertValidInput(input, true);
+      const count = await WebhookEndpoint.countDocuments({ owner: ownerId });
+      if (count >= config.maxEndpointsPerUser) {
+        throw new ValidationError([{
+          field: 'url',
+          message: `At most ${config.maxEndpointsPerUser} endpoints can be registered`
+        }]);
+      }
+
+      const secret = this.generateSecret();
+      const endpoint = await WebhookEndpoint.create({
+        owner: ownerId,
+        url: input.url,
+        description: input.description,
+        events: input.events,
+        active: input.active !== false,
+        secret: await encryption.encrypt(secret)
+      });
+
+      logger.info(`Webhook endpoint ${endpoint.id} registered`);
+      return { endpoint, secret };
+    } catch (error) {
+      logger.error(`Error registering webhook endpoint: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List endpoints
+   * @param {string|null} ownerId null lists every endpoint
+   * @returns {Promise<Array>}
+   */
+  async listEndpoints(ownerId) {
+    return WebhookEndpoint.find(ownerId ? { owner: ownerId } : {}).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Load an endpoint, scoped to its owner
+   * @param {string} id
+   * @param {string|null} ownerId null skips the owner check
+   * @param {string} [select] Extra fields to select
+   * @returns {Promise<Object>}
+   */
+  async getEndpoint(id, ownerId, select) {
+    let query = WebhookEndpoint.findOne(ownerId ? { _id: id, owner: ownerId } : { _id: id });
+    if (select) query = query.select(select);
+
+    const endpoint = await query;
+    if (!endpoint) throw new NotFoundError('WebhookEndpoint', id);
+    return endpoint;
+  }
+
+  /**
+   * Update an endpoint's URL, events, description or active flag
+   * @param {string} id
+   * @param {string|null} ownerId
+   * @param {Object} input
+   * @returns {Promise<Object>}
+   */
+  async updateEndpoint(id, ownerId, input) {
+    try {
+      this.assertValidInput(input);
+      const endpoint = await this.getEndpoint(id, ownerId);
+      ['url', 'events', 'description', 'active'].forEach(field => {
+        if (input[field] !== undefined) endpoint[field] = input[field];
+      });
+      return await endpoint.save();
+    } catch (error) {
+      logger.error(`Error updating webhook endpoint: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an endpoint and its delivery log
+   * @param {string} id
+   * @param {string|null} ownerId
+   * @returns {Promise<boolean>}
+   */
+  async deleteEndpoint(id, ownerId) {
+    try {
+      const endpoint = await this.getEndpoint(id, ownerId);
+      await Promise.all([
+        endpoint.deleteOne(),
+        WebhookDelivery.deleteMany({ endpoint: endpoint._id })
+      ]);
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting webhook endpoint: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop deliveries to every endpoint of an owner
+   * @param {string} ownerId
+   * @returns {Promise<number>} Endpoints disabled
+   */
+  async disableAllEndpoints(ownerId) {
+    const result = await WebhookEndpoint.updateMany({ owner: ownerId, active: true }, { $set: { active: false } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Replace the signing secret. Deliveries are signed with both secrets until
+   * the grace period ends so receivers can switch over without dropping events.
+   * @param {string} id
+   * @param {string|null} ownerId
+   * @returns {Promise<Object>} { endpoint, secret }
+   */
+  async rotateSecret(id, ownerId) {
+    try {
+      const endpoint = await this.getEndpoint(id, ownerId, '+secret');
+      const secret = this.generateSecret();
+
+      endpoint.previousSecret = {
+        secret: endpoint.secret,
+        expiresAt: new Date(Date.now() + config.secretRotationGraceMs)
+      };
+      endpoint.secret = await encryption.encrypt(secret);
+      endpoint.secretRotatedAt = new Date();
+      await endpoint.save();
+
+      logger.info(`Webhook endpoint ${endpoint.id} secret rotated`);
+      return { endpoint, secret };
+    } catch (error) {
+      logger.error(`Error rotating webhook secret: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every active endpoint subscribed to it. Never throws:
+   * a webhook failure must not fail the operation that raised the event.
+   * @param {string} event
+   * @param {Object} data Public view of the record
+   * @param {Object} [options]
+   * @param {number} [options.freeDelayMs] Hold the deliveries of owners
+   *   without premium access back this long
+   * @returns {Promise<Array>} Queued deliveries
+   */
+  async emit(event, data, { freeDelayMs = 0 } = {}) {
+    try {
+      const endpoints = await WebhookEndpoint.find({ events: event, active: true });
+      if (!endpoints.length) return [];
+
+      const createdAt = new Date();
+      const delayed = freeDelayMs > 0 ? await this.ownersWithoutPremium(endpoints) : new Set();
+      const releasedAt = new Date(createdAt.getTime() + freeDelayMs);
+      const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+        endpoint: endpoint._id,
+        event,
+        payload: { event, createdAt, data },
+        nextAttemptAt: delayed.has(String(endpoint.owner)) ? releasedAt : createdAt
+      })));
+
+      this.processDue();
+      return deliveries;
+    } catch (error) {
+      logger.error(`Error queueing webhook event ${event}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Owners of the endpoints who don't have premium access
+   * @param {Array<Object>} endpoints
+   * @returns {Promise<Set<string>>} Owner ids
+   */
+  async ownersWithoutPremium(endpoints) {
+    const owners = await User.find({ _id: { $in: endpoints.map(endpoint => endpoint.owner) } })
+      .select('isPremium role');
+    const premium = new Set(owners.filter(owner => premiumService.hasAccess(owner)).map(owner => owner.id));
+    return new Set(endpoints.map(endpoint => String(endpoint.owner)).filter(owner => !premium.has(owner)));
+  }
+
+  /**
+   * Send a PING to one endpoint straight away
+   * @param {string} id
+   * @param {string|null} ownerId
+   * @returns {Promise<Object>} The delivery after its first attempt
+   */
+  async sendTest(id, ownerId) {
+    const endpoint = await this.getEndpoint(id, ownerId);
+    const createdAt = new Date();
+    const delivery = await WebhookDelivery.create({
+      endpoint: endpoint._id,
+      event: 'PING',
+      payload: { event: 'PING', createdAt, data: { endpointId: endpoint.id } },
+      nextAttemptAt: new Date(createdAt.getTime() + config.timeoutMs * 2)
+    });
+
+    return this.attempt(delivery);
+  }
+
+  /**
+   * Queue a delivery again, including dead-lettered ones, with a fresh retry budget
+   * @param {string} deliveryId
+   * @param {string|null} ownerId
+   * @returns {Promise<Object>}
+   */
+  async redeliver(deliveryId, ownerId) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) throw new NotFoundError('WebhookDelivery', deliveryId);
+    await this.getEndpoint(delivery.endpoint, ownerId);
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date();
+    delivery.deadAt = undefined;
+    await delivery.save();
+
+    this.processDue();
+    return delivery;
+  }
+
+  /**
+   * Delivery log for an endpoint, newest first
+   * @param {string} endpointId
+   * @param {string|null} ownerId
+   * @param {Object} args status plus connection arguments
+   * @returns {Promise<Object>} Connection
+   */
+  async getDeliveries(endpointId, ownerId, { status, ...args }) {
+    const endpoint = await this.getEndpoint(endpointId, ownerId);
+    const filter = { endpoint: endpoint._id };
+    if (status) filter.status = status;
+
+    return paginate(WebhookDelivery, filter, { ...args, sortField: 'createdAt' });
+  }
+
+  /**
+   * Poll for due retries until stop() is called
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), config.pollIntervalMs);
+    this.timer.unref();
+    this.processDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send every due delivery. Calls made while a drain is running make it
+   * go round again instead of starting a second one.
+   * @returns {Promise<void>}
+   */
+  processDue() {
+    this.rerun = true;
+    if (!this.draining) {
+      this.draining = this.drain().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async drain() {
+    const worker = async () => {
+      let delivery;
+      while ((delivery = await this.claimNext())) {
+        await this.attempt(delivery);
+      }
+    };
+
+    try {
+      while (this.rerun) {
+        this.rerun = false;
+        await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+      }
+    } catch (error) {
+      logger.error(`Error processing webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim the next due delivery by pushing its next attempt past the send
+   * timeout, so other instances skip it while it is in flight
+   * @returns {Promise<Object|null>}
+   */
+  async claimNext() {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + config.timeoutMs * 2) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Make one delivery attempt and schedule a retry or dead-letter it on failure
+   * @param {Object} delivery
+   * @returns {Promise<Object>}
+   */
+  async attempt(delivery) {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret +previousSecret.secret');
+
+    const result = endpoint && (endpoint.active || delivery.event === 'PING')
+      ? await this.send(endpoint.url, JSON.stringify({ id: delivery.id, ...delivery.payload }), {
+        secrets: await this.signingSecrets(endpoint),
+        event: delivery.event,
+        deliveryId: delivery.id
+      })
+      : { ok: false, error: endpoint ? 'Endpoint disabled' : 'Endpoint deleted', durationMs: 0, final: true };
+
+    delivery.attempts += 1;
+    delivery.attemptLog.push({
+      at: new Date(),
+      responseStatus: result.status,
+      error: result.error,
+      durationMs: result.durationMs
+    });
+    if (delivery.attemptLog.length > MAX_ATTEMPT_LOG) {
+      delivery.attemptLog.splice(0, delivery.attemptLog.length - MAX_ATTEMPT_LOG);
+    }
+
+    if (result.ok) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = undefined;
+    } else if (result.final || delivery.attempts >= config.maxAttempts) {
+      delivery.status = 'dead';
+      delivery.deadAt = new Date();
+      delivery.nextAttemptAt = undefined;
+      logger.warn(`Webhook delivery ${delivery.id} dead-lettered after ${delivery.attempts} attempts: ${result.error}`);
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.retryDelay(delivery.attempts));
+    }
+
+    return delivery.save();
+  }
+
+  /**
+   * POST a signed payload
+   * @param {string} url
+   * @param {string} body JSON payload
+   * @param {Object} options secrets, event and deliveryId
+   * @returns {Promise<Object>} { ok, status, error, durationMs }
+   */
+  async send(url, body, { secrets, event, deliveryId }) {
+    const started = Date.now();
+    try {
+      if (!config.allowPrivateTargets && isPrivateHost(new URL(url).hostname)) {
+        throw new Error('Private network targets are not allowed');
+      }
+
+      // Redirects aren't followed, so they count as failures
+      const status = await post(url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GraveRato-Webhooks/1.0',
+        [SIGNATURE_HEADER]: this.signatureHeader(body, secrets),
+        [EVENT_HEADER]: event,
+        [DELIVERY_HEADER]: deliveryId
+      });
+      const ok = status >= 200 && status < 300;
+
+      return {
+        ok,
+        status,
+        error: ok ? undefined : `HTTP ${status}`,
+        durationMs: Date.now() - started
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        error: error.name === 'TimeoutError' ? 'Timed out' : error.message,
+        durationMs: Date.now() - started
+      };
+    }
+  }
+
+  /**
+   * Build the signature header: a timestamp plus one HMAC of
+   * "<timestamp>.<body>" per active secret
+   * @param {string} body
+   * @param {Array<string>} secrets
+   * @param {number} [timestamp] Unix seconds
+   * @returns {string} e.g. "t=1700000000,v1=ab12..."
+   */
+  signatureHeader(body, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+    const signatures = secrets.map(secret => `v1=${encryption.sign(`${timestamp}.${body}`, secret)}`);
+    return [`t=${timestamp}`, ...signatures].join(',');
+  }
+
+  /**
+   * Plain secrets to sign with: the current one, plus the previous one during
+   * a rotation grace period
+   * @param {Object} endpoint
+   * @returns {Promise<Array<string>>}
+   */
+  async signingSecrets(endpoint) {
+    const secrets = [await this.decryptSecret(endpoint.secret)];
+    const previous = endpoint.previousSecret;
+    if (previous && previous.secret && previous.expiresAt > new Date()) {
+      secrets.push(await this.decryptSecret(previous.secret));
+    }
+    return secrets;
+  }
+
+  async decryptSecret(encrypted) {
+    if (!this.secretCache.has(encrypted)) {
+      this.secretCache.set(encrypted, await encryption.decrypt(encrypted));
+    }
+    return this.secretCache.get(encrypted);
+  }
+
+  generateSecret() {
+    return SECRET_PREFIX + encryption.generateToken(48);
+  }
+
+  /**
+   * Delay before the next attempt: doubles per failure, capped, with ±10% jitter
+   * @param {number} attempts Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  retryDelay(attempts) {
+    const delay = Math.min(config.baseDelayMs * 2 ** (attempts - 1), config.maxDelayMs);
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+  }
+
+  /**
+   * Check endpoint input
+   * @param {Object} input
+   * @param {boolean} [required] Whether url and events must be present
+   */
+  assertValidInput(input, required = false) {
+    const errors = [];
+    if (required && input.url === undefined) {
+      errors.push({ field: 'url', message: 'Is required' });
+    }
+    if (required && input.events === undefined) {
+      errors.push({ field: 'events', message: 'At least one event is required' });
+    }
+    if (input.url !== undefined) {
+      if (!isUrl(input.url)) {
+        errors.push({ field: 'url', message: 'Must be an http(s) URL' });
+      } else if (!config.allowPrivateTargets && isPrivateHost(new URL(input.url).hostname)) {
+        errors.push({ field: 'url', message: 'Must not point to a private network' });
+      }
+    }
+    if (input.events !== undefined && !input.events.length) {
+      errors.push({ field: 'events', message: 'At least one event is required' });
+    }
+    if (input.description && input.description.length > 500) {
+      errors.push({ field: 'description', message: 'Must be at most 500 characters' });
+    }
+    if (errors.length) throw new ValidationError(errors);
+  }
+}
+
+module.exports = new WebhookService();
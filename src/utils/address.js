@@ -0,0 +1,19 @@
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Stored form of a contract or wallet address. EVM addresses are lowercased,
+ * since their case only carries the EIP-55 checksum; other addresses (Solana
+ * base58) are case-sensitive and only trimmed.
+ * @param {string} address
+ * @returns {string}
+ */
+const normaliseAddress = (address) => {
+  if (typeof address !== 'string') return address;
+  const trimmed = address.trim();
+  return EVM_ADDRESS.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+};
+
+module.exports = {
+  EVM_ADDRESS,
+  normaliseAddress
+};
@@ -0,0 +1,60 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Build a $match condition for a date range. Aggregation pipelines skip
+ * Mongoose casting, so bounds are converted to Date here.
+ * @param {Object} dateRange Range with optional start and end
+ * @returns {Object|null}
+ */
+const dateRangeCondition = (dateRange) => {
+  if (!dateRange || (!dateRange.start && !dateRange.end)) return null;
+
+  const condition = {};
+  if (dateRange.start) condition.$gte = new Date(dateRange.start);
+  if (dateRange.end) condition.$lte = new Date(dateRange.end);
+
+  if (Object.values(condition).some(date => isNaN(date.getTime()))) {
+    throw new ValidationError([{ field: 'dateRange', message: 'Must contain valid dates' }]);
+  }
+
+  return condition;
+};
+
+/**
+ * Convert $group buckets ({ _id, count }) into a key -> count map
+ * @param {Array<Object>} buckets
+ * @returns {Object}
+ */
+const bucketsToMap = (buckets = []) => {
+  return buckets.reduce((map, bucket) => {
+    map[bucket._id] = bucket.count;
+    return map;
+  }, {});
+};
+
+/**
+ * Run several sorted, limited finds in one aggregation: a $match on any of
+ * the filters, which can use indexes, then a $facet sub-pipeline per filter.
+ * Pipelines skip Mongoose casting, so filters must hold ObjectIds, not strings.
+ * @param {Model} Model
+ * @param {Array<Object>} filters
+ * @param {Object} options sort and limit of each find
+ * @returns {Promise<Array<Array>>} Documents matching each filter, in order
+ */
+const findEach = async (Model, filters, { sort, limit }) => {
+  if (!filters.length) return [];
+
+  const facets = {};
+  filters.forEach((filter, index) => {
+    facets[`f${index}`] = [{ $match: filter }, { $sort: sort }, { $limit: limit }];
+  });
+
+  const [results] = await Model.aggregate([{ $match: { $or: filters } }, { $facet: facets }]);
+  return filters.map((_, index) => results[`f${index}`].map(doc => Model.hydrate(doc)));
+};
+
+module.exports = {
+  dateRangeCondition,
+  bucketsToMap,
+  findEach
+};
@@ -1,10 +1,46 @@
 const jwt = require('jsonwebtoken');
 const User = require('../../models/User');
+const Session = require('../../models/Session');
+const ApiKey = require('../../models/ApiKey');
+const config = require('../../config/auth');
+const encryption = require('./encryption');
 const logger = require('./logger');
 
+// API keys start with this, which tells them apart from JWTs
+const API_KEY_PREFIX = 'grk_';
+
+// lastUsedAt is refreshed at most this often per key
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Reputation-based trust levels in ascending order
+const TRUST_LEVELS = ['NEW', 'MEMBER', 'TRUSTED', 'HIGHLY_TRUSTED'];
+
+/**
+ * Authenticate with an API key. The key is available as user.$locals.apiKey.
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: encryption.generateHash(key), revokedAt: null });
+  if (!apiKey) return null;
+
+  const user = await User.findById(apiKey.owner);
+  if (!user || isSuspended(user) || isDeleted(user)) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > API_KEY_TOUCH_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => logger.error(`Error updating API key usage time: ${error.message}`));
+  }
+
+  user.$locals.apiKey = apiKey;
+  return user;
+};
+
 /**
- * Authenticate user from token
- * @param {string} token JWT token
+ * Authenticate user from an access token or API key. An access token's
+ * session must still be active; its id is available as user.$locals.sessionId.
+ * Suspended, banned and deleted users are rejected.
+ * @param {string} token JWT token or API key
  * @returns {Promise<Object|null>}
  */
 const authenticate = async (token) => {
@@ -14,13 +50,22 @@ const authenticate = async (token) => {
     // Remove Bearer prefix if present
     const tokenString = token.startsWith('Bearer ') ? token.slice(7) : token;
 
+    if (tokenString.startsWith(API_KEY_PREFIX)) return await authenticateApiKey(tokenString);
+
     // Verify token
     const decoded = jwt.verify(tokenString, process.env.JWT_SECRET);
 
-    // Get user
-    const user = await User.findById(decoded.id);
-    if (!user) return null;
+    // Tokens without a session can't be revoked
+    if (!decoded.sid) return null;
+
+    // Get user and check the session hasn't been revoked
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id),
+      Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+    if (!user || !session || isSuspended(user) || isDeleted(user)) return null;
 
+    user.$locals.sessionId = decoded.sid;
     return user;
   } catch (error) {
     logger.error(`Authentication error: ${error.message}`);
@@ -29,15 +74,16 @@ const authenticate = async (token) => {
 };
 
 /**
- * Generate JWT token
+ * Generate a short-lived access token
  * @param {Object} user User object
+ * @param {string} sessionId Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   return jwt.sign(
-    { id: user.id },
+    { id: user.id, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: config.accessTokenTtl }
   );
 };
 
@@ -61,15 +107,24 @@ const checkPremiumAccess = (user) => {
 };
 
 /**
- * Generate password reset token
+ * Fingerprint of the stored password hash. Changes whenever the password does,
+ * including when a wallet account without one sets its first password.
+ * @param {Object} user User object
+ * @returns {string}
+ */
+const passwordFingerprint = (user) => encryption.generateHash(user.password || '').slice(0, 16);
+
+/**
+ * Generate password reset token. It is bound to the current password, so it
+ * stops working once it has been used.
  * @param {Object} user User object
  * @returns {string} Reset token
  */
 const generateResetToken = (user) => {
   return jwt.sign(
-    { id: user.id, type: 'reset' },
+    { id: user.id, type: 'reset', pwd: passwordFingerprint(user) },
     process.env.JWT_SECRET,
-    { expiresIn: '1h' }
+    { expiresIn: config.resetTokenTtl }
   );
 };
 
@@ -84,6 +139,7 @@ const verifyResetToken = async (token) => {
     if (decoded.type !== 'reset') return null;
 
     const user = await User.findById(decoded.id);
+    if (!user || decoded.pwd !== passwordFingerprint(user)) return null;
     return user;
   } catch (error) {
     logger.error(`Reset token verification error: ${error.message}`);
@@ -91,11 +147,139 @@ const verifyResetToken = async (token) => {
   }
 };
 
+/**
+ * Generate email verification token, bound to the address it was sent to
+ * @param {Object} user User object
+ * @returns {string} Verification token
+ */
+const generateVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user.id, type: 'verify_email', email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: config.verificationTokenTtl }
+  );
+};
+
+/**
+ * Verify email verification token
+ * @param {string} token Verification token
+ * @returns {Promise<Object|null>} The user, if the address hasn't changed since
+ */
+const verifyVerificationToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'verify_email') return null;
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) return null;
+    return user;
+  } catch (error) {
+    logger.error(`Verification token error: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Generate the token that links the password and code steps of a 2FA login
+ * @param {Object} user User object
+ * @returns {string} Challenge token
+ */
+const generateChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user.id, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: config.twoFactor.challengeTtl }
+  );
+};
+
+/**
+ * Verify a 2FA login challenge token
+ * @param {string} token Challenge token
+ * @returns {string|null} The user id
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === '2fa_challenge' ? decoded.id : null;
+  } catch (error) {
+    logger.error(`Challenge token error: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Check whether a user's role needs 2FA that hasn't been enabled yet
+ * @param {Object} user User object
+ * @returns {boolean}
+ */
+const isMissingTwoFactor = (user) => {
+  return config.twoFactor.requiredRoles.includes(user.role) &&
+    !(user.twoFactor && user.twoFactor.enabled);
+};
+
+/**
+ * Check whether a user has confirmed their email address
+ * @param {Object} user User object
+ * @returns {boolean}
+ */
+const isEmailVerified = (user) => user.emailVerified !== false;
+
+/**
+ * Check whether a user has proven who they are, by confirming their email
+ * address or signing in with a wallet
+ * @param {Object} user User object
+ * @returns {boolean}
+ */
+const isIdentityConfirmed = (user) => isEmailVerified(user) || Boolean(user.wallets && user.wallets.length);
+
+/**
+ * Check whether a user is suspended or banned. A ban is a suspension
+ * without an end; other suspensions lapse once their end has passed.
+ * @param {Object} user User object
+ * @returns {boolean}
+ */
+const isSuspended = (user) => {
+  const { suspension } = user;
+  if (!suspension) return false;
+  return Boolean(suspension.banned || (suspension.until && suspension.until > new Date()));
+};
+
+/**
+ * Check whether an admin deleted the account
+ * @param {Object} user User object
+ * @returns {boolean}
+ */
+const isDeleted = (user) => Boolean(user.deletedAt);
+
+/**
+ * Check whether a user has reached a trust level. Moderators and admins
+ * have every trust privilege.
+ * @param {Object} user User object
+ * @param {string} level One of TRUST_LEVELS
+ * @returns {boolean}
+ */
+const hasTrustLevel = (user, level) => {
+  if (user.role === 'moderator' || user.role === 'admin') return true;
+  return TRUST_LEVELS.indexOf(user.trustLevel || 'NEW') >= TRUST_LEVELS.indexOf(level);
+};
+
 module.exports = {
+  API_KEY_PREFIX,
+  TRUST_LEVELS,
   authenticate,
   generateToken,
   checkRole,
   checkPremiumAccess,
   generateResetToken,
-  verifyResetToken
+  verifyResetToken,
+  generateVerificationToken,
+  verifyVerificationToken,
+  isEmailVerified,
+  isIdentityConfirmed,
+  generateChallengeToken,
+  verifyChallengeToken,
+  isMissingTwoFactor,
+  isSuspended,
+  isDeleted,
+  hasTrustLevel
 };
\ No newline at end of file
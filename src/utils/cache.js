@@ -0,0 +1,64 @@
+/**
+ * In-memory cache whose entries expire after a time to live. Once it holds
+ * maxSize entries, adding another evicts the least recently used one, so
+ * caller-supplied keys can't grow it without limit.
+ */
+class TtlCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSize Entries kept at most
+   * @param {number} options.ttlMs How long an entry stays fresh
+   */
+  constructor({ maxSize, ttlMs }) {
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    // Maps iterate in insertion order: entries are moved to the end when
+    // used, so the first key is always the least recently used
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {*} The value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { TtlCache };
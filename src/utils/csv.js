@@ -0,0 +1,67 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded newlines).
+ * The first record is the header row.
+ * @param {string} text
+ * @returns {Array<Object>} { line, values } per data record, keyed by header
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, fields: record });
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== '' || record.length) endRecord();
+
+  if (!records.length) return [];
+  const headers = records[0].fields.map(header => header.trim().replace(/^\uFEFF/, ''));
+
+  return records.slice(1).map(({ line: recordStart, fields }) => ({
+    line: recordStart,
+    values: headers.reduce((values, header, index) => {
+      values[header] = fields[index];
+      return values;
+    }, {})
+  }));
+};
+
+module.exports = { parseCsv };
@@ -141,6 +141,42 @@ class Encryption {
     }
   }
 
+  /**
+   * Generate HMAC-SHA256 signature
+   * @param {string} data
+   * @param {string} secret
+   * @returns {string} Hex digest
+   */
+  sign(data, secret) {
+    try {
+      return crypto
+        .createHmac('sha256', secret)
+        .update(data)
+        .digest('hex');
+    } catch (error) {
+      logger.error(`Signature generation error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify HMAC-SHA256 signature
+   * @param {string} data
+   * @param {string} signature Hex digest
+   * @param {string} secret
+   * @returns {boolean}
+   */
+  verifySignature(data, signature, secret) {
+    try {
+      const expected = Buffer.from(this.sign(data, secret), 'hex');
+      const actual = Buffer.from(signature, 'hex');
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    } catch (error) {
+      logger.error(`Signature verification error: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Verify hash
    * @param {Object|string} data 
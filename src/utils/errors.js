@@ -0,0 +1,224 @@
+const { GraphQLError } = require('graphql');
+
+// Stable extensions.code values clients can branch on
+const ERROR_CODES = {
+  NOT_FOUND: 'NOT_FOUND',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  DUPLICATE: 'DUPLICATE',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  FORBIDDEN: 'FORBIDDEN',
+  UPSTREAM_RPC_FAILED: 'UPSTREAM_RPC_FAILED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  QUERY_TOO_DEEP: 'QUERY_TOO_DEEP',
+  TOO_MANY_ALIASES: 'TOO_MANY_ALIASES',
+  QUERY_TOO_COMPLEX: 'QUERY_TOO_COMPLEX',
+  INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR'
+};
+
+// HTTP status for each code, used by the REST API
+const HTTP_STATUS = {
+  NOT_FOUND: 404,
+  VALIDATION_FAILED: 400,
+  DUPLICATE: 409,
+  UNAUTHENTICATED: 401,
+  FORBIDDEN: 403,
+  UPSTREAM_RPC_FAILED: 502,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  QUERY_TOO_DEEP: 400,
+  TOO_MANY_ALIASES: 400,
+  QUERY_TOO_COMPLEX: 400,
+  INTERNAL_SERVER_ERROR: 500
+};
+
+/**
+ * Base class for errors whose message is safe to show to clients
+ */
+class AppError extends GraphQLError {
+  /**
+   * @param {string} message
+   * @param {string} code One of ERROR_CODES
+   * @param {Object} [extensions] Extra fields returned with the error
+   * @param {Error} [originalError] Underlying cause, logged but never returned
+   */
+  constructor(message, code, extensions = {}, originalError) {
+    super(message, { extensions: { code, ...extensions }, originalError });
+    this.name = this.constructor.name;
+  }
+
+  get code() {
+    return this.extensions.code;
+  }
+}
+
+class NotFoundError extends AppError {
+  /**
+   * @param {string} resource e.g. 'RugCoinTombstone'
+   * @param {string} [id]
+   */
+  constructor(resource, id) {
+    super(`${resource} not found`, ERROR_CODES.NOT_FOUND, id ? { resource, id: String(id) } : { resource });
+  }
+}
+
+class ValidationError extends AppError {
+  /**
+   * @param {Array<Object>} fieldErrors { field, message }
+   */
+  constructor(fieldErrors) {
+    super('Validation failed', ERROR_CODES.VALIDATION_FAILED, { fieldErrors });
+  }
+}
+
+class DuplicateError extends AppError {
+  /**
+   * @param {string} message
+   * @param {Array<string>} [fields] Fields whose values are already taken
+   */
+  constructor(message, fields = []) {
+    super(message, ERROR_CODES.DUPLICATE, { fields });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message = 'You must be logged in') {
+    super(message, ERROR_CODES.UNAUTHENTICATED);
+  }
+}
+
+class ForbiddenError extends AppError {
+  /**
+   * @param {string} [message]
+   * @param {Object} [extensions] e.g. a reason clients can act on
+   */
+  constructor(message = 'Insufficient permissions', extensions = {}) {
+    super(message, ERROR_CODES.FORBIDDEN, extensions);
+  }
+}
+
+class UpstreamRpcError extends AppError {
+  /**
+   * @param {string} network
+   * @param {Error} cause
+   */
+  constructor(network, cause) {
+    super(`${network} RPC request failed`, ERROR_CODES.UPSTREAM_RPC_FAILED, { network }, cause);
+  }
+}
+
+class RateLimitError extends AppError {
+  /**
+   * @param {string} bucket
+   * @param {number} retryAfter Seconds until a token is available
+   */
+  constructor(bucket, retryAfter) {
+    super('Rate limit exceeded', ERROR_CODES.RATE_LIMITED, {
+      bucket,
+      retryAfter,
+      http: {
+        status: HTTP_STATUS.RATE_LIMITED,
+        headers: new Map([['retry-after', String(retryAfter)]])
+      }
+    });
+  }
+}
+
+class QuotaExceededError extends AppError {
+  /**
+   * @param {number} limit Requests allowed per period
+   * @param {string} period e.g. '2024-05'
+   * @param {Date} resetsAt Start of the next period
+   */
+  constructor(limit, period, resetsAt) {
+    super('Monthly API key quota exceeded', ERROR_CODES.QUOTA_EXCEEDED, {
+      limit,
+      period,
+      resetsAt: resetsAt.toISOString(),
+      http: { status: HTTP_STATUS.QUOTA_EXCEEDED }
+    });
+  }
+}
+
+class QueryLimitError extends AppError {
+  /**
+   * @param {string} message
+   * @param {string} code QUERY_TOO_DEEP, TOO_MANY_ALIASES or QUERY_TOO_COMPLEX
+   * @param {Object} details Measured value and limit
+   */
+  constructor(message, code, details) {
+    super(message, code, { ...details, http: { status: HTTP_STATUS[code] } });
+  }
+}
+
+/**
+ * Map a MongoDB or Mongoose error onto the catalogue
+ * @param {Error} error
+ * @returns {AppError|null} null when the error isn't a recognised database error
+ */
+const fromDatabaseError = (error) => {
+  if (!error) return null;
+
+  if (error.name === 'ValidationError' && error.errors) {
+    return new ValidationError(Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.kind === 'enum'
+        ? `Must be one of: ${err.properties.enumValues.join(', ')}`
+        : err.kind === 'required' ? 'Is required' : `Invalid value (${err.kind})`
+    })));
+  }
+
+  if (error.name === 'CastError') {
+    const field = error.path === '_id' ? 'id' : error.path;
+    return new ValidationError([{ field, message: `Invalid ${error.kind}` }]);
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new DuplicateError('A record with the same values already exists', fields);
+  }
+
+  return null;
+};
+
+/**
+ * Normalise any thrown value into a catalogue error. Unknown errors become
+ * INTERNAL_SERVER_ERROR with the original kept for logging.
+ * @param {Error} error
+ * @returns {AppError}
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  return fromDatabaseError(error) ||
+    new AppError('Internal server error', ERROR_CODES.INTERNAL_SERVER_ERROR, {}, error);
+};
+
+/**
+ * Describe a failed section of a partial report by its catalogue code and a
+ * message safe to show clients
+ * @param {string} section
+ * @param {Error} error
+ * @returns {Object} { section, code, message }
+ */
+const toSectionError = (section, error) => {
+  const { code, message } = toAppError(error);
+  return { section, code, message };
+};
+
+module.exports = {
+  ERROR_CODES,
+  HTTP_STATUS,
+  AppError,
+  NotFoundError,
+  ValidationError,
+  DuplicateError,
+  AuthenticationError,
+  ForbiddenError,
+  UpstreamRpcError,
+  RateLimitError,
+  QuotaExceededError,
+  QueryLimitError,
+  fromDatabaseError,
+  toAppError,
+  toSectionError
+};
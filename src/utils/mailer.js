@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/mail');
+const logger = require('./logger');
+
+// Built-in transports for local development. A transport is any object with
+// an async send(message) method.
+const TRANSPORTS = {
+  console: () => ({
+    async send(message) {
+      logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+  file: () => ({
+    async send(message) {
+      await fs.promises.mkdir(config.outboxDir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.writeFile(path.join(config.outboxDir, name), JSON.stringify(message, null, 2));
+    }
+  })
+};
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Replace the transport, e.g. with an SMTP or provider API client
+   * @param {Object} transport Object with an async send(message) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * The transport in use, created from config on first use. Throws when
+   * none is configured, so the server can check it at startup.
+   * @returns {Object}
+   */
+  getTransport() {
+    if (!this.transport) {
+      if (!config.transport) throw new Error('MAIL_TRANSPORT must be set in production');
+      const create = TRANSPORTS[config.transport];
+      if (!create) throw new Error(`Unknown mail transport: ${config.transport}`);
+      this.transport = create();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send a plain text message
+   * @param {Object} message to, subject and text
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text }) {
+    try {
+      await this.getTransport().send({ from: config.from, to, subject, text, date: new Date() });
+    } catch (error) {
+      logger.error(`Error sending mail: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Mailer();
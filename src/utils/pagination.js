@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Serialize a sort key value so it survives the JSON round trip
+ * @param {*} value
+ * @returns {*}
+ */
+const serializeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * Restore a sort key value serialized by serializeValue
+ * @param {*} value
+ * @returns {*}
+ */
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object' && value.d) return new Date(value.d);
+  return value;
+};
+
+/**
+ * Encode an opaque cursor from a document's sort key and id
+ * @param {Object} doc Mongoose document
+ * @param {string} sortField Sort key path, e.g. 'aiAnalysis.riskScore'
+ * @returns {string}
+ */
+const encodeCursor = (doc, sortField) => {
+  const value = typeof doc.get === 'function' ? doc.get(sortField) : sortField
+    .split('.')
+    .reduce((obj, key) => (obj == null ? obj : obj[key]), doc);
+
+  const payload = JSON.stringify({ v: serializeValue(value), id: String(doc._id) });
+  return Buffer.from(payload, 'utf8').toString('base64');
+};
+
+/**
+ * Decode an opaque cursor
+ * @param {string} cursor
+ * @param {string} [field] Argument name reported when the cursor is invalid
+ * @returns {{value: *, id: string}}
+ */
+const decodeCursor = (cursor, field = 'cursor') => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('Malformed id');
+    return { value: deserializeValue(v), id };
+  } catch (error) {
+    throw new ValidationError([{ field, message: 'Invalid cursor' }]);
+  }
+};
+
+/**
+ * Build the filter selecting documents past a cursor on a descending sort.
+ * Missing and null sort keys come last on that sort, and range operators
+ * never match them, so they are selected by equality instead.
+ * @param {string} sortField
+ * @param {Object} cursor Decoded cursor
+ * @param {string} direction 'after' or 'before'
+ * @returns {Object}
+ */
+const buildCursorFilter = (sortField, cursor, direction) => {
+  const op = direction === 'after' ? '$lt' : '$gt';
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const tie = { [sortField]: cursor.value, _id: { [op]: id } };
+
+  if (cursor.value === null) {
+    return direction === 'after' ? tie : { $or: [{ [sortField]: { $ne: null } }, tie] };
+  }
+  return {
+    $or: [
+      { [sortField]: { [op]: cursor.value } },
+      tie,
+      ...(direction === 'after' ? [{ [sortField]: null }] : [])
+    ]
+  };
+};
+
+/**
+ * Clamp a requested page size
+ * @param {number} size
+ * @param {number} defaultSize
+ * @param {string} field Argument the size came from
+ * @returns {number}
+ */
+const pageSize = (size, defaultSize, field) => {
+  if (size === undefined || size === null) return defaultSize;
+  if (size < 0) throw new ValidationError([{ field, message: 'Must not be negative' }]);
+  return Math.min(size, MAX_PAGE_SIZE);
+};
+
+/**
+ * Page through a collection sorted descending by sortField, returning a
+ * Relay-style connection. Legacy limit/offset arguments are still honoured
+ * when no cursor arguments are given.
+ * @param {mongoose.Model} Model
+ * @param {Object} filter Base query filter
+ * @param {Object} options Sort field and connection arguments
+ * @returns {Promise<Object>}
+ */
+const paginate = async (Model, filter, options) => {
+  const {
+    sortField,
+    first,
+    after,
+    last,
+    before,
+    limit,
+    offset,
+    populate = [],
+    defaultSize = DEFAULT_PAGE_SIZE
+  } = options;
+
+  if (first != null && last != null) {
+    throw new ValidationError([{ field: 'last', message: 'Cannot combine first and last' }]);
+  }
+
+  const backward = last != null || (before != null && first == null);
+  const legacy = first == null && last == null && after == null && before == null &&
+    (limit != null || offset != null);
+
+  const conditions = [filter];
+  if (after) conditions.push(buildCursorFilter(sortField, decodeCursor(after, 'after'), 'after'));
+  if (before) conditions.push(buildCursorFilter(sortField, decodeCursor(before, 'before'), 'before'));
+  const query = conditions.length > 1 ? { $and: conditions } : filter;
+
+  const sizeField = legacy ? 'limit' : (backward ? 'last' : 'first');
+  const size = pageSize(options[sizeField], defaultSize, sizeField);
+  const order = backward ? 1 : -1;
+
+  let finder = Model.find(query)
+    .sort({ [sortField]: order, _id: order })
+    .limit(size + 1);
+  if (legacy && offset) finder = finder.skip(offset);
+  populate.forEach(path => {
+    finder = finder.populate(path);
+  });
+
+  const [docs, totalCount] = await Promise.all([
+    finder,
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = docs.length > size;
+  const nodes = docs.slice(0, size);
+  if (backward) nodes.reverse();
+
+  const edges = nodes.map(node => ({
+    cursor: encodeCursor(node, sortField),
+    node
+  }));
+
+  return {
+    edges,
+    totalCount,
+    pageInfo: {
+      hasNextPage: backward ? Boolean(before) : hasMore,
+      hasPreviousPage: backward ? hasMore : Boolean(after) || Boolean(legacy && offset),
+      startCursor: edges.length ? edges[0].cursor : null,
+      endCursor: edges.length ? edges[edges.length - 1].cursor : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginate
+};
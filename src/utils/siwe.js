@@ -0,0 +1,114 @@
+const { Web3, utils } = require('web3');
+
+// Sign-In with Ethereum (EIP-4361) message parsing and signer recovery
+const web3 = new Web3();
+
+const HEADER = / wants you to sign in with your Ethereum account:$/;
+
+// Message field labels and the keys they are parsed into
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * Parse an EIP-4361 message
+ * @param {string} message
+ * @returns {Object|null} domain, address, statement, uri, version, chainId,
+ *   nonce, issuedAt, expirationTime, notBefore, requestId and resources, or
+ *   null when the text isn't a SIWE message
+ */
+const parseSiweMessage = (message) => {
+  const lines = String(message).split('\n');
+  if (lines.length < 3 || !HEADER.test(lines[0])) return null;
+
+  const parsed = {
+    domain: lines[0].replace(HEADER, '').replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''),
+    address: lines[1].trim(),
+    statement: null,
+    resources: []
+  };
+
+  const statement = [];
+  let inResources = false;
+  for (const line of lines.slice(2)) {
+    const match = line.match(/^([A-Za-z ]+): (.*)$/);
+    if (match && FIELDS[match[1]]) {
+      parsed[FIELDS[match[1]]] = match[2].trim();
+      inResources = false;
+    } else if (line === 'Resources:') {
+      inResources = true;
+    } else if (inResources && line.startsWith('- ')) {
+      parsed.resources.push(line.slice(2).trim());
+    } else if (!parsed.uri && line.trim()) {
+      statement.push(line.trim());
+    }
+  }
+
+  if (statement.length) parsed.statement = statement.join('\n');
+  if (parsed.chainId !== undefined) parsed.chainId = Number(parsed.chainId);
+  return parsed;
+};
+
+/**
+ * Check a parsed message against what this server accepts
+ * @param {Object|null} fields Output of parseSiweMessage
+ * @param {Object} options domains, chainIds, maxAgeMs and now
+ * @returns {Array<Object>} Field errors
+ */
+const validateSiweMessage = (fields, { domains, chainIds, maxAgeMs, now = new Date() }) => {
+  if (!fields) return [{ field: 'message', message: 'Not a Sign-In with Ethereum message' }];
+
+  const errors = [];
+  const add = (field, message) => errors.push({ field: `message.${field}`, message });
+  const time = (value) => (value ? new Date(value) : null);
+
+  if (!domains.includes(fields.domain)) add('domain', `Must be one of: ${domains.join(', ')}`);
+  if (!/^0x[a-fA-F0-9]{40}$/.test(fields.address) || utils.toChecksumAddress(fields.address) !== fields.address) {
+    add('address', 'Must be an EIP-55 checksummed address');
+  }
+  if (!fields.uri) add('uri', 'Is required');
+  if (fields.version !== '1') add('version', 'Must be 1');
+  if (!chainIds.includes(fields.chainId)) add('chainId', `Must be one of: ${chainIds.join(', ')}`);
+  if (!/^[A-Za-z0-9]{8,}$/.test(fields.nonce || '')) add('nonce', 'Must be at least 8 alphanumeric characters');
+
+  const issuedAt = time(fields.issuedAt);
+  if (!issuedAt || isNaN(issuedAt)) {
+    add('issuedAt', 'Must be an ISO 8601 date');
+  } else if (now - issuedAt > maxAgeMs || issuedAt - now > 60 * 1000) {
+    add('issuedAt', 'Message is too old or from the future');
+  }
+
+  const expirationTime = time(fields.expirationTime);
+  if (expirationTime && !(expirationTime > now)) add('expirationTime', 'Message has expired');
+  const notBefore = time(fields.notBefore);
+  if (notBefore && !(notBefore <= now)) add('notBefore', 'Message is not valid yet');
+
+  return errors;
+};
+
+/**
+ * Recover the address that produced a personal_sign signature
+ * @param {string} message
+ * @param {string} signature
+ * @returns {string|null} Checksummed address, or null for a malformed signature
+ */
+const recoverSigner = (message, signature) => {
+  try {
+    return web3.eth.accounts.recover(message, signature);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  parseSiweMessage,
+  validateSiweMessage,
+  recoverSigner
+};
@@ -0,0 +1,377 @@
+const { utils } = require('web3');
+const { ValidationError } = require('./errors');
+const RugCoinTombstone = require('../../models/RugCoinTombstone');
+const WarningSign = require('../../models/WarningSign');
+const InsiderInformation = require('../../models/InsiderInformation');
+
+const EVM_NETWORKS = ['Ethereum', 'BSC', 'Polygon'];
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Upper bounds that no genuine submission should reach
+const MAX_TOTAL_LOSS = 1e12;
+const MAX_AFFECTED_USERS = 1e9;
+
+// Each team wallet costs an RPC call per risk report
+const MAX_TEAM_WALLETS = 20;
+
+/**
+ * Decoded byte length of a base58 string
+ * @param {string} value
+ * @returns {number} -1 when the string is not base58
+ */
+const base58Length = (value) => {
+  const bytes = [];
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry === -1) return -1;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let zeros = 0;
+  while (value[zeros] === '1') zeros++;
+  return bytes.length + zeros;
+};
+
+/**
+ * Check an EVM address, enforcing the EIP-55 checksum on mixed-case input
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isEvmAddress = (address) => {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return true;
+  return utils.toChecksumAddress(address) === address;
+};
+
+/**
+ * Check a Solana address (32-byte base58 public key)
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isSolanaAddress = (address) => {
+  return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address) && base58Length(address) === 32;
+};
+
+/**
+ * Check a contract address for a network
+ * @param {string} address
+ * @param {string} network
+ * @returns {boolean}
+ */
+const isValidAddress = (address, network) => {
+  if (typeof address !== 'string' || !address.trim()) return false;
+  if (EVM_NETWORKS.includes(network)) return isEvmAddress(address);
+  if (network === 'Solana') return isSolanaAddress(address);
+  return true;
+};
+
+/**
+ * Check a transaction hash (EVM or Solana signature)
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isTransactionHash = (value) => {
+  return /^0x[0-9a-fA-F]{64}$/.test(value) ||
+    (/^[1-9A-HJ-NP-Za-km-z]{64,88}$/.test(value) && base58Length(value) === 64);
+};
+
+/**
+ * Check an http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Schemes, www. hosts and bare domains on TLDs common in crypto spam
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|xyz|app|me|gg|co|finance|link|site|online|top|vip|club)\b(?:\/\S*)?/i;
+
+/**
+ * Check whether text contains a link
+ * @param {string} text
+ * @returns {boolean}
+ */
+const containsLink = (text) => LINK_PATTERN.test(String(text || ''));
+
+/**
+ * Parse a date input
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Collects field-level errors for one input object
+ */
+class FieldErrors {
+  constructor() {
+    this.errors = [];
+  }
+
+  add(field, message) {
+    this.errors.push({ field, message });
+  }
+
+  check(condition, field, message) {
+    if (!condition) this.add(field, message);
+  }
+
+  /**
+   * Check a value against a Mongoose enum so the message names the allowed values
+   * @param {Array<string>|string} values
+   * @param {Array<string>} allowed
+   * @param {string} field
+   */
+  oneOf(values, allowed, field) {
+    const list = Array.isArray(values) ? values : [values];
+    list.forEach((value, index) => {
+      if (!allowed.includes(value)) {
+        const path = Array.isArray(values) ? `${field}[${index}]` : field;
+        this.add(path, `Must be one of: ${allowed.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Check each evidence entry is a URL or transaction hash
+   * @param {Array<string>} evidence
+   * @param {string} field
+   */
+  evidence(evidence = [], field = 'evidence') {
+    evidence.forEach((item, index) => {
+      if (!isUrl(item) && !isTransactionHash(item)) {
+        this.add(`${field}[${index}]`, 'Must be an http(s) URL or a transaction hash');
+      }
+    });
+  }
+}
+
+/**
+ * Throw a VALIDATION_FAILED error carrying field-level messages
+ * @param {Array<Object>} errors { field, message }
+ */
+const assertValid = (errors) => {
+  if (!errors.length) return;
+
+  throw new ValidationError(errors);
+};
+
+/**
+ * Validate a rug coin tombstone submission
+ * @param {Object} input
+ * @returns {Array<Object>}
+ */
+const validateRugCoinTombstone = (input) => {
+  const errors = new FieldErrors();
+
+  errors.oneOf(input.blockchainNetwork, RugCoinTombstone.schema.path('blockchainNetwork').enumValues, 'blockchainNetwork');
+  errors.check(
+    isValidAddress(input.contractAddress, input.blockchainNetwork),
+    'contractAddress',
+    `Not a valid ${input.blockchainNetwork} address`
+  );
+  if (input.deployerAddress) {
+    errors.check(
+      isValidAddress(input.deployerAddress, input.blockchainNetwork),
+      'deployerAddress',
+      `Not a valid ${input.blockchainNetwork} address`
+    );
+  }
+
+  const launchDate = parseDate(input.launchDate);
+  const rugPullDate = parseDate(input.rugPullDate);
+  errors.check(launchDate, 'launchDate', 'Must be a valid date');
+  errors.check(rugPullDate, 'rugPullDate', 'Must be a valid date');
+  if (launchDate && rugPullDate) {
+    errors.check(launchDate < rugPullDate, 'rugPullDate', 'Must be after launchDate');
+    errors.check(rugPullDate <= new Date(), 'rugPullDate', 'Cannot be in the future');
+  }
+
+  errors.check(
+    Number.isFinite(input.totalLoss) && input.totalLoss >= 0 && input.totalLoss <= MAX_TOTAL_LOSS,
+    'totalLoss',
+    `Must be between 0 and ${MAX_TOTAL_LOSS}`
+  );
+  errors.check(
+    Number.isInteger(input.affectedUsers) && input.affectedUsers >= 0 &&
+      input.affectedUsers <= MAX_AFFECTED_USERS,
+    'affectedUsers',
+    `Must be a whole number between 0 and ${MAX_AFFECTED_USERS}`
+  );
+
+  errors.oneOf(input.fraudTactics || [], RugCoinTombstone.schema.path('fraudTactics').caster.enumValues, 'fraudTactics');
+  errors.check(input.evidence && input.evidence.length, 'evidence', 'At least one item is required');
+  errors.evidence(input.evidence);
+
+  return errors.errors;
+};
+
+/**
+ * Validate a warning sign submission
+ * @param {Object} input
+ * @returns {Array<Object>}
+ */
+const validateWarningSign = (input) => {
+  const errors = new FieldErrors();
+
+  errors.oneOf(input.blockchainNetwork, WarningSign.schema.path('blockchainNetwork').enumValues, 'blockchainNetwork');
+  errors.oneOf(input.riskLevel, WarningSign.schema.path('riskLevel').enumValues, 'riskLevel');
+  errors.oneOf(input.riskType || [], WarningSign.schema.path('riskType').caster.enumValues, 'riskType');
+  errors.check(
+    isValidAddress(input.contractAddress, input.blockchainNetwork),
+    'contractAddress',
+    `Not a valid ${input.blockchainNetwork} address`
+  );
+  if (input.deployerAddress) {
+    errors.check(
+      isValidAddress(input.deployerAddress, input.blockchainNetwork),
+      'deployerAddress',
+      `Not a valid ${input.blockchainNetwork} address`
+    );
+  }
+
+  const evidence = input.evidence || {};
+  const onChain = evidence.onChainData;
+  if (onChain && onChain.transactionHash) {
+    errors.check(
+      isTransactionHash(onChain.transactionHash),
+      'evidence.onChainData.transactionHash',
+      'Not a valid transaction hash'
+    );
+  }
+  if (onChain && onChain.blockNumber !== undefined && onChain.blockNumber !== null) {
+    errors.check(onChain.blockNumber >= 0, 'evidence.onChainData.blockNumber', 'Must not be negative');
+  }
+
+  ['onChainData', 'marketData', 'socialData'].forEach(section => {
+    if (evidence[section] && evidence[section].timestamp) {
+      errors.check(
+        parseDate(evidence[section].timestamp),
+        `evidence.${section}.timestamp`,
+        'Must be a valid date'
+      );
+    }
+  });
+
+  return errors.errors;
+};
+
+/**
+ * Validate an insider information submission
+ * @param {Object} input
+ * @returns {Array<Object>}
+ */
+const validateInsiderInformation = (input) => {
+  const errors = new FieldErrors();
+
+  errors.oneOf(input.blockchainNetwork, InsiderInformation.schema.path('blockchainNetwork').enumValues, 'blockchainNetwork');
+  errors.oneOf(input.riskLevel, InsiderInformation.schema.path('riskLevel').enumValues, 'riskLevel');
+  errors.oneOf(input.category || [], InsiderInformation.schema.path('category').caster.enumValues, 'category');
+  if (input.contractAddress) {
+    errors.check(
+      isValidAddress(input.contractAddress, input.blockchainNetwork),
+      'contractAddress',
+      `Not a valid ${input.blockchainNetwork} address`
+    );
+  }
+
+  errors.check(input.title && input.title.trim().length >= 5, 'title', 'Must be at least 5 characters');
+  errors.check(input.content && input.content.trim().length >= 20, 'content', 'Must be at least 20 characters');
+  errors.evidence(input.evidence || []);
+
+  return errors.errors;
+};
+
+/**
+ * Validate a network/contract address pair used for lookups
+ * @param {Object} input { network, contractAddress }
+ * @returns {Array<Object>}
+ */
+const validateTokenLookup = ({ network, contractAddress }) => {
+  const errors = new FieldErrors();
+
+  errors.oneOf(network, RugCoinTombstone.schema.path('blockchainNetwork').enumValues, 'network');
+  errors.check(isValidAddress(contractAddress, network), 'contractAddress', `Not a valid ${network} address`);
+
+  return errors.errors;
+};
+
+/**
+ * Validate the contract, pair and team wallets of a risk report request
+ * @param {Object} input { network, contractAddress, pairAddress, teamWallets }
+ * @returns {Array<Object>}
+ */
+const validateRiskReportRequest = ({ network, contractAddress, pairAddress, teamWallets }) => {
+  const errors = new FieldErrors();
+
+  if (pairAddress) {
+    errors.check(isValidAddress(pairAddress, network), 'pairAddress', `Not a valid ${network} address`);
+  }
+  if (teamWallets) {
+    errors.check(
+      teamWallets.length <= MAX_TEAM_WALLETS,
+      'teamWallets',
+      `At most ${MAX_TEAM_WALLETS} wallets are allowed`
+    );
+    if (teamWallets.length <= MAX_TEAM_WALLETS) {
+      teamWallets.forEach((wallet, index) => {
+        errors.check(isValidAddress(wallet, network), `teamWallets[${index}]`, `Not a valid ${network} address`);
+      });
+    }
+  }
+
+  return [...validateTokenLookup({ network, contractAddress }), ...errors.errors];
+};
+
+/**
+ * Validate a new password
+ * @param {string} password
+ * @param {string} [field] Field name to report
+ * @returns {Array<Object>}
+ */
+const validatePassword = (password, field = 'password') => {
+  const errors = new FieldErrors();
+
+  errors.check(password.length >= 8, field, 'Must be at least 8 characters');
+  errors.check(password.length <= 128, field, 'Must be at most 128 characters');
+
+  return errors.errors;
+};
+
+module.exports = {
+  isEvmAddress,
+  isSolanaAddress,
+  isValidAddress,
+  isTransactionHash,
+  isUrl,
+  containsLink,
+  FieldErrors,
+  assertValid,
+  validateRugCoinTombstone,
+  validateWarningSign,
+  validateInsiderInformation,
+  validateTokenLookup,
+  validateRiskReportRequest,
+  validatePassword,
+  MAX_TEAM_WALLETS
+};
@@ -0,0 +1,51 @@
+// Public views of stored records: only the fields an anonymous GraphQL caller
+// could read. Used wherever records leave the API, e.g. REST and webhooks.
+
+const tombstoneView = (tombstone) => ({
+  id: tombstone.id,
+  projectName: tombstone.projectName,
+  tokenSymbol: tombstone.tokenSymbol,
+  blockchainNetwork: tombstone.blockchainNetwork,
+  contractAddress: tombstone.contractAddress,
+  deployerAddress: tombstone.deployerAddress,
+  launchDate: tombstone.launchDate,
+  rugPullDate: tombstone.rugPullDate,
+  totalLoss: tombstone.totalLoss,
+  affectedUsers: tombstone.affectedUsers,
+  fraudTactics: tombstone.fraudTactics,
+  evidence: tombstone.evidence,
+  verificationStatus: tombstone.verificationStatus,
+  createdAt: tombstone.createdAt
+});
+
+const warningView = (warning) => ({
+  id: warning.id,
+  projectName: warning.projectName,
+  tokenSymbol: warning.tokenSymbol,
+  blockchainNetwork: warning.blockchainNetwork,
+  contractAddress: warning.contractAddress,
+  riskType: warning.riskType,
+  riskLevel: warning.riskLevel,
+  riskScore: warning.aiAnalysis.riskScore,
+  description: warning.description,
+  status: warning.status,
+  createdAt: warning.createdAt
+});
+
+const insiderView = (info) => ({
+  id: info.id,
+  title: info.title,
+  projectName: info.projectName,
+  blockchainNetwork: info.blockchainNetwork,
+  contractAddress: info.contractAddress,
+  riskLevel: info.riskLevel,
+  category: info.category,
+  credibilityScore: info.credibilityScore,
+  createdAt: info.createdAt
+});
+
+module.exports = {
+  tombstoneView,
+  warningView,
+  insiderView
+};
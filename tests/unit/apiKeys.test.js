@@ -0,0 +1,131 @@
+const { expect } = require('chai');
+const ApiKey = require('../../models/ApiKey');
+const ApiKeyUsage = require('../../models/ApiKeyUsage');
+const config = require('../../config/auth');
+const apiKeyService = require('../../services/apiKeyService');
+
+describe('API Key Tests', () => {
+  const keyId = '65f1c0ffee65f1c0ffee65f2';
+  const user = { id: '65f1c0ffee65f1c0ffee65f1', role: 'user', isPremium: false };
+  const original = {
+    countDocuments: ApiKey.countDocuments,
+    create: ApiKey.create,
+    findOne: ApiKey.findOne,
+    findOneAndUpdate: ApiKeyUsage.findOneAndUpdate,
+    find: ApiKeyUsage.find
+  };
+  let activeKeys;
+  let usage;
+
+  beforeAll(() => {
+    ApiKey.countDocuments = async () => activeKeys;
+    ApiKey.create = async (fields) => ({ id: keyId, ...fields });
+    ApiKey.findOne = async ({ _id, owner }) => (_id === keyId && owner === user.id ? { _id: keyId } : null);
+    ApiKeyUsage.findOneAndUpdate = async ({ period }, update) => {
+      usage.set(period, (usage.get(period) || 0) + update.$inc.count);
+      return { period, count: usage.get(period) };
+    };
+    ApiKeyUsage.find = async ({ period }) => period.$in
+      .filter(p => usage.has(p))
+      .map(p => ({ period: p, count: usage.get(p) }));
+  });
+
+  afterAll(() => {
+    Object.assign(ApiKey, {
+      countDocuments: original.countDocuments,
+      create: original.create,
+      findOne: original.findOne
+    });
+    Object.assign(ApiKeyUsage, {
+      findOneAndUpdate: original.findOneAndUpdate,
+      find: original.find
+    });
+  });
+
+  beforeEach(() => {
+    activeKeys = 0;
+    usage = new Map();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createKey()', () => {
+    it('should return the key once and store only its hash', async () => {
+      const { apiKey, key } = await apiKeyService.createKey(user, { name: 'bot', scopes: ['READ', 'READ'] });
+
+      expect(key).to.match(/^grk_/);
+      expect(apiKey.keyHash).to.not.equal(key);
+      expect(key.startsWith(apiKey.prefix)).to.equal(true);
+      expect(apiKey.scopes).to.deep.equal(['READ']);
+    });
+
+    it('should require at least one scope', async () => {
+      const error = await apiKeyService.createKey(user, { name: 'bot', scopes: [] }).catch(e => e);
+      expect(error.extensions.code).to.equal('VALIDATION_FAILED');
+    });
+
+    it('should only let moderators create MODERATION keys', async () => {
+      const error = await apiKeyService.createKey(user, { name: 'mod', scopes: ['MODERATION'] }).catch(e => e);
+      expect(error.extensions.code).to.equal('FORBIDDEN');
+
+      const { apiKey } = await apiKeyService.createKey({ ...user, role: 'moderator' }, { name: 'mod', scopes: ['MODERATION'] });
+      expect(apiKey.scopes).to.deep.equal(['MODERATION']);
+    });
+
+    it('should limit the number of active keys', async () => {
+      activeKeys = config.apiKeys.maxKeysPerUser - 1;
+      await apiKeyService.createKey(user, { name: 'last', scopes: ['READ'] });
+
+      activeKeys = config.apiKeys.maxKeysPerUser;
+      const error = await apiKeyService.createKey(user, { name: 'one more', scopes: ['READ'] }).catch(e => e);
+      expect(error.extensions.code).to.equal('VALIDATION_FAILED');
+    });
+  });
+
+  describe('recordUsage()', () => {
+    it('should reject requests over the monthly quota', async () => {
+      jest.useFakeTimers({ now: new Date('2024-05-31T23:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      const limit = config.apiKeys.monthlyQuota.free;
+      usage.set('2024-05', limit - 1);
+
+      const last = await apiKeyService.recordUsage({ _id: keyId }, user);
+      expect(last).to.deep.equal({ period: '2024-05', count: limit, limit });
+
+      const error = await apiKeyService.recordUsage({ _id: keyId }, user).catch(e => e);
+      expect(error.extensions).to.include({ code: 'QUOTA_EXCEEDED', limit, period: '2024-05', resetsAt: '2024-06-01T00:00:00.000Z' });
+    });
+
+    it('should give premium owners the larger quota', async () => {
+      const result = await apiKeyService.recordUsage({ _id: keyId }, { ...user, isPremium: true });
+      expect(result.limit).to.equal(config.apiKeys.monthlyQuota.premium);
+    });
+  });
+
+  describe('getUsage()', () => {
+    it('should list months newest first across a year boundary', async () => {
+      jest.useFakeTimers({ now: new Date('2024-02-15T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      usage.set('2024-02', 40);
+      usage.set('2023-12', 7);
+
+      const months = await apiKeyService.getUsage(keyId, user, 3);
+
+      expect(months.map(m => m.period)).to.deep.equal(['2024-02', '2024-01', '2023-12']);
+      expect(months.map(m => m.count)).to.deep.equal([40, 0, 7]);
+      expect(months[0].remaining).to.equal(config.apiKeys.monthlyQuota.free - 40);
+      expect(months[0].resetsAt).to.equal('2024-03-01T00:00:00.000Z');
+      expect(months[2].resetsAt).to.equal('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should keep the number of months between 1 and 24', async () => {
+      expect(await apiKeyService.getUsage(keyId, user, 0)).to.have.length(1);
+      expect(await apiKeyService.getUsage(keyId, user, 100)).to.have.length(24);
+    });
+
+    it('should not show usage of another user\'s key', async () => {
+      const error = await apiKeyService.getUsage(keyId, { ...user, id: '65f1c0ffee65f1c0ffee65f3' }).catch(e => e);
+      expect(error.extensions.code).to.equal('NOT_FOUND');
+    });
+  });
+});
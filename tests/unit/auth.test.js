@@ -0,0 +1,195 @@
+const jwt = require('jsonwebtoken');
+const { expect } = require('chai');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { authenticate, generateToken, generateResetToken, isSuspended } = require('../../src/utils/auth');
+const sessionService = require('../../services/sessionService');
+const accountService = require('../../services/accountService');
+const mailer = require('../../src/utils/mailer');
+const encryption = require('../../src/utils/encryption');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+
+describe('Auth Module Tests', () => {
+  const user = { id: '65f1c0ffee65f1c0ffee65f1' };
+
+  describe('generateToken()', () => {
+    it('should issue a short-lived token bound to a session', () => {
+      const decoded = jwt.decode(generateToken(user, '65f1c0ffee65f1c0ffee65f2'));
+      expect(decoded.id).to.equal(user.id);
+      expect(decoded.sid).to.equal('65f1c0ffee65f1c0ffee65f2');
+      expect(decoded.exp - decoded.iat).to.equal(15 * 60);
+    });
+  });
+
+  describe('generateResetToken()', () => {
+    it('should bind reset tokens to the current password hash', () => {
+      const before = jwt.decode(generateResetToken({ ...user, password: '$2a$10$old' }));
+      const after = jwt.decode(generateResetToken({ ...user, password: '$2a$10$new' }));
+      expect(before.type).to.equal('reset');
+      expect(before.pwd).to.not.equal(after.pwd);
+    });
+
+    it('should work for wallet accounts without a password', () => {
+      const first = jwt.decode(generateResetToken(user));
+      const second = jwt.decode(generateResetToken({ ...user, password: undefined }));
+      const afterReset = jwt.decode(generateResetToken({ ...user, password: '$2a$10$new' }));
+      expect(first.pwd).to.equal(second.pwd);
+      expect(first.pwd).to.not.equal(afterReset.pwd);
+    });
+  });
+
+  describe('authenticate()', () => {
+    it('should not accept reset tokens as access tokens', async () => {
+      const token = generateResetToken({ ...user, password: '$2a$10$old' });
+      expect(await authenticate(token)).to.be.null;
+    });
+
+    it('should reject tokens without a session', async () => {
+      const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+      expect(await authenticate(`Bearer ${token}`)).to.be.null;
+    });
+  });
+
+  describe('isSuspended()', () => {
+    it('should end suspensions at their end date but never end bans', () => {
+      const day = 24 * 60 * 60 * 1000;
+      expect(isSuspended({ suspension: { until: new Date(Date.now() + day) } })).to.be.true;
+      expect(isSuspended({ suspension: { until: new Date(Date.now() - day) } })).to.be.false;
+      expect(isSuspended({ suspension: { banned: true } })).to.be.true;
+      expect(isSuspended({ suspension: {} })).to.be.false;
+    });
+  });
+
+  describe('sessionService.createSession()', () => {
+    it('should not sign in suspended users', async () => {
+      const until = new Date(Date.now() + 60 * 60 * 1000);
+      try {
+        await sessionService.createSession({ ...user, suspension: { until, reason: 'spam' } });
+        expect.fail('Expected a forbidden error');
+      } catch (error) {
+        expect(error.extensions).to.deep.equal({
+          code: 'FORBIDDEN',
+          reason: 'ACCOUNT_SUSPENDED',
+          until: until.toISOString(),
+          suspensionReason: 'spam'
+        });
+      }
+    });
+
+    it('should not sign in deleted users', async () => {
+      try {
+        await sessionService.createSession({ ...user, deletedAt: new Date() });
+        expect.fail('Expected an authentication error');
+      } catch (error) {
+        expect(error.message).to.equal('Account has been deleted');
+      }
+    });
+  });
+
+  describe('sessionService.refresh()', () => {
+    const sessionId = '65f1c0ffee65f1c0ffee65f2';
+    const original = { findOneAndUpdate: Session.findOneAndUpdate, updateOne: Session.updateOne, findById: User.findById };
+    let session;
+
+    // Applies the filters and updates refresh() uses to one stored session
+    beforeAll(() => {
+      Session.findOneAndUpdate = async (filter, update) => {
+        if (filter._id !== session.id || filter.refreshTokenHash !== session.refreshTokenHash ||
+            session.revokedAt || session.expiresAt <= filter.expiresAt.$gt) {
+          return null;
+        }
+        Object.assign(session, update.$set);
+        const { $each, $slice } = update.$push.rotatedRefreshTokenHashes;
+        session.rotatedRefreshTokenHashes = [...session.rotatedRefreshTokenHashes, ...$each].slice($slice);
+        return session;
+      };
+      Session.updateOne = async (filter, update) => {
+        const matches = filter._id === session.id && !session.revokedAt &&
+          session.rotatedRefreshTokenHashes.includes(filter.rotatedRefreshTokenHashes);
+        if (matches) Object.assign(session, update.$set);
+        return { modifiedCount: matches ? 1 : 0 };
+      };
+      User.findById = async () => ({ ...user, _id: user.id });
+    });
+
+    afterAll(() => {
+      Object.assign(Session, { findOneAndUpdate: original.findOneAndUpdate, updateOne: original.updateOne });
+      User.findById = original.findById;
+    });
+
+    beforeEach(() => {
+      session = {
+        id: sessionId,
+        user: user.id,
+        refreshTokenHash: encryption.generateHash('first'),
+        rotatedRefreshTokenHashes: [],
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      };
+    });
+
+    const expectRejected = async (refreshToken) => {
+      try {
+        await sessionService.refresh(refreshToken);
+        expect.fail('Expected an authentication error');
+      } catch (error) {
+        expect(error.extensions.code).to.equal('UNAUTHENTICATED');
+      }
+    };
+
+    it('should reject malformed refresh tokens', async () => {
+      await expectRejected('not-a-token');
+    });
+
+    it('should rotate the refresh token on use', async () => {
+      const { refreshToken } = await sessionService.refresh(`${sessionId}.first`);
+      expect(refreshToken.startsWith(`${sessionId}.`)).to.be.true;
+      expect(session.refreshTokenHash).to.equal(encryption.generateHash(refreshToken.split('.')[1]));
+      await expectRejected(`${sessionId}.first`);
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      const { refreshToken } = await sessionService.refresh(`${sessionId}.first`);
+      await expectRejected(`${sessionId}.first`);
+      expect(session.revokedReason).to.equal('refresh_token_reuse');
+      await expectRejected(refreshToken);
+    });
+
+    it('should not revoke the session for a secret it never issued', async () => {
+      await expectRejected(`${sessionId}.guess`);
+      expect(session.revokedAt).to.be.undefined;
+      const { refreshToken } = await sessionService.refresh(`${sessionId}.first`);
+      expect(refreshToken).to.be.a('string');
+    });
+  });
+
+  describe('accountService.requestPasswordReset()', () => {
+    const findOne = User.findOne;
+    const sent = [];
+
+    beforeAll(() => {
+      User.findOne = async ({ email }) => (email === 'known@example.com'
+        ? { ...user, email, username: 'known', password: '$2a$10$old' }
+        : null);
+    });
+
+    afterAll(() => {
+      User.findOne = findOne;
+      mailer.setTransport(null);
+    });
+
+    it('should email a reset link to known addresses', async () => {
+      mailer.setTransport({ send: async (message) => { sent.push(message); } });
+      await accountService.requestPasswordReset(' Known@Example.com ');
+      expect(sent[0].to).to.equal('known@example.com');
+      expect(sent[0].text).to.include('/reset-password?token=');
+    });
+
+    it('should answer the same whether or not sending fails', async () => {
+      mailer.setTransport({ send: async () => { throw new Error('SMTP down'); } });
+      expect(await accountService.requestPasswordReset('known@example.com')).to.be.undefined;
+      expect(await accountService.requestPasswordReset('unknown@example.com')).to.be.undefined;
+    });
+  });
+});
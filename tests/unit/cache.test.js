@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+const { TtlCache } = require('../../src/utils/cache');
+
+describe('Cache Module Tests', () => {
+  const realNow = Date.now;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    Date.now = () => now;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('should expire entries after their time to live', () => {
+    const cache = new TtlCache({ maxSize: 10, ttlMs: 1000 });
+    cache.set('a', 1);
+    now += 999;
+    expect(cache.get('a')).to.equal(1);
+    now += 1;
+    expect(cache.get('a')).to.be.undefined;
+    expect(cache.size).to.equal(0);
+  });
+
+  it('should evict the least recently used entry when full', () => {
+    const cache = new TtlCache({ maxSize: 2, ttlMs: 1000 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.size).to.equal(2);
+    expect(cache.get('b')).to.be.undefined;
+    expect(cache.get('a')).to.equal(1);
+    expect(cache.get('c')).to.equal(3);
+  });
+});
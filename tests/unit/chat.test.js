@@ -0,0 +1,173 @@
+const { expect } = require('chai');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Message analysis needs TensorFlow and isn't reached by these tests
+jest.mock('../../services/aiService', () => ({}));
+
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const ApiKey = require('../../models/ApiKey');
+const ChatMessage = require('../../models/ChatMessage');
+const chatService = require('../../services/chatService');
+const config = require('../../config/premium');
+const encryption = require('../../src/utils/encryption');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Chat WebSocket Tests', () => {
+  const member = { id: '65f1c0ffee65f1c0ffee65f1', _id: '65f1c0ffee65f1c0ffee65f1', role: 'user', reputation: 50 };
+  const original = {
+    findById: User.findById,
+    exists: Session.exists,
+    findOne: ApiKey.findOne,
+    keyExists: ApiKey.exists,
+    find: ChatMessage.find
+  };
+  let users;
+  let apiKeys;
+  let revoked;
+
+  // Stand-in for a Mongoose query: awaitable, with select()
+  const query = (doc) => ({
+    select: async () => doc,
+    then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+  });
+
+  const socket = () => {
+    const ws = { sent: [], readyState: 1 };
+    ws.send = (data) => ws.sent.push(JSON.parse(data));
+    return ws;
+  };
+
+  beforeAll(() => {
+    User.findById = (id) => query(users[String(id)] || null);
+    Session.exists = async ({ _id }) => (revoked.has(_id) ? null : { _id });
+    ApiKey.findOne = async ({ keyHash }) => apiKeys[keyHash] || null;
+    ApiKey.exists = async ({ _id }) => (revoked.has(_id) ? null : { _id });
+    ChatMessage.find = () => ({ sort: () => ({ limit: async () => [] }) });
+  });
+
+  afterAll(() => {
+    User.findById = original.findById;
+    Session.exists = original.exists;
+    ApiKey.findOne = original.findOne;
+    ApiKey.exists = original.keyExists;
+    ChatMessage.find = original.find;
+  });
+
+  beforeEach(() => {
+    users = { [member.id]: { ...member, $locals: {} } };
+    apiKeys = {};
+    revoked = new Set();
+    chatService.rooms.clear();
+  });
+
+  it('should not let unauthenticated connections join or post', async () => {
+    const ws = socket();
+    await chatService.handleMessage(ws, { type: 'join', roomId: 'general', userId: member.id });
+    await chatService.handleMessage(ws, { type: 'chat', content: 'hello' });
+
+    expect(ws.roomId).to.be.undefined;
+    expect(ws.sent.map(message => message.error)).to.deep.equal(['Not authenticated', 'Not joined to a room']);
+  });
+
+  it('should reject invalid tokens', async () => {
+    const ws = socket();
+    await chatService.handleMessage(ws, { type: 'auth', token: 'not-a-token' });
+    expect(ws.user).to.be.undefined;
+    expect(ws.sent[0].error).to.equal('Authentication failed');
+  });
+
+  it('should act as the authenticated user, not the claimed one', async () => {
+    const ws = socket();
+    await chatService.handleMessage(ws, { type: 'auth', token: generateToken(member, 'session') });
+    await chatService.handleMessage(ws, { type: 'join', roomId: 'general', userId: '65f1c0ffee65f1c0ffee65f9' });
+
+    expect(ws.sent[0]).to.deep.equal({ type: 'authenticated', userId: member.id });
+    expect(ws.userId).to.equal(member.id);
+    expect(ws.roomId).to.equal('general');
+  });
+
+  it('should reject users suspended after authenticating', async () => {
+    const ws = socket();
+    await chatService.handleMessage(ws, { type: 'auth', token: generateToken(member, 'session') });
+    users[member.id].suspension = { banned: true };
+    await chatService.handleMessage(ws, { type: 'join', roomId: 'general' });
+
+    expect(ws.roomId).to.be.undefined;
+    expect(ws.sent[1].error).to.equal('Account is suspended');
+  });
+
+  it('should reject connections whose session was revoked after authenticating', async () => {
+    const ws = socket();
+    await chatService.handleMessage(ws, { type: 'auth', token: generateToken(member, 'session') });
+    revoked.add('session');
+    await chatService.handleMessage(ws, { type: 'join', roomId: 'general' });
+
+    expect(ws.roomId).to.be.undefined;
+    expect(ws.sent[1].error).to.equal('Not authenticated');
+  });
+
+  it('should not let unverified users post', async () => {
+    users[member.id].emailVerified = false;
+    const ws = socket();
+    await chatService.handleMessage(ws, { type: 'auth', token: generateToken(member, 'session') });
+    await chatService.handleMessage(ws, { type: 'join', roomId: 'general' });
+    await chatService.handleMessage(ws, { type: 'chat', content: 'buy now' });
+
+    expect(ws.roomId).to.equal('general');
+    expect(ws.sent[2].error).to.equal('Email address must be verified first');
+  });
+
+  it('should require the SUBMIT scope to post with an API key', async () => {
+    const key = 'grk_readonly';
+    apiKeys[encryption.generateHash(key)] = { _id: 'key', owner: member.id, scopes: ['READ'], lastUsedAt: new Date() };
+    const ws = socket();
+    await chatService.handleMessage(ws, { type: 'auth', token: key });
+    await chatService.handleMessage(ws, { type: 'join', roomId: 'general' });
+    await chatService.handleMessage(ws, { type: 'chat', content: 'buy now' });
+
+    expect(ws.roomId).to.equal('general');
+    expect(ws.sent[2].error).to.equal('API key is missing the SUBMIT scope');
+
+    revoked.add('key');
+    await chatService.handleMessage(ws, { type: 'chat', content: 'buy now' });
+    expect(ws.sent[3].error).to.equal('Not authenticated');
+  });
+
+  describe('premium', () => {
+    const premiumRoom = `${config.chat.roomPrefix}alpha`;
+    const admin = { id: '65f1c0ffee65f1c0ffee65fa', _id: '65f1c0ffee65f1c0ffee65fa', role: 'admin' };
+
+    it('should keep free users out of premium rooms, whoever they claim to be', async () => {
+      users[admin.id] = { ...admin, $locals: {} };
+      const ws = socket();
+      await chatService.handleMessage(ws, { type: 'auth', token: generateToken(member, 'session') });
+      await chatService.handleMessage(ws, { type: 'join', roomId: premiumRoom, userId: admin.id });
+
+      expect(ws.roomId).to.be.undefined;
+      expect(ws.sent[1].error).to.equal('Premium access required');
+    });
+
+    it('should let premium users join premium rooms', async () => {
+      users[member.id].isPremium = true;
+      const ws = socket();
+      await chatService.handleMessage(ws, { type: 'auth', token: generateToken(member, 'session') });
+      await chatService.handleMessage(ws, { type: 'join', roomId: premiumRoom });
+
+      expect(ws.roomId).to.equal(premiumRoom);
+      expect(ws.premium).to.be.true;
+    });
+
+    it('should only broadcast premium messages to premium connections', () => {
+      const free = socket();
+      const premium = socket();
+      premium.premium = true;
+      chatService.rooms.set('general', new Set([free, premium]));
+
+      chatService.broadcastToRoom('general', { type: 'chat' }, null, true);
+      expect(free.sent).to.have.length(0);
+      expect(premium.sent).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { expect } = require('chai');
+const { graphql } = require('graphql');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { authDirectiveTransformer } = require('../../api/directives');
+
+describe('Auth Directive Tests', () => {
+  const schema = authDirectiveTransformer(makeExecutableSchema({
+    typeDefs: `
+      directive @auth(allowUnverified: Boolean = false, requireSession: Boolean = false) on OBJECT | FIELD_DEFINITION
+      directive @hasRole(role: Role!, orOwner: Boolean = false) on OBJECT | FIELD_DEFINITION
+      directive @trustLevel(min: TrustLevel!) on OBJECT | FIELD_DEFINITION
+      directive @premium on OBJECT | FIELD_DEFINITION
+      enum Role { USER MODERATOR ADMIN }
+      enum TrustLevel { NEW MEMBER TRUSTED HIGHLY_TRUSTED }
+
+      type Profile {
+        email: String @hasRole(role: ADMIN, orOwner: true)
+        notes: String! @hasRole(role: MODERATOR)
+      }
+      type Tip @premium { text: String }
+
+      type Query {
+        secret: String @auth
+        profile: Profile @auth
+        tip: Tip @auth
+        report: String @premium
+      }
+      type Mutation {
+        post: Boolean! @auth
+        logout: Boolean! @auth(allowUnverified: true)
+        moderate: Boolean! @hasRole(role: MODERATOR)
+        changePassword: Boolean! @auth(requireSession: true)
+        coVerify: Boolean! @trustLevel(min: HIGHLY_TRUSTED)
+        ban: Boolean! @hasRole(role: ADMIN)
+      }
+    `,
+    resolvers: {
+      Query: {
+        secret: () => 'hidden',
+        profile: () => ({ submittedBy: 'u1', email: 'owner@example.com', notes: 'flagged' }),
+        tip: () => ({ text: 'sell' }),
+        report: () => 'report'
+      },
+      Mutation: {
+        post: () => true,
+        logout: () => true,
+        moderate: () => true,
+        changePassword: () => true,
+        coVerify: () => true,
+        ban: () => true
+      }
+    }
+  }));
+
+  const run = (source, user) => graphql({ schema, source, contextValue: { user } });
+  const unverified = { id: 'u1', role: 'user', emailVerified: false };
+
+  it('should reject callers who are not logged in', async () => {
+    const result = await run('{ secret }', null);
+    expect(result.data.secret).to.be.null;
+    expect(result.errors[0].extensions).to.deep.equal({ code: 'UNAUTHENTICATED' });
+  });
+
+  it('should let unverified users read', async () => {
+    const result = await run('{ secret }', unverified);
+    expect(result.data.secret).to.equal('hidden');
+  });
+
+  it('should keep unverified users from writing', async () => {
+    const result = await run('mutation { post }', unverified);
+    expect(result.errors[0].extensions).to.deep.equal({ code: 'FORBIDDEN', reason: 'EMAIL_NOT_VERIFIED' });
+  });
+
+  it('should allow mutations marked allowUnverified', async () => {
+    const result = await run('mutation { logout }', unverified);
+    expect(result.data.logout).to.be.true;
+  });
+
+  it('should treat accounts from before verification as verified', async () => {
+    const result = await run('mutation { post }', { id: 'u2', role: 'user' });
+    expect(result.data.post).to.be.true;
+  });
+
+  it('should lock moderator privileges until 2FA is enabled', async () => {
+    const moderator = { id: 'm1', role: 'moderator', twoFactor: { enabled: false } };
+    const locked = await run('mutation { moderate }', moderator);
+    expect(locked.errors[0].extensions.reason).to.equal('TWO_FACTOR_REQUIRED');
+
+    const unlocked = await run('mutation { moderate }', { ...moderator, twoFactor: { enabled: true } });
+    expect(unlocked.data.moderate).to.be.true;
+  });
+
+  it('should require the trust level, which staff always have', async () => {
+    const denied = await run('mutation { coVerify }', { id: 'u4', role: 'user', trustLevel: 'TRUSTED' });
+    expect(denied.errors[0].extensions).to.deep.equal({
+      code: 'FORBIDDEN',
+      reason: 'TRUST_LEVEL_REQUIRED',
+      requiredLevel: 'HIGHLY_TRUSTED'
+    });
+
+    const trusted = await run('mutation { coVerify }', { id: 'u5', role: 'user', trustLevel: 'HIGHLY_TRUSTED' });
+    expect(trusted.data.coVerify).to.be.true;
+
+    const staff = await run('mutation { coVerify }', { id: 'm2', role: 'moderator', twoFactor: { enabled: true } });
+    expect(staff.data.coVerify).to.be.true;
+  });
+
+  describe('@hasRole', () => {
+    const admin = { id: 'a1', role: 'admin', twoFactor: { enabled: true } };
+    const moderator = { id: 'm1', role: 'moderator', twoFactor: { enabled: true } };
+
+    it('should require at least the role', async () => {
+      const denied = await run('mutation { ban }', moderator);
+      expect(denied.errors[0].extensions).to.deep.equal({ code: 'FORBIDDEN' });
+
+      const allowed = await run('mutation { ban }', admin);
+      expect(allowed.data.ban).to.be.true;
+    });
+
+    it('should hide nullable fields from other users instead of failing', async () => {
+      const result = await run('{ profile { email } }', { id: 'u2', role: 'user' });
+      expect(result.errors).to.be.undefined;
+      expect(result.data.profile.email).to.be.null;
+    });
+
+    it('should show orOwner fields to their owner', async () => {
+      const result = await run('{ profile { email } }', { id: 'u1', role: 'user' });
+      expect(result.data.profile.email).to.equal('owner@example.com');
+    });
+
+    it('should fail non-null fields the caller may not see', async () => {
+      const denied = await run('{ profile { notes } }', { id: 'u1', role: 'user' });
+      expect(denied.data.profile).to.be.null;
+      expect(denied.errors[0].path).to.deep.equal(['profile', 'notes']);
+
+      const allowed = await run('{ profile { notes } }', moderator);
+      expect(allowed.data.profile.notes).to.equal('flagged');
+    });
+  });
+
+  describe('@premium', () => {
+    it('should keep free users out', async () => {
+      const result = await run('{ report }', { id: 'u2', role: 'user', isPremium: false });
+      expect(result.errors[0].extensions).to.deep.equal({ code: 'FORBIDDEN', reason: 'PREMIUM_REQUIRED' });
+    });
+
+    it('should let premium users and admins in', async () => {
+      const premium = await run('{ report }', { id: 'u2', role: 'user', isPremium: true });
+      expect(premium.data.report).to.equal('report');
+
+      const admin = await run('{ report }', { id: 'a1', role: 'admin', twoFactor: { enabled: true } });
+      expect(admin.data.report).to.equal('report');
+    });
+
+    it('should apply to every field of a premium type', async () => {
+      const result = await run('{ tip { text } }', { id: 'u2', role: 'user', isPremium: false });
+      expect(result.data.tip.text).to.be.null;
+      expect(result.errors[0].extensions.reason).to.equal('PREMIUM_REQUIRED');
+    });
+  });
+
+  describe('with an API key', () => {
+    const withKey = (scopes) => ({ id: 'u3', role: 'user', $locals: { apiKey: { scopes } } });
+
+    it('should require the scope matching the operation', async () => {
+      const read = await run('{ secret }', withKey(['READ']));
+      expect(read.data.secret).to.equal('hidden');
+
+      const write = await run('mutation { post }', withKey(['READ']));
+      expect(write.errors[0].extensions).to.deep.equal({ code: 'FORBIDDEN', reason: 'MISSING_SCOPE', scope: 'SUBMIT' });
+    });
+
+    it('should require MODERATION for privileged mutations', async () => {
+      const moderator = { id: 'm3', role: 'moderator', twoFactor: { enabled: true } };
+      const submit = await run('mutation { moderate }', { ...moderator, $locals: { apiKey: { scopes: ['SUBMIT'] } } });
+      expect(submit.errors[0].extensions.scope).to.equal('MODERATION');
+
+      const moderation = await run('mutation { moderate }', { ...moderator, $locals: { apiKey: { scopes: ['MODERATION'] } } });
+      expect(moderation.data.moderate).to.be.true;
+    });
+
+    it('should not reach session-only fields', async () => {
+      const result = await run('mutation { changePassword }', withKey(['READ', 'SUBMIT']));
+      expect(result.errors[0].extensions.reason).to.equal('SESSION_REQUIRED');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const {
+  NotFoundError,
+  UpstreamRpcError,
+  QuotaExceededError,
+  fromDatabaseError,
+  toAppError
+} = require('../../src/utils/errors');
+
+describe('Errors Module Tests', () => {
+  describe('catalogue errors', () => {
+    it('should carry a stable code and the resource', () => {
+      const error = new NotFoundError('WarningSign', '65f1c0ffee');
+      expect(error.message).to.equal('WarningSign not found');
+      expect(error.extensions).to.deep.equal({ code: 'NOT_FOUND', resource: 'WarningSign', id: '65f1c0ffee' });
+    });
+
+    it('should keep the RPC failure out of the message', () => {
+      const error = new UpstreamRpcError('BSC', new Error('connect ECONNREFUSED 10.0.0.4:8545'));
+      expect(error.message).to.equal('BSC RPC request failed');
+      expect(error.originalError.message).to.include('ECONNREFUSED');
+    });
+
+    it('should report when an exhausted quota resets', () => {
+      const error = new QuotaExceededError(10000, '2024-05', new Date(Date.UTC(2024, 5, 1)));
+      expect(error.extensions).to.include({ code: 'QUOTA_EXCEEDED', limit: 10000, resetsAt: '2024-06-01T00:00:00.000Z' });
+      expect(error.extensions.http.status).to.equal(429);
+    });
+  });
+
+  describe('fromDatabaseError()', () => {
+    it('should map duplicate keys to DUPLICATE', () => {
+      const error = fromDatabaseError({ code: 11000, keyValue: { contractAddress: '0xabc' } });
+      expect(error.code).to.equal('DUPLICATE');
+      expect(error.extensions.fields).to.deep.equal(['contractAddress']);
+    });
+
+    it('should map cast errors to VALIDATION_FAILED', () => {
+      const error = fromDatabaseError({ name: 'CastError', path: '_id', kind: 'ObjectId' });
+      expect(error.code).to.equal('VALIDATION_FAILED');
+      expect(error.extensions.fieldErrors).to.deep.equal([{ field: 'id', message: 'Invalid ObjectId' }]);
+    });
+  });
+
+  describe('toAppError()', () => {
+    it('should hide unknown errors behind INTERNAL_SERVER_ERROR', () => {
+      const error = toAppError(new TypeError("Cannot read properties of null (reading 'roomId')"));
+      expect(error.code).to.equal('INTERNAL_SERVER_ERROR');
+      expect(error.message).to.equal('Internal server error');
+    });
+  });
+});
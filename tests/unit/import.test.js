@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const { parseCsv } = require('../../src/utils/csv');
+const RugCoinTombstone = require('../../models/RugCoinTombstone');
+const importService = require('../../services/importService');
+
+describe('Import Module Tests', () => {
+  const header = 'projectName,tokenSymbol,blockchainNetwork,contractAddress,launchDate,rugPullDate,' +
+    'totalLoss,affectedUsers,fraudTactics,evidence,teamInformation.anonymous';
+  const validRow = 'Squid Game,SQUID,BSC,0x87230146E138d3F296a9a77e497A2A83012e9Bc5,2021-10-20,2021-11-01,' +
+    '3380000,40000,Honeypot|Liquidity Removal,https://bscscan.com/token/0x8723,yes';
+
+  describe('parseCsv()', () => {
+    it('should handle quoted fields with commas, quotes and newlines', () => {
+      const rows = parseCsv('name,notes\r\n"Rug, Inc","said ""safu""\nthen left"\n\nNext,x\n');
+      expect(rows).to.deep.equal([
+        { line: 2, values: { name: 'Rug, Inc', notes: 'said "safu"\nthen left' } },
+        { line: 5, values: { name: 'Next', notes: 'x' } }
+      ]);
+    });
+  });
+
+  describe('parse()', () => {
+    it('should build typed nested records from CSV columns', () => {
+      const [{ record }] = importService.parse('tombstone', `${header}\n${validRow}`, 'CSV');
+      expect(record.totalLoss).to.equal(3380000);
+      expect(record.fraudTactics).to.deep.equal(['Honeypot', 'Liquidity Removal']);
+      expect(record.teamInformation).to.deep.equal({ anonymous: true });
+    });
+
+    it('should report unparsable NDJSON lines by line number', () => {
+      const rows = importService.parse('tombstone', '{"totalLoss":"12"}\n\n{oops', 'NDJSON');
+      expect(rows[0].record.totalLoss).to.equal(12);
+      expect(rows[1]).to.deep.equal({ line: 3, error: 'Invalid JSON' });
+    });
+  });
+
+  describe('findExisting()', () => {
+    const original = RugCoinTombstone.find;
+
+    afterAll(() => {
+      RugCoinTombstone.find = original;
+    });
+
+    it('should match checksummed rows to records stored lowercase', async () => {
+      const stored = { blockchainNetwork: 'BSC', contractAddress: '0x87230146e138d3f296a9a77e497a2a83012e9bc5' };
+      let filter;
+      RugCoinTombstone.find = (query) => {
+        filter = query;
+        return { sort: async () => [stored] };
+      };
+
+      const rows = importService.parse('tombstone', `${header}\n${validRow}`, 'CSV');
+      const existing = await importService.findExisting('tombstone', rows);
+
+      expect(filter.contractAddress).to.deep.equal({ $in: [stored.contractAddress] });
+      expect(existing.get(importService.matchKey({ matchByNetwork: false }, rows[0].record))).to.equal(stored);
+    });
+  });
+
+  describe('importRow() in dry run', () => {
+    const state = () => ({ existing: new Map(), seen: new Map(), dryRun: true, submittedBy: '65f1c0ffee65f1c0ffee65f1' });
+    const parse = (content) => importService.parse('tombstone', content, 'CSV');
+
+    it('should report rows that would be created without writing', async () => {
+      const [row] = parse(`${header}\n${validRow}`);
+      const result = await importService.importRow('tombstone', row, state());
+      expect(result.status).to.equal('CREATED');
+      expect(result.id).to.equal(null);
+    });
+
+    it('should reject invalid rows and duplicates within the file', async () => {
+      const rows = parse(`${header}\n${validRow}\n${validRow}\n${validRow.replace('3380000', '-1')}`);
+      const shared = state();
+      const results = [];
+      for (const row of rows) results.push(await importService.importRow('tombstone', row, shared));
+
+      expect(results.map(r => r.status)).to.deep.equal(['CREATED', 'REJECTED', 'REJECTED']);
+      expect(results[1].errors[0].message).to.equal('Duplicate of row 2');
+      expect(results[2].errors.map(e => e.field)).to.include('totalLoss');
+    });
+  });
+});
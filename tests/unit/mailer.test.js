@@ -0,0 +1,26 @@
+const { expect } = require('chai');
+const config = require('../../config/mail');
+const mailer = require('../../src/utils/mailer');
+
+describe('Mailer Tests', () => {
+  const transport = config.transport;
+
+  afterEach(() => {
+    config.transport = transport;
+    mailer.setTransport(null);
+  });
+
+  it('should log messages by default outside production', () => {
+    expect(transport).to.equal('console');
+    expect(mailer.getTransport().send).to.be.a('function');
+  });
+
+  it('should refuse to send without a transport', async () => {
+    // As in production when MAIL_TRANSPORT isn't set
+    config.transport = null;
+    expect(() => mailer.getTransport()).to.throw('MAIL_TRANSPORT must be set in production');
+
+    const error = await mailer.send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' }).catch(e => e);
+    expect(error.message).to.equal('MAIL_TRANSPORT must be set in production');
+  });
+});
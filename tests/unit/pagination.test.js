@@ -0,0 +1,154 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginate
+} = require('../../src/utils/pagination');
+
+// Stand-in for a collection following MongoDB's comparison rules: null and
+// missing values equal each other and sort below numbers, and $lt/$gt only
+// compare non-null values
+const valueAt = (doc, path) => {
+  const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+  return value instanceof mongoose.Types.ObjectId ? String(value) : value;
+};
+
+const compare = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some(clause => matches(doc, clause));
+  if (key === '$and') return condition.every(clause => matches(doc, clause));
+
+  const value = valueAt(doc, key);
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    return Object.entries(condition).every(([op, operand]) => {
+      const target = operand instanceof mongoose.Types.ObjectId ? String(operand) : operand;
+      if (op === '$ne') return compare(value, target) !== 0;
+      return value != null && target != null && compare(value, target) === (op === '$lt' ? -1 : 1);
+    });
+  }
+  return compare(value, condition) === 0;
+});
+
+const collection = (docs) => ({
+  find: (query) => {
+    let order = {};
+    let size = Infinity;
+    const cursor = {
+      sort: (spec) => { order = spec; return cursor; },
+      limit: (n) => { size = n; return cursor; },
+      then: (resolve, reject) => Promise.resolve(docs
+        .filter(doc => matches(doc, query))
+        .sort((a, b) => Object.entries(order).reduce(
+          (result, [path, direction]) => result || direction * compare(valueAt(a, path), valueAt(b, path)),
+          0
+        ))
+        .slice(0, size)).then(resolve, reject)
+    };
+    return cursor;
+  },
+  countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length
+});
+
+describe('Pagination Module Tests', () => {
+  const id = '507f1f77bcf86cd799439011';
+
+  describe('encodeCursor() / decodeCursor()', () => {
+    it('should round trip numeric sort keys on nested paths', () => {
+      const doc = { _id: id, aiAnalysis: { riskScore: 87 } };
+      const cursor = encodeCursor(doc, 'aiAnalysis.riskScore');
+      expect(cursor).to.be.a('string');
+
+      const decoded = decodeCursor(cursor);
+      expect(decoded.value).to.equal(87);
+      expect(decoded.id).to.equal(id);
+    });
+
+    it('should round trip date sort keys', () => {
+      const createdAt = new Date('2024-03-01T12:00:00.000Z');
+      const decoded = decodeCursor(encodeCursor({ _id: id, createdAt }, 'createdAt'));
+      expect(decoded.value).to.be.instanceOf(Date);
+      expect(decoded.value.getTime()).to.equal(createdAt.getTime());
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).to.throw('Validation failed');
+      const badId = Buffer.from(JSON.stringify({ v: 1, id: 'x' })).toString('base64');
+      try {
+        decodeCursor(badId, 'after');
+        throw new Error('Should have thrown an error');
+      } catch (error) {
+        expect(error.extensions.code).to.equal('VALIDATION_FAILED');
+        expect(error.extensions.fieldErrors).to.deep.equal([{ field: 'after', message: 'Invalid cursor' }]);
+      }
+    });
+  });
+
+  describe('buildCursorFilter()', () => {
+    it('should select documents after the cursor with an id tie-break', () => {
+      const filter = buildCursorFilter('credibilityScore', { value: 50, id }, 'after');
+      expect(filter.$or[0]).to.deep.equal({ credibilityScore: { $lt: 50 } });
+      expect(filter.$or[1].credibilityScore).to.equal(50);
+      expect(String(filter.$or[1]._id.$lt)).to.equal(id);
+    });
+
+    it('should select unscored documents after any scored cursor', () => {
+      const filter = buildCursorFilter('credibilityScore', { value: 50, id }, 'after');
+      expect(filter.$or[2]).to.deep.equal({ credibilityScore: null });
+    });
+
+    it('should select documents before the cursor', () => {
+      const filter = buildCursorFilter('credibilityScore', { value: 50, id }, 'before');
+      expect(filter.$or[0]).to.deep.equal({ credibilityScore: { $gt: 50 } });
+      expect(String(filter.$or[1]._id.$gt)).to.equal(id);
+    });
+  });
+
+  describe('paginate() with missing sort keys', () => {
+    const sortField = 'aiAnalysis.riskScore';
+    const scores = { a: 90, b: 50, c: 50, d: null, e: undefined, f: 10 };
+    const Model = collection(Object.entries(scores).map(([name, riskScore]) => ({
+      _id: new mongoose.Types.ObjectId(),
+      name,
+      aiAnalysis: riskScore === undefined ? {} : { riskScore }
+    })));
+    const expected = ['a', 'c', 'b', 'f', 'e', 'd'];
+
+    it('should page forwards through scored documents, then unscored ones', async () => {
+      const names = [];
+      let page = await paginate(Model, {}, { sortField, first: 2 });
+      names.push(...page.edges.map(edge => edge.node.name));
+      while (page.pageInfo.hasNextPage) {
+        page = await paginate(Model, {}, { sortField, first: 2, after: page.pageInfo.endCursor });
+        names.push(...page.edges.map(edge => edge.node.name));
+      }
+
+      expect(names).to.deep.equal(expected);
+      expect(page.totalCount).to.equal(expected.length);
+    });
+
+    it('should page backwards in the same order', async () => {
+      const names = [];
+      let page = await paginate(Model, {}, { sortField, last: 2 });
+      names.unshift(...page.edges.map(edge => edge.node.name));
+      while (page.pageInfo.hasPreviousPage) {
+        page = await paginate(Model, {}, { sortField, last: 2, before: page.pageInfo.startCursor });
+        names.unshift(...page.edges.map(edge => edge.node.name));
+      }
+
+      expect(names).to.deep.equal(expected);
+    });
+
+    it('should continue after a cursor on a missing score', async () => {
+      const page = await paginate(Model, {}, { sortField, first: 5 });
+      const next = await paginate(Model, {}, { sortField, first: 5, after: page.pageInfo.endCursor });
+      expect(next.edges.map(edge => edge.node.name)).to.deep.equal(['d']);
+      expect(next.pageInfo.hasNextPage).to.be.false;
+    });
+  });
+});
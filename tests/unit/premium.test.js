@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const premiumService = require('../../services/premiumService');
+const config = require('../../config/premium');
+
+describe('Premium Tests', () => {
+  const free = { id: 'u1', role: 'user', isPremium: false };
+  const premium = { id: 'u2', role: 'user', isPremium: true };
+  const moderator = { id: 'u3', role: 'moderator', isPremium: false };
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  describe('hasAccess()', () => {
+    it('should grant premium content to premium users, moderators and admins', () => {
+      expect(premiumService.hasAccess(premium)).to.be.true;
+      expect(premiumService.hasAccess(moderator)).to.be.true;
+      expect(premiumService.hasAccess({ role: 'admin' })).to.be.true;
+      expect(premiumService.hasAccess(free)).to.be.false;
+      expect(premiumService.hasAccess(null)).to.be.false;
+    });
+  });
+
+  describe('chat', () => {
+    it('should treat prefixed rooms as premium', () => {
+      expect(premiumService.isPremiumRoom(`${config.chat.roomPrefix}alpha`)).to.be.true;
+      expect(premiumService.isPremiumRoom('general')).to.be.false;
+    });
+
+    it('should keep free users out of premium rooms and messages', () => {
+      const room = `${config.chat.roomPrefix}alpha`;
+      expect(() => premiumService.assertRoomAccess(free, room)).to.throw('Premium access required');
+      expect(() => premiumService.messageVisibility(free, 'general', true)).to.throw('Premium access required');
+      expect(premiumService.messageVisibility(free, 'general')).to.equal('public');
+      expect(premiumService.messageVisibility(premium, room)).to.equal('premium');
+      expect(premiumService.messageVisibility(premium, 'general', true)).to.equal('premium');
+    });
+
+    it('should only show premium messages to premium users', () => {
+      const message = { roomId: 'general', visibility: 'premium' };
+      expect(premiumService.canReadMessage(free, message)).to.be.false;
+      expect(premiumService.canReadMessage(premium, message)).to.be.true;
+      expect(premiumService.canReadMessage(free, { roomId: 'general', visibility: 'public' })).to.be.true;
+      expect(premiumService.canReadMessage(premium, { roomId: 'general', visibility: 'deleted' })).to.be.false;
+      expect(premiumService.messageFilter(free).visibility).to.equal('public');
+    });
+  });
+
+  describe('critical warnings', () => {
+    it('should hold new Critical warnings back from free users', () => {
+      const warning = { riskLevel: 'Critical', createdAt: new Date() };
+      expect(premiumService.isEmbargoed(warning, free)).to.be.true;
+      expect(premiumService.isEmbargoed(warning, null)).to.be.true;
+      expect(premiumService.isEmbargoed(warning, premium)).to.be.false;
+      expect(premiumService.isEmbargoed({ riskLevel: 'High', createdAt: new Date() }, free)).to.be.false;
+    });
+
+    it('should release them once the delay has passed', () => {
+      const minutes = config.criticalWarningDelayMs / 60000 + 1;
+      const warning = { riskLevel: 'Critical', createdAt: minutesAgo(minutes) };
+      expect(premiumService.isEmbargoed(warning, free)).to.be.false;
+      expect(premiumService.releaseDelay(warning)).to.equal(0);
+    });
+
+    it('should count the delay from when a warning became Critical', () => {
+      const escalated = { riskLevel: 'Critical', createdAt: minutesAgo(60 * 24), criticalAt: new Date() };
+      expect(premiumService.isEmbargoed(escalated, free)).to.be.true;
+      expect(premiumService.releaseDelay(escalated)).to.be.closeTo(config.criticalWarningDelayMs, 1000);
+    });
+
+    it('should only filter warning queries for free users', () => {
+      expect(premiumService.warningFilter(premium)).to.deep.equal({});
+
+      const [notCritical, escalated, older] = premiumService.warningFilter(free).$or;
+      expect(notCritical).to.deep.equal({ riskLevel: { $ne: 'Critical' } });
+      expect(escalated.criticalAt.$lte).to.be.instanceOf(Date);
+      expect(older.criticalAt).to.be.null;
+      expect(older.createdAt.$lte).to.deep.equal(escalated.criticalAt.$lte);
+    });
+  });
+
+  describe('statsRange()', () => {
+    it('should limit free users to recent history', () => {
+      const range = premiumService.statsRange(free, { start: '2015-01-01', end: '2030-01-01' });
+      const days = (Date.now() - new Date(range.start)) / (24 * 60 * 60 * 1000);
+      expect(days).to.be.closeTo(config.statsHistoryDays.free, 0.01);
+      expect(range.end).to.equal('2030-01-01');
+      expect(premiumService.statsRange(free, undefined).start).to.be.a('string');
+    });
+
+    it('should leave later starts and premium ranges alone', () => {
+      const recent = { start: minutesAgo(60).toISOString() };
+      expect(premiumService.statsRange(free, recent)).to.equal(recent);
+      const old = { start: '2015-01-01' };
+      expect(premiumService.statsRange(premium, old)).to.equal(old);
+    });
+  });
+
+  describe('getEntitlements()', () => {
+    it('should describe what the user can see', () => {
+      const entitlements = premiumService.getEntitlements(free);
+      expect(entitlements.premium).to.be.false;
+      expect(entitlements.premiumChat).to.be.false;
+      expect(entitlements.criticalWarningDelaySeconds).to.equal(config.criticalWarningDelayMs / 1000);
+      expect(entitlements.statsHistoryDays).to.equal(config.statsHistoryDays.free);
+
+      const upgraded = premiumService.getEntitlements(premium);
+      expect(upgraded.premiumChat).to.be.true;
+      expect(upgraded.criticalWarningDelaySeconds).to.equal(0);
+      expect(upgraded.statsHistoryDays).to.be.null;
+      expect(upgraded.apiKeyMonthlyQuota).to.be.above(entitlements.apiKeyMonthlyQuota);
+    });
+  });
+});
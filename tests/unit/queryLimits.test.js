@@ -0,0 +1,147 @@
+const { expect } = require('chai');
+const { parse, buildASTSchema } = require('graphql');
+const typeDefs = require('../../api/schema');
+const rateLimitService = require('../../services/rateLimitService');
+const limits = require('../../config/limits');
+const { analyzeOperation, countAuthMutations, queryLimitsPlugin, subscriptionLimits } = require('../../api/queryLimits');
+
+describe('Query Limits Tests', () => {
+  const schema = buildASTSchema(typeDefs);
+
+  const analyze = (query, variables) => {
+    const document = parse(query);
+    const operation = document.definitions.find(def => def.kind === 'OperationDefinition');
+    return analyzeOperation(schema, document, operation, variables);
+  };
+
+  describe('analyzeOperation()', () => {
+    it('should measure depth through connections', () => {
+      const cost = analyze('{ rugCoinTombstonesConnection { edges { node { id } } } }');
+      expect(cost.depth).to.equal(4);
+    });
+
+    it('should multiply child cost by the requested page size', () => {
+      const small = analyze('{ rugCoinTombstonesConnection(first: 5) { edges { node { id } } } }');
+      const large = analyze('query($n: Int) { rugCoinTombstonesConnection(first: $n) { edges { node { id } } } }', { n: 50 });
+      expect(large.complexity).to.be.greaterThan(small.complexity * 9);
+    });
+
+    it('should cost deprecated list queries by their limit', () => {
+      const small = analyze('{ rugCoinTombstones(limit: 5) { id projectName } }');
+      const large = analyze('{ rugCoinTombstones(limit: 50) { id projectName } }');
+      expect(small.complexity).to.equal(11);
+      expect(large.complexity).to.equal(101);
+    });
+
+    it('should count aliases inside fragments', () => {
+      const cost = analyze(`
+        { me { ...Names } }
+        fragment Names on User { a: username b: username c: email }
+      `);
+      expect(cost.aliases).to.equal(3);
+    });
+
+    it('should ignore introspection fields', () => {
+      const cost = analyze('{ __schema { types { name fields { name } } } }');
+      expect(cost.depth).to.equal(0);
+      expect(cost.complexity).to.equal(0);
+    });
+  });
+
+  describe('countAuthMutations()', () => {
+    const count = (query) => {
+      const document = parse(query);
+      const operation = document.definitions.find(def => def.kind === 'OperationDefinition');
+      return countAuthMutations(document, operation);
+    };
+
+    it('should count every aliased auth mutation', () => {
+      expect(count(`mutation {
+        a: login(email: "a", password: "1") { token }
+        b: login(email: "a", password: "2") { token }
+        logout
+      }`)).to.equal(2);
+    });
+
+    it('should follow fragments at the root', () => {
+      expect(count(`
+        mutation { ...Attempts ... on Mutation { c: resetPassword(token: "t", newPassword: "p") } }
+        fragment Attempts on Mutation { a: login(email: "a", password: "1") { token } b: login(email: "a", password: "2") { token } }
+      `)).to.equal(3);
+    });
+
+    it('should not count queries', () => {
+      expect(count('{ me { id } }')).to.equal(0);
+    });
+  });
+
+  describe('queryLimitsPlugin()', () => {
+    const consume = rateLimitService.consume;
+
+    const resolveOperation = async (query) => {
+      const document = parse(query);
+      const operation = document.definitions.find(def => def.kind === 'OperationDefinition');
+      const hooks = await queryLimitsPlugin().requestDidStart();
+      return hooks.didResolveOperation({
+        request: { variables: {} },
+        document,
+        operation,
+        schema,
+        contextValue: { ip: '203.0.113.9', user: null }
+      });
+    };
+
+    afterEach(() => {
+      rateLimitService.consume = consume;
+    });
+
+    it('should reject operations costing more than a full bucket without charging them', async () => {
+      const charged = [];
+      rateLimitService.consume = async (key) => {
+        charged.push(key);
+        return { allowed: true, remaining: 0, retryAfter: 0 };
+      };
+      const { capacity } = limits.rateLimit.buckets.auth;
+      const logins = Array.from({ length: capacity + 1 }, (_, i) => `a${i}: login(email: "a", password: "${i}") { token }`);
+
+      const error = await resolveOperation(`mutation { ${logins.join(' ')} }`).catch(e => e);
+      expect(error.extensions).to.include({ code: 'QUERY_TOO_COMPLEX', bucket: 'auth', cost: capacity + 1, capacity });
+      expect(error.extensions.http.status).to.equal(400);
+      expect(charged).to.deep.equal([]);
+    });
+  });
+
+  describe('subscriptionLimits()', () => {
+    const context = { ip: '203.0.113.9', user: null };
+    const onSubscribe = subscriptionLimits(schema, () => context);
+    const subscribe = (query) => onSubscribe({}, { id: '1', type: 'subscribe', payload: { query } });
+    const consume = rateLimitService.consume;
+
+    afterEach(() => {
+      rateLimitService.consume = consume;
+    });
+
+    it('should return execution arguments with the context for allowed operations', async () => {
+      const args = await subscribe('subscription { warningSignCreated(network: "Ethereum") { id } }');
+      expect(args.contextValue).to.equal(context);
+      expect(args.document.kind).to.equal('Document');
+    });
+
+    it('should reject operations over the query limits', async () => {
+      const aliases = Array.from({ length: 16 }, (_, i) => `a${i}: me { id }`).join(' ');
+      const errors = await subscribe(`{ ${aliases} }`);
+      expect(errors[0].extensions.code).to.equal('TOO_MANY_ALIASES');
+    });
+
+    it('should reject operations once the rate limit is reached', async () => {
+      rateLimitService.consume = async () => ({ allowed: false, remaining: 0, retryAfter: 3 });
+      const errors = await subscribe('subscription { warningSignCreated { id } }');
+      expect(errors[0].extensions).to.deep.equal({ code: 'RATE_LIMITED', bucket: 'ip', retryAfter: 3 });
+    });
+
+    it('should return parse and validation errors', async () => {
+      expect((await subscribe('subscription {'))[0].message).to.match(/Syntax Error/);
+      expect((await subscribe('subscription { nothing }'))[0].message).to.match(/Cannot query field/);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const { expect } = require('chai');
+const rateLimitService = require('../../services/rateLimitService');
+
+describe('Rate Limit Service Tests', () => {
+  const bucket = { capacity: 3, refillPerSecond: 1 };
+  let key = 0;
+  const nextKey = () => `test:${++key}`;
+
+  describe('consume()', () => {
+    it('should allow requests until the bucket is empty', async () => {
+      const bucketKey = nextKey();
+      const first = await rateLimitService.consume(bucketKey, bucket, 2);
+      const second = await rateLimitService.consume(bucketKey, bucket, 2);
+
+      expect(first).to.deep.equal({ allowed: true, remaining: 1, retryAfter: 0 });
+      expect(second.allowed).to.be.false;
+      expect(second.retryAfter).to.equal(1);
+    });
+
+    it('should refuse costs no full bucket could pay', async () => {
+      const bucketKey = nextKey();
+      const error = await rateLimitService.consume(bucketKey, bucket, 4).catch(e => e);
+
+      expect(error).to.be.instanceOf(RangeError);
+      expect(rateLimitService.buckets.has(bucketKey)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+
+// Resolvers load the AI service, which needs TensorFlow and isn't reached here
+jest.mock('../../services/aiService', () => ({}));
+
+const RugCoinTombstone = require('../../models/RugCoinTombstone');
+const InsiderInformation = require('../../models/InsiderInformation');
+const WarningSign = require('../../models/WarningSign');
+const resolvers = require('../../api/resolvers');
+const { createLoaders } = require('../../api/loaders');
+
+describe('Relation Resolver Tests', () => {
+  const original = {
+    tombstoneAggregate: RugCoinTombstone.aggregate,
+    insiderAggregate: InsiderInformation.aggregate,
+    tombstoneFind: RugCoinTombstone.find,
+    warningFind: WarningSign.find
+  };
+  let pipelines;
+  let facetResults;
+
+  // Stand-in for Model.aggregate: records the pipeline and answers each
+  // $facet sub-pipeline with the next prepared result
+  const aggregate = async (pipeline) => {
+    pipelines.push(pipeline);
+    const facets = Object.keys(pipeline[1].$facet);
+    const results = facetResults.shift();
+    return [Object.fromEntries(facets.map((facet, index) => [facet, results[index] || []]))];
+  };
+
+  const tombstone = (fields) => RugCoinTombstone.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    projectName: 'Rug',
+    tokenSymbol: 'RUG',
+    blockchainNetwork: 'Ethereum',
+    fraudTactics: ['Honeypot'],
+    ...fields
+  });
+
+  // Resolve a field for several parents within one request, as a list query would
+  const resolveAll = (type, field, parents) => {
+    const context = { loaders: createLoaders(), user: null };
+    return Promise.all(parents.map(parent => resolvers[type][field](parent, {}, context, null)));
+  };
+
+  beforeAll(() => {
+    RugCoinTombstone.aggregate = aggregate;
+    InsiderInformation.aggregate = aggregate;
+  });
+
+  afterAll(() => {
+    RugCoinTombstone.aggregate = original.tombstoneAggregate;
+    InsiderInformation.aggregate = original.insiderAggregate;
+    RugCoinTombstone.find = original.tombstoneFind;
+    WarningSign.find = original.warningFind;
+  });
+
+  beforeEach(() => {
+    pipelines = [];
+    facetResults = [];
+  });
+
+  describe('RugCoinTombstone.similarCases', () => {
+    it('should load the similar cases of a page of tombstones in one query', async () => {
+      const parents = [tombstone({ projectName: 'A' }), tombstone({ projectName: 'B', blockchainNetwork: 'BSC' })];
+      facetResults.push([[{ projectName: 'A2' }], [{ projectName: 'B2' }, { projectName: 'B3' }]]);
+
+      const results = await resolveAll('RugCoinTombstone', 'similarCases', parents);
+
+      expect(pipelines).to.have.length(1);
+      expect(pipelines[0][1].$facet.f1[0].$match).to.deep.include({
+        _id: { $ne: parents[1]._id },
+        blockchainNetwork: 'BSC',
+        verificationStatus: 'Verified'
+      });
+      expect(results.map(cases => cases.map(c => c.projectName))).to.deep.equal([['A2'], ['B2', 'B3']]);
+      expect(results[0][0]).to.be.instanceOf(RugCoinTombstone);
+    });
+
+    it('should query each tombstone once per request', async () => {
+      const parent = tombstone({});
+      facetResults.push([[{ projectName: 'A2' }]]);
+
+      await resolveAll('RugCoinTombstone', 'similarCases', [parent, parent]);
+      expect(Object.keys(pipelines[0][1].$facet)).to.have.length(1);
+    });
+  });
+
+  describe('InsiderInformation.relatedSubmissions', () => {
+    it('should load related submissions of a page of submissions in one query', async () => {
+      const parents = [
+        InsiderInformation.hydrate({ _id: new mongoose.Types.ObjectId(), projectName: 'A', category: ['Team'] }),
+        InsiderInformation.hydrate({ _id: new mongoose.Types.ObjectId(), projectName: 'B', category: ['Liquidity'] })
+      ];
+      facetResults.push([[], [{ projectName: 'B' }]]);
+
+      const results = await resolveAll('InsiderInformation', 'relatedSubmissions', parents);
+
+      expect(pipelines).to.have.length(1);
+      expect(pipelines[0][1].$facet.f0[0].$match.$or).to.deep.equal([
+        { projectName: 'A' },
+        { category: { $in: ['Team'] } }
+      ]);
+      expect(results.map(related => related.length)).to.deep.equal([0, 1]);
+    });
+  });
+
+  describe('WarningSign.relatedTombstones', () => {
+    const warning = (contractAddress, deployerAddress) => ({ contractAddress, deployerAddress });
+    const a = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+    const b = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+    it('should load direct matches of a page of warnings in one query', async () => {
+      facetResults.push([[{ projectName: 'A' }], []]);
+
+      const results = await resolveAll('WarningSign', 'relatedTombstones', [
+        warning('0xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', b),
+        warning(b)
+      ]);
+
+      expect(pipelines).to.have.length(1);
+      expect(pipelines[0][1].$facet.f0[0].$match).to.deep.equal({
+        $or: [{ contractAddress: a }, { deployerAddress: b }]
+      });
+      expect(results.map(related => related.map(t => t.projectName))).to.deep.equal([['A'], []]);
+    });
+
+    it('should follow known team members in a second query', async () => {
+      const direct = { _id: new mongoose.Types.ObjectId(), projectName: 'A', teamInformation: { knownMembers: [{ name: 'Dev' }] } };
+      facetResults.push([[direct], [{ projectName: 'B' }]]);
+      facetResults.push([[{ projectName: 'C' }]]);
+
+      const results = await resolveAll('WarningSign', 'relatedTombstones', [warning(a), warning(b)]);
+
+      expect(pipelines).to.have.length(2);
+      expect(pipelines[1][1].$facet.f0[0].$match).to.deep.equal({
+        _id: { $nin: [direct._id] },
+        'teamInformation.knownMembers.name': { $in: ['Dev'] }
+      });
+      expect(results.map(related => related.map(t => t.projectName))).to.deep.equal([['A', 'C'], ['B']]);
+    });
+  });
+
+  describe('cross-links', () => {
+    const address = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+
+    it('should load the tombstones of a page of warnings in one query', async () => {
+      const queries = [];
+      RugCoinTombstone.find = async (filter) => {
+        queries.push(filter);
+        return [tombstone({ projectName: 'A', contractAddress: address })];
+      };
+
+      const results = await resolveAll('WarningSign', 'tombstone', [
+        { contractAddress: address },
+        { contractAddress: '0xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' },
+        { contractAddress: '0xcccccccccccccccccccccccccccccccccccccccc' }
+      ]);
+
+      expect(queries).to.have.length(1);
+      expect(results.map(result => result && result.projectName)).to.deep.equal(['A', 'A', null]);
+    });
+
+    it('should leave held-back warnings out of a tombstone\'s warnings for free users', async () => {
+      WarningSign.find = () => ({
+        sort: async () => [
+          { id: 'critical', blockchainNetwork: 'Ethereum', contractAddress: address, riskLevel: 'Critical', createdAt: new Date() },
+          { id: 'high', blockchainNetwork: 'Ethereum', contractAddress: address, riskLevel: 'High', createdAt: new Date() }
+        ]
+      });
+
+      const [warnings] = await resolveAll('RugCoinTombstone', 'warningSigns', [
+        tombstone({ contractAddress: address })
+      ]);
+      expect(warnings.map(warning => warning.id)).to.deep.equal(['high']);
+    });
+  });
+});
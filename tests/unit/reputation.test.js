@@ -0,0 +1,143 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const ChatMessage = require('../../models/ChatMessage');
+const ReputationEvent = require('../../models/ReputationEvent');
+const reputationService = require('../../services/reputationService');
+const trustService = require('../../services/trustService');
+
+describe('Reputation Tests', () => {
+  describe('voteWeight()', () => {
+    it('should scale with reputation within bounds', () => {
+      expect(reputationService.voteWeight({ reputation: 0 })).to.equal(1);
+      expect(reputationService.voteWeight({ reputation: 200 })).to.equal(2);
+      expect(reputationService.voteWeight({ reputation: 10000 })).to.equal(3);
+      expect(reputationService.voteWeight({ reputation: -500 })).to.equal(0.5);
+      expect(reputationService.voteWeight({})).to.equal(1);
+    });
+  });
+
+  describe('adjustCredibility()', () => {
+    it('should shift credibility by a capped amount', () => {
+      expect(reputationService.adjustCredibility(50, 0)).to.equal(50);
+      expect(reputationService.adjustCredibility(50, 100)).to.equal(60);
+      expect(reputationService.adjustCredibility(50, 5000)).to.equal(70);
+      expect(reputationService.adjustCredibility(10, -5000)).to.equal(0);
+    });
+  });
+
+  describe('messageLiked()', () => {
+    const message = { id: 'm1', _id: 'm1', sender: { userId: new mongoose.Types.ObjectId() } };
+
+    it('should ignore likes from users below the minimum trust level', async () => {
+      const newcomer = { id: 'u1', role: 'user', trustLevel: 'NEW', reputation: 0 };
+      expect(await reputationService.messageLiked(message, newcomer)).to.be.null;
+    });
+
+    it('should award likes from users at the minimum trust level', async () => {
+      const original = reputationService.record;
+      let recorded;
+      reputationService.record = async (entry) => (recorded = entry);
+      try {
+        await reputationService.messageLiked(message, { id: 'u2', role: 'user', trustLevel: 'MEMBER', reputation: 10 });
+      } finally {
+        reputationService.record = original;
+      }
+      expect(recorded.reason).to.equal('MESSAGE_LIKED');
+      expect(recorded.key).to.equal('MESSAGE_LIKED:m1:u2');
+    });
+  });
+
+  describe('getHistory()', () => {
+    const original = { find: ReputationEvent.find, countDocuments: ReputationEvent.countDocuments };
+
+    afterAll(() => {
+      Object.assign(ReputationEvent, original);
+    });
+
+    it('should leave insider information entries out unless asked for', async () => {
+      const filters = [];
+      ReputationEvent.find = (filter) => {
+        filters.push(filter);
+        const query = { sort: () => query, limit: async () => [] };
+        return query;
+      };
+      ReputationEvent.countDocuments = async () => 0;
+
+      await reputationService.getHistory('u1', { first: 10 });
+      await reputationService.getHistory('u1', { first: 10 }, { includeInsider: true });
+      expect(filters[0].subjectType).to.deep.equal({ $ne: 'InsiderInformation' });
+      expect(filters[1].subjectType).to.be.undefined;
+    });
+  });
+
+  describe('settle()', () => {
+    it('should not score users for reviewing their own content', async () => {
+      const id = new mongoose.Types.ObjectId();
+      const event = await reputationService.settle(id, 'TOMBSTONE_VERIFIED', {
+        subjectType: 'RugCoinTombstone',
+        subjectId: new mongoose.Types.ObjectId()
+      }, id.toString());
+      expect(event).to.be.null;
+    });
+  });
+
+  describe('trustService', () => {
+    const settings = {
+      thresholds: [
+        { level: 'MEMBER', minReputation: 10 },
+        { level: 'TRUSTED', minReputation: 100 },
+        { level: 'HIGHLY_TRUSTED', minReputation: 500 }
+      ],
+      coVerificationsRequired: 3
+    };
+
+    it('should map reputation to a level', () => {
+      expect(trustService.levelFor(-20, settings)).to.equal('NEW');
+      expect(trustService.levelFor(10, settings)).to.equal('MEMBER');
+      expect(trustService.levelFor(499, settings)).to.equal('TRUSTED');
+      expect(trustService.levelFor(500, settings)).to.equal('HIGHLY_TRUSTED');
+    });
+
+    it('should reject thresholds that do not increase', () => {
+      const thresholds = settings.thresholds.map(threshold =>
+        (threshold.level === 'TRUSTED' ? { ...threshold, minReputation: 5 } : threshold));
+      try {
+        trustService.assertValidSettings(thresholds, 3);
+        expect.fail('Expected a validation error');
+      } catch (error) {
+        expect(error.extensions.code).to.equal('VALIDATION_FAILED');
+      }
+    });
+
+    it('should keep new accounts from posting links', () => {
+      const newcomer = { role: 'user', trustLevel: 'NEW' };
+      expect(() => trustService.assertCanPost(newcomer, 'rug incoming, sell now')).to.not.throw();
+      expect(() => trustService.assertCanPost(newcomer, 'claim at https://airdrop.example')).to.throw('links');
+      expect(() => trustService.assertCanPost(newcomer, 'join t.me/freetokens')).to.throw('links');
+      expect(() => trustService.assertCanPost({ role: 'user', trustLevel: 'MEMBER' }, 'see www.example.com')).to.not.throw();
+    });
+
+    it('should count trusted flags double', () => {
+      expect(trustService.flagWeight({ role: 'user', trustLevel: 'MEMBER' })).to.equal(1);
+      expect(trustService.flagWeight({ role: 'user', trustLevel: 'TRUSTED' })).to.equal(2);
+    });
+  });
+
+  describe('ChatMessage.flagMessage()', () => {
+    it('should moderate once weighted flags reach the threshold', async () => {
+      const message = new ChatMessage({
+        roomId: 'general',
+        content: 'hello',
+        sender: { userId: new mongoose.Types.ObjectId() }
+      });
+      message.save = async () => message;
+
+      await message.flagMessage(new mongoose.Types.ObjectId(), 'spam', 2);
+      await message.flagMessage(new mongoose.Types.ObjectId(), 'spam', 2);
+      expect(message.visibility).to.equal('public');
+
+      await message.flagMessage(new mongoose.Types.ObjectId(), 'spam', 1);
+      expect(message.visibility).to.equal('moderated');
+    });
+  });
+});
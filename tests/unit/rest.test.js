@@ -0,0 +1,165 @@
+const { expect } = require('chai');
+const express = require('express');
+const request = require('supertest');
+const riskProfileService = require('../../services/riskProfileService');
+const rateLimitService = require('../../services/rateLimitService');
+const limits = require('../../config/limits');
+const { createRestRouter } = require('../../api/rest');
+
+describe('REST API Tests', () => {
+  const app = express().use('/api/v1', createRestRouter());
+  const address = '0x1111111111111111111111111111111111111111';
+  const original = {
+    consume: rateLimitService.consume,
+    getTokenRiskProfile: riskProfileService.getTokenRiskProfile,
+    getStoredVerdicts: riskProfileService.getStoredVerdicts
+  };
+  let allowed;
+  let costs;
+
+  beforeAll(() => {
+    rateLimitService.consume = async (key, bucket, cost) => {
+      costs.push(cost);
+      return allowed
+        ? { allowed: true, remaining: 10, retryAfter: 0 }
+        : { allowed: false, remaining: 0, retryAfter: 7 };
+    };
+    riskProfileService.getTokenRiskProfile = async (network, contractAddress) => ({
+      network,
+      contractAddress,
+      verdict: 'UNKNOWN',
+      reasons: [],
+      tombstone: null,
+      activeWarnings: [],
+      insiderInformation: [],
+      contractAnalysis: null,
+      tokenInfo: null,
+      onChainFetchedAt: null,
+      errors: []
+    });
+    riskProfileService.getStoredVerdicts = async (network, addresses) =>
+      addresses.map(contractAddress => ({ contractAddress, verdict: 'UNKNOWN' }));
+  });
+
+  afterAll(() => {
+    Object.assign(rateLimitService, { consume: original.consume });
+    Object.assign(riskProfileService, {
+      getTokenRiskProfile: original.getTokenRiskProfile,
+      getStoredVerdicts: original.getStoredVerdicts
+    });
+  });
+
+  beforeEach(() => {
+    allowed = true;
+    costs = [];
+  });
+
+  describe('GET /tokens/:network/:address', () => {
+    it('should answer 304 when If-None-Match matches the ETag', async () => {
+      const first = await request(app).get(`/api/v1/tokens/Ethereum/${address}`);
+      expect(first.status).to.equal(200);
+      expect(first.headers.etag).to.be.a('string');
+
+      const second = await request(app)
+        .get(`/api/v1/tokens/Ethereum/${address}`)
+        .set('If-None-Match', first.headers.etag);
+      expect(second.status).to.equal(304);
+      expect(second.text).to.equal('');
+    });
+
+    it('should reject an address that is not valid on the network', async () => {
+      const res = await request(app).get('/api/v1/tokens/Ethereum/0x1234');
+      expect(res.status).to.equal(400);
+      expect(res.body.error.code).to.equal('VALIDATION_FAILED');
+      expect(res.body.error.fieldErrors[0].field).to.equal('contractAddress');
+    });
+
+    it('should answer 429 with the retry time once the bucket is empty', async () => {
+      allowed = false;
+      const res = await request(app).get(`/api/v1/tokens/Ethereum/${address}`);
+
+      expect(res.status).to.equal(429);
+      expect(res.headers['retry-after']).to.equal('7');
+      expect(res.body).to.deep.equal({
+        error: { code: 'RATE_LIMITED', message: 'Rate limit exceeded', bucket: 'ip', retryAfter: 7 }
+      });
+    });
+  });
+
+  describe('POST /tokens/batch', () => {
+    const addresses = (count) => Array.from({ length: count }, () => address);
+
+    it('should accept up to the maximum batch size', async () => {
+      const res = await request(app)
+        .post('/api/v1/tokens/batch')
+        .send({ network: 'Ethereum', addresses: addresses(limits.rest.maxBatchSize) });
+      expect(res.status).to.equal(200);
+      expect(res.body.results).to.have.length(limits.rest.maxBatchSize);
+    });
+
+    it('should reject larger batches', async () => {
+      const res = await request(app)
+        .post('/api/v1/tokens/batch')
+        .send({ network: 'Ethereum', addresses: addresses(limits.rest.maxBatchSize + 1) });
+      expect(res.status).to.equal(400);
+      expect(res.body.error.fieldErrors).to.deep.equal([
+        { field: 'addresses', message: `Must be a list of 1 to ${limits.rest.maxBatchSize} addresses` }
+      ]);
+    });
+
+    it('should keep batches within what a full rate limit bucket pays for', async () => {
+      const { ip } = limits.rateLimit.buckets;
+      const capacity = ip.capacity;
+      ip.capacity = 2;
+      try {
+        const maxSize = 2 * limits.rest.batchAddressesPerToken;
+        const res = await request(app)
+          .post('/api/v1/tokens/batch')
+          .send({ network: 'Ethereum', addresses: addresses(maxSize + 1) });
+
+        expect(costs).to.deep.equal([2]);
+        expect(res.status).to.equal(400);
+        expect(res.body.error.fieldErrors).to.deep.equal([
+          { field: 'addresses', message: `Must be a list of 1 to ${maxSize} addresses` }
+        ]);
+      } finally {
+        ip.capacity = capacity;
+      }
+    });
+
+    it('should reject malformed JSON', async () => {
+      const res = await request(app)
+        .post('/api/v1/tokens/batch')
+        .set('Content-Type', 'application/json')
+        .send('{"network":');
+      expect(res.status).to.equal(400);
+      expect(res.body.error.fieldErrors).to.deep.equal([{ field: 'body', message: 'Malformed JSON' }]);
+    });
+  });
+
+  describe('query parameters', () => {
+    it('should reject values outside the allowed ones', async () => {
+      const res = await request(app).get('/api/v1/tombstones?network=Bitcoin&first=0');
+      expect(res.status).to.equal(400);
+      expect(res.body.error.fieldErrors.map(error => error.field)).to.deep.equal(['network', 'first']);
+    });
+
+    it('should reject repeated and nested parameters', async () => {
+      const repeated = await request(app).get('/api/v1/tombstones?network=Ethereum&network=BSC');
+      const nested = await request(app).get('/api/v1/warnings/active?minRiskLevel[$ne]=Low');
+
+      expect(repeated.status).to.equal(400);
+      expect(repeated.body.error.fieldErrors).to.deep.equal([{ field: 'network', message: 'Must be a single value' }]);
+      expect(nested.status).to.equal(400);
+      expect(nested.body.error.fieldErrors[0].field).to.equal('minRiskLevel');
+    });
+  });
+
+  it('should answer unknown routes with a 404 error body', async () => {
+    const res = await request(app).get('/api/v1/nothing');
+    expect(res.status).to.equal(404);
+    expect(res.body).to.deep.equal({
+      error: { code: 'NOT_FOUND', message: 'Route not found', resource: 'Route', id: 'GET /nothing' }
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const RugCoinTombstone = require('../../models/RugCoinTombstone');
+const WarningSign = require('../../models/WarningSign');
+const InsiderInformation = require('../../models/InsiderInformation');
+const riskProfileService = require('../../services/riskProfileService');
+const blockchainService = require('../../services/blockchainService');
+const { UpstreamRpcError } = require('../../src/utils/errors');
+
+describe('Risk Profile Service Tests', () => {
+  const cleanContract = { hasCode: true, risks: [] };
+
+  describe('collectReasons()', () => {
+    it('should return no reasons when nothing is known', () => {
+      const reasons = riskProfileService.collectReasons({
+        tombstone: null,
+        activeWarnings: [],
+        insiderInformation: [],
+        contractAnalysis: cleanContract
+      });
+
+      expect(reasons).to.deep.equal([]);
+    });
+
+    it('should mark a verified tombstone as rugged', () => {
+      const reasons = riskProfileService.collectReasons({
+        tombstone: { verificationStatus: 'Verified', rugPullDate: new Date('2021-11-01') },
+        activeWarnings: [],
+        insiderInformation: [],
+        contractAnalysis: null
+      });
+
+      expect(reasons).to.have.lengthOf(1);
+      expect(reasons[0].verdict).to.equal('RUGGED');
+      expect(reasons[0].message).to.include('2021-11-01');
+    });
+
+    it('should grade warnings and contract patterns by severity', () => {
+      const reasons = riskProfileService.collectReasons({
+        tombstone: null,
+        activeWarnings: [{ riskLevel: 'Medium', riskType: ['Honeypot'] }],
+        insiderInformation: [{ riskLevel: 'Critical', title: 'Team dumping' }],
+        contractAnalysis: { hasCode: true, risks: ['delegatecall', 'assembly'] }
+      });
+
+      expect(reasons.map(r => r.verdict)).to.deep.equal(['CAUTION', 'DANGER', 'DANGER', 'CAUTION']);
+    });
+  });
+
+  describe('getStoredVerdicts()', () => {
+    const address = '0x' + 'ab'.repeat(20);
+    const original = [RugCoinTombstone.find, WarningSign.find, InsiderInformation.find];
+    let warningFilter;
+
+    beforeAll(() => {
+      RugCoinTombstone.find = async () => [];
+      InsiderInformation.find = async () => [];
+      WarningSign.find = async (filter) => {
+        warningFilter = filter;
+        return [{ contractAddress: address, riskLevel: 'Critical', riskType: ['Honeypot'], createdAt: new Date() }];
+      };
+    });
+
+    afterAll(() => {
+      [RugCoinTombstone.find, WarningSign.find, InsiderInformation.find] = original;
+    });
+
+    it('should hide the details of new Critical warnings from free callers', async () => {
+      const [result] = await riskProfileService.getStoredVerdicts('Ethereum', [address]);
+      expect(result.verdict).to.equal('DANGER');
+      expect(result.reasons).to.have.lengthOf(1);
+      expect(result.reasons[0].message).to.not.include('Honeypot');
+    });
+
+    it('should show them to premium callers', async () => {
+      const [result] = await riskProfileService.getStoredVerdicts('Ethereum', [address], { isPremium: true });
+      expect(result.reasons[0].message).to.equal('Critical warning: Honeypot');
+    });
+
+    it('should look up checksummed addresses by their stored lowercase form', async () => {
+      const checksummed = '0x' + 'aB'.repeat(20);
+      const [result] = await riskProfileService.getStoredVerdicts('Ethereum', [checksummed], { isPremium: true });
+
+      expect(warningFilter.contractAddress).to.deep.equal({ $in: [address] });
+      expect(result.contractAddress).to.equal(checksummed);
+      expect(result.verdict).to.equal('DANGER');
+    });
+  });
+
+  describe('getOnChainSnapshot()', () => {
+    const original = [blockchainService.analyzeContractRisks, blockchainService.getTokenInfo];
+
+    beforeAll(() => {
+      blockchainService.analyzeContractRisks = async () => {
+        throw new UpstreamRpcError('Ethereum', new Error('connect ECONNREFUSED 10.0.0.4:8545'));
+      };
+      blockchainService.getTokenInfo = async () => {
+        throw new TypeError("Cannot read properties of undefined (reading 'call')");
+      };
+    });
+
+    afterAll(() => {
+      [blockchainService.analyzeContractRisks, blockchainService.getTokenInfo] = original;
+    });
+
+    it('should report failed sections by code without the raw cause', async () => {
+      const snapshot = await riskProfileService.getOnChainSnapshot('Ethereum', '0x' + 'cd'.repeat(20));
+
+      expect(snapshot.errors).to.deep.equal([
+        { section: 'contract', code: 'UPSTREAM_RPC_FAILED', message: 'Ethereum RPC request failed' },
+        { section: 'tokenInfo', code: 'INTERNAL_SERVER_ERROR', message: 'Internal server error' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const { expect } = require('chai');
+const searchService = require('../../services/searchService');
+
+describe('Search Service Tests', () => {
+  const target = { snippetFields: ['content'] };
+  const doc = (content) => ({ get: () => content });
+
+  describe('buildSnippet()', () => {
+    it('should highlight matched terms', () => {
+      const snippet = searchService.buildSnippet(target, doc('Liquidity pulled from the pool'), 'pulled');
+      expect(snippet).to.equal('Liquidity <mark>pulled</mark> from the pool');
+    });
+
+    it('should escape markup in the content', () => {
+      const snippet = searchService.buildSnippet(target, doc('<img src=x onerror=alert(1)> rug pull'), 'rug');
+      expect(snippet).to.equal('&lt;img src=x onerror=alert(1)&gt; <mark>rug</mark> pull');
+    });
+
+    it('should escape matched terms too', () => {
+      const snippet = searchService.buildSnippet(target, doc('a <b> c'), '<b>');
+      expect(snippet).to.equal('a <mark>&lt;b&gt;</mark> c');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require('chai');
+const { Web3 } = require('web3');
+const { parseSiweMessage, validateSiweMessage, recoverSigner } = require('../../src/utils/siwe');
+const walletAuthService = require('../../services/walletAuthService');
+const { DuplicateError } = require('../../src/utils/errors');
+
+describe('Sign-In with Ethereum Tests', () => {
+  const account = new Web3().eth.accounts.create();
+  const now = new Date('2024-05-01T12:00:00Z');
+  const options = { domains: ['graverato.life'], chainIds: [1, 56], maxAgeMs: 10 * 60 * 1000, now };
+
+  const buildMessage = ({ domain = 'graverato.life', issuedAt = '2024-05-01T11:59:00Z', extra = '' } = {}) => [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    account.address,
+    '',
+    'Sign in to Grave Rato.',
+    '',
+    'URI: https://graverato.life/login',
+    'Version: 1',
+    'Chain ID: 1',
+    'Nonce: 32891756abcdef12',
+    `Issued At: ${issuedAt}`,
+    extra
+  ].filter(Boolean).join('\n');
+
+  it('should parse the message fields', () => {
+    const fields = parseSiweMessage(`${buildMessage()}\nResources:\n- https://graverato.life/terms`);
+    expect(fields).to.include({
+      domain: 'graverato.life',
+      address: account.address,
+      statement: 'Sign in to Grave Rato.',
+      uri: 'https://graverato.life/login',
+      version: '1',
+      chainId: 1,
+      nonce: '32891756abcdef12'
+    });
+    expect(fields.resources).to.deep.equal(['https://graverato.life/terms']);
+  });
+
+  it('should accept a fresh message for a known domain', () => {
+    expect(validateSiweMessage(parseSiweMessage(buildMessage()), options)).to.deep.equal([]);
+  });
+
+  it('should reject other domains and expired or stale messages', () => {
+    const errors = validateSiweMessage(parseSiweMessage(buildMessage({
+      domain: 'evil.example',
+      issuedAt: '2024-05-01T10:00:00Z',
+      extra: 'Expiration Time: 2024-05-01T11:00:00Z'
+    })), options);
+    expect(errors.map(e => e.field)).to.deep.equal(['message.domain', 'message.issuedAt', 'message.expirationTime']);
+  });
+
+  it('should recover the signer of a message signed with a local key', () => {
+    const message = buildMessage();
+    const { signature } = account.sign(message);
+    expect(recoverSigner(message, signature)).to.equal(account.address);
+    expect(recoverSigner(`${message} `, signature)).to.not.equal(account.address);
+    expect(recoverSigner(message, '0x1234')).to.be.null;
+  });
+
+  describe('walletAuthService.createAccount()', () => {
+    const address = account.address.toLowerCase();
+    const original = walletAuthService.save;
+    let saved;
+
+    afterEach(() => {
+      walletAuthService.save = original;
+    });
+
+    // Fails with the given errors in turn, then saves
+    const failWith = (...errors) => {
+      saved = [];
+      walletAuthService.save = async (user) => {
+        saved.push(user.username);
+        if (errors.length) throw errors.shift();
+        return user;
+      };
+    };
+
+    it('should add a random suffix when the username is taken', async () => {
+      failWith(new DuplicateError('Taken', ['username']));
+      const user = await walletAuthService.createAccount(address);
+
+      expect(saved[0]).to.equal(`rato_${address.slice(2, 12)}`);
+      expect(user.username).to.match(new RegExp(`^rato_${address.slice(2, 12)}_[0-9a-f]{6}$`));
+      expect(user.wallets[0].address).to.equal(address);
+    });
+
+    it('should not retry when the wallet is already linked', async () => {
+      failWith(new DuplicateError('Wallet is linked to another account', ['address']));
+      try {
+        await walletAuthService.createAccount(address);
+        expect.fail('Expected a duplicate error');
+      } catch (error) {
+        expect(error.message).to.equal('Wallet is linked to another account');
+      }
+      expect(saved).to.have.length(1);
+    });
+  });
+});
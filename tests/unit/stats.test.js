@@ -0,0 +1,279 @@
+const { expect } = require('chai');
+
+// Resolvers load the AI service, which needs TensorFlow and isn't reached here
+jest.mock('../../services/aiService', () => ({}));
+
+const RugCoinTombstone = require('../../models/RugCoinTombstone');
+const WarningSign = require('../../models/WarningSign');
+const InsiderInformation = require('../../models/InsiderInformation');
+const resolvers = require('../../api/resolvers');
+
+// Enough of the aggregation pipeline to run the stats queries over seeded
+// documents: $match, $facet, $unwind, $sort and $group with $sum and $avg
+const valueOf = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return expression.slice(1).split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  }
+  if (expression && expression.$dateToString) {
+    return valueOf(doc, expression.$dateToString.date).toISOString().slice(0, 7);
+  }
+  return expression;
+};
+
+const matches = (doc, match) => Object.entries(match).every(([field, condition]) => {
+  const value = valueOf(doc, `$${field}`);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return (condition.$gte === undefined || value >= condition.$gte) &&
+      (condition.$lte === undefined || value <= condition.$lte);
+  }
+  return value === condition;
+});
+
+const group = (docs, { _id, ...accumulators }) => {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const key = valueOf(doc, _id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(doc);
+  });
+
+  return [...groups].map(([key, members]) => {
+    const result = { _id: key };
+    Object.entries(accumulators).forEach(([name, { $sum, $avg }]) => {
+      const values = members.map(doc => valueOf(doc, $sum !== undefined ? $sum : $avg)).filter(v => typeof v === 'number');
+      const total = values.reduce((sum, value) => sum + value, 0);
+      result[name] = $sum !== undefined ? total : (values.length ? total / values.length : null);
+    });
+    return result;
+  });
+};
+
+const runPipeline = (docs, pipeline) => pipeline.reduce((current, stage) => {
+  if (stage.$match) return current.filter(doc => matches(doc, stage.$match));
+  if (stage.$unwind) {
+    const field = stage.$unwind.slice(1);
+    return current.flatMap(doc => (doc[field] || []).map(value => ({ ...doc, [field]: value })));
+  }
+  if (stage.$group) return group(current, stage.$group);
+  if (stage.$sort) {
+    const [[field, direction]] = Object.entries(stage.$sort);
+    return [...current].sort((a, b) => (a[field] > b[field] ? direction : -direction));
+  }
+  if (stage.$facet) {
+    return [Object.fromEntries(Object.entries(stage.$facet).map(([name, facet]) => [name, runPipeline(current, facet)]))];
+  }
+  throw new Error(`Unsupported stage ${Object.keys(stage)[0]}`);
+}, docs);
+
+describe('Statistics Tests', () => {
+  const original = {
+    tombstone: RugCoinTombstone.aggregate,
+    warning: WarningSign.aggregate,
+    insider: InsiderInformation.aggregate
+  };
+  const premium = { id: 'u1', role: 'user', isPremium: true };
+  const free = { id: 'u2', role: 'user', isPremium: false };
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const seed = (Model, docs) => {
+    Model.aggregate = async (pipeline) => runPipeline(docs, pipeline);
+  };
+
+  afterAll(() => {
+    RugCoinTombstone.aggregate = original.tombstone;
+    WarningSign.aggregate = original.warning;
+    InsiderInformation.aggregate = original.insider;
+  });
+
+  describe('rugPullStats', () => {
+    beforeAll(() => {
+      seed(RugCoinTombstone, [
+        {
+          verificationStatus: 'Verified',
+          blockchainNetwork: 'Ethereum',
+          rugPullDate: new Date('2024-01-10'),
+          totalLoss: 1000,
+          affectedUsers: 10,
+          fraudTactics: ['Honeypot', 'Liquidity Removal']
+        },
+        {
+          verificationStatus: 'Verified',
+          blockchainNetwork: 'BSC',
+          rugPullDate: new Date('2024-01-20'),
+          totalLoss: 500,
+          affectedUsers: 5,
+          fraudTactics: ['Honeypot']
+        },
+        {
+          verificationStatus: 'Verified',
+          blockchainNetwork: 'Ethereum',
+          rugPullDate: new Date('2024-03-02'),
+          totalLoss: 250,
+          affectedUsers: 1,
+          fraudTactics: ['Team Token Dump']
+        },
+        {
+          verificationStatus: 'Pending',
+          blockchainNetwork: 'Ethereum',
+          rugPullDate: new Date('2024-03-05'),
+          totalLoss: 9999,
+          affectedUsers: 99,
+          fraudTactics: ['Honeypot']
+        }
+      ]);
+    });
+
+    it('should total verified cases with tactic and monthly breakdowns', async () => {
+      const stats = await resolvers.Query.rugPullStats(null, {
+        dateRange: { start: '2024-01-01', end: '2024-12-31' }
+      }, { user: premium });
+
+      expect(stats).to.deep.include({ totalCases: 3, totalLoss: 1750, affectedUsers: 16 });
+      expect(stats.fraudTactics).to.have.deep.members([
+        { key: 'Honeypot', count: 2 },
+        { key: 'Liquidity Removal', count: 1 },
+        { key: 'Team Token Dump', count: 1 }
+      ]);
+      expect(stats.timeline).to.deep.equal([{ key: '2024-01', count: 2 }, { key: '2024-03', count: 1 }]);
+    });
+
+    it('should filter by network and date range', async () => {
+      const stats = await resolvers.Query.rugPullStats(null, {
+        network: 'Ethereum',
+        dateRange: { start: '2024-01-01', end: '2024-02-01' }
+      }, { user: premium });
+
+      expect(stats).to.deep.include({ totalCases: 1, totalLoss: 1000, affectedUsers: 10 });
+      expect(stats.timeline).to.deep.equal([{ key: '2024-01', count: 1 }]);
+    });
+
+    it('should return zeros when nothing matches', async () => {
+      const stats = await resolvers.Query.rugPullStats(null, { network: 'Solana' }, { user: premium });
+      expect(stats).to.deep.equal({ totalCases: 0, totalLoss: 0, affectedUsers: 0, fraudTactics: [], timeline: [] });
+    });
+  });
+
+  describe('warningStats', () => {
+    beforeAll(() => {
+      seed(WarningSign, [
+        {
+          blockchainNetwork: 'Ethereum',
+          createdAt: daysAgo(1),
+          status: 'Active',
+          riskLevel: 'Critical',
+          riskType: ['Contract Risk', 'Liquidity Reduction'],
+          aiAnalysis: { riskScore: 90 }
+        },
+        {
+          blockchainNetwork: 'Ethereum',
+          createdAt: daysAgo(2),
+          status: 'Resolved',
+          riskLevel: 'High',
+          riskType: ['Contract Risk'],
+          aiAnalysis: { riskScore: 61 }
+        },
+        {
+          blockchainNetwork: 'BSC',
+          createdAt: daysAgo(3),
+          status: 'False Alarm',
+          riskLevel: 'Low',
+          riskType: ['Team Wallet Activity']
+        },
+        {
+          blockchainNetwork: 'Ethereum',
+          createdAt: daysAgo(90),
+          status: 'Active',
+          riskLevel: 'High',
+          riskType: ['Contract Risk'],
+          aiAnalysis: { riskScore: 10 }
+        }
+      ]);
+    });
+
+    it('should count warnings by status, type and level', async () => {
+      const stats = await resolvers.Query.warningStats(null, {}, { user: premium });
+
+      expect(stats).to.deep.include({
+        totalWarnings: 4,
+        activeWarnings: 2,
+        resolvedWarnings: 1,
+        falseAlarms: 1,
+        averageRiskScore: 54
+      });
+      expect(stats.riskTypeDistribution).to.have.deep.members([
+        { key: 'Contract Risk', count: 3 },
+        { key: 'Liquidity Reduction', count: 1 },
+        { key: 'Team Wallet Activity', count: 1 }
+      ]);
+      expect(stats.riskLevelDistribution).to.have.deep.members([
+        { key: 'Critical', count: 1 },
+        { key: 'High', count: 2 },
+        { key: 'Low', count: 1 }
+      ]);
+    });
+
+    it('should only count recent history for free users', async () => {
+      const stats = await resolvers.Query.warningStats(null, { network: 'Ethereum' }, { user: free });
+
+      expect(stats).to.deep.include({ totalWarnings: 2, activeWarnings: 1, resolvedWarnings: 1, averageRiskScore: 76 });
+      expect(stats.riskTypeDistribution).to.have.deep.members([
+        { key: 'Contract Risk', count: 2 },
+        { key: 'Liquidity Reduction', count: 1 }
+      ]);
+    });
+  });
+
+  describe('insiderStats', () => {
+    beforeAll(() => {
+      seed(InsiderInformation, [
+        {
+          blockchainNetwork: 'Ethereum',
+          createdAt: daysAgo(1),
+          verificationStatus: 'Verified',
+          riskLevel: 'High',
+          category: ['Team Background', 'Token Distribution'],
+          credibilityScore: 80
+        },
+        {
+          blockchainNetwork: 'Ethereum',
+          createdAt: daysAgo(2),
+          verificationStatus: 'Pending',
+          riskLevel: 'High',
+          category: ['Team Background'],
+          credibilityScore: 45
+        },
+        {
+          blockchainNetwork: 'BSC',
+          createdAt: daysAgo(3),
+          verificationStatus: 'Rejected',
+          riskLevel: 'Low',
+          category: ['Market Manipulation'],
+          credibilityScore: 10
+        }
+      ]);
+    });
+
+    it('should count submissions by status, category and level', async () => {
+      const stats = await resolvers.Query.insiderStats(null, {}, { user: premium });
+
+      expect(stats).to.deep.include({
+        totalSubmissions: 3,
+        verifiedCount: 1,
+        pendingCount: 1,
+        rejectedCount: 1,
+        averageCredibility: 45
+      });
+      expect(stats.categoryDistribution).to.have.deep.members([
+        { key: 'Team Background', count: 2 },
+        { key: 'Token Distribution', count: 1 },
+        { key: 'Market Manipulation', count: 1 }
+      ]);
+      expect(stats.riskLevelDistribution).to.have.deep.members([{ key: 'High', count: 2 }, { key: 'Low', count: 1 }]);
+    });
+
+    it('should filter by network', async () => {
+      const stats = await resolvers.Query.insiderStats(null, { network: 'BSC' }, { user: premium });
+      expect(stats).to.deep.include({ totalSubmissions: 1, rejectedCount: 1, averageCredibility: 10 });
+    });
+  });
+});
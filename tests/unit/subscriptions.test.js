@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+
+// Resolvers load the AI service, which needs TensorFlow and isn't reached here
+jest.mock('../../services/aiService', () => ({}));
+
+const resolvers = require('../../api/resolvers');
+const config = require('../../config/premium');
+const { pubsub } = require('../../config/pubsub');
+
+describe('Subscription Filter Tests', () => {
+  const free = { id: 'u1', role: 'user', isPremium: false };
+  const premium = { id: 'u2', role: 'user', isPremium: true };
+  const address = '0xabcdef1111111111111111111111111111111111';
+  let iterators;
+
+  const warning = (fields) => ({
+    id: 'w1',
+    blockchainNetwork: 'Ethereum',
+    riskLevel: 'High',
+    contractAddress: address,
+    createdAt: new Date(),
+    ...fields
+  });
+
+  const subscribe = async (field, args, user) => {
+    const iterator = await resolvers.Subscription[field].subscribe(null, args, { user }, null);
+    iterators.push(iterator);
+    return iterator;
+  };
+
+  // Publish the events in order and return the first payload the iterator lets through
+  const firstDelivered = async (iterator, events) => {
+    const next = iterator.next();
+    for (const [trigger, payload] of events) {
+      await pubsub.publish(trigger, payload);
+    }
+    const result = await next;
+    return result.value;
+  };
+
+  beforeEach(() => {
+    iterators = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(iterators.map(iterator => iterator.return()));
+  });
+
+  describe('warningSignCreated', () => {
+    const created = (fields, extra = {}) => ['WARNING_SIGN_CREATED', { warningSignCreated: warning(fields), ...extra }];
+
+    it('should only deliver warnings on the requested network', async () => {
+      const iterator = await subscribe('warningSignCreated', { network: 'BSC' }, free);
+      const delivered = await firstDelivered(iterator, [
+        created({ id: 'eth' }),
+        created({ id: 'bsc', blockchainNetwork: 'BSC' })
+      ]);
+      expect(delivered.warningSignCreated.id).to.equal('bsc');
+    });
+
+    it('should match contract addresses whatever their case', async () => {
+      const iterator = await subscribe('warningSignCreated', { contractAddresses: ['0xABCDEF1111111111111111111111111111111111'] }, free);
+      const delivered = await firstDelivered(iterator, [
+        created({ id: 'other', contractAddress: '0x2222222222222222222222222222222222222222' }),
+        created({ id: 'match' })
+      ]);
+      expect(delivered.warningSignCreated.id).to.equal('match');
+    });
+
+    it('should hold new Critical warnings back from free users until they are released', async () => {
+      const iterator = await subscribe('warningSignCreated', {}, free);
+      const delivered = await firstDelivered(iterator, [
+        created({ id: 'critical', riskLevel: 'Critical' }),
+        created({ id: 'released', riskLevel: 'Critical' }, { released: true })
+      ]);
+      expect(delivered.warningSignCreated.id).to.equal('released');
+    });
+
+    it('should send premium users Critical warnings once, when created', async () => {
+      const iterator = await subscribe('warningSignCreated', {}, premium);
+      const delivered = await firstDelivered(iterator, [
+        created({ id: 'released', riskLevel: 'Critical' }, { released: true }),
+        created({ id: 'critical', riskLevel: 'Critical' })
+      ]);
+      expect(delivered.warningSignCreated.id).to.equal('critical');
+    });
+  });
+
+  describe('warningSignUpdated', () => {
+    const updated = (fields, extra = {}) => ['WARNING_SIGN_UPDATED', { warningSignUpdated: warning(fields), ...extra }];
+
+    it('should hold escalations to Critical back from free users until they are released', async () => {
+      const iterator = await subscribe('warningSignUpdated', { id: 'w1' }, free);
+      const delivered = await firstDelivered(iterator, [
+        updated({ riskLevel: 'Critical', criticalAt: new Date(), description: 'escalated' }),
+        updated({ riskLevel: 'Critical', criticalAt: new Date(), description: 'released' }, { released: true })
+      ]);
+      expect(delivered.warningSignUpdated.description).to.equal('released');
+    });
+
+    it('should send premium users escalations once, when made', async () => {
+      const iterator = await subscribe('warningSignUpdated', { id: 'w1' }, premium);
+      const delivered = await firstDelivered(iterator, [
+        updated({ riskLevel: 'Critical', description: 'released' }, { released: true }),
+        updated({ riskLevel: 'Critical', description: 'escalated' })
+      ]);
+      expect(delivered.warningSignUpdated.description).to.equal('escalated');
+    });
+  });
+
+  describe('chatMessageSent', () => {
+    const sent = (roomId, fields) => [`CHAT_MESSAGE_SENT.${roomId}`, { chatMessageSent: { roomId, ...fields } }];
+
+    it('should only deliver messages of the subscribed room', async () => {
+      const iterator = await subscribe('chatMessageSent', { roomId: 'general' }, free);
+      const delivered = await firstDelivered(iterator, [
+        sent('other', { id: 'm1', visibility: 'public' }),
+        sent('general', { id: 'm2', visibility: 'public' })
+      ]);
+      expect(delivered.chatMessageSent.id).to.equal('m2');
+    });
+
+    it('should keep premium-only messages from free users', async () => {
+      const iterator = await subscribe('chatMessageSent', { roomId: 'general' }, free);
+      const delivered = await firstDelivered(iterator, [
+        sent('general', { id: 'm1', visibility: 'premium' }),
+        sent('general', { id: 'm2', visibility: 'public' })
+      ]);
+      expect(delivered.chatMessageSent.id).to.equal('m2');
+    });
+
+    it('should keep free users out of premium rooms', async () => {
+      const error = await subscribe('chatMessageSent', { roomId: `${config.chat.roomPrefix}alpha` }, free).catch(e => e);
+      expect(error.extensions.reason).to.equal('PREMIUM_REQUIRED');
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { expect } = require('chai');
+const totp = require('../../src/utils/totp');
+
+describe('TOTP Module Tests', () => {
+  // RFC 6238 SHA-1 test secret "12345678901234567890"
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should round-trip base32', () => {
+    expect(secret).to.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(secret.toLowerCase()).toString()).to.equal('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(secret, totp.stepAt(59 * 1000))).to.equal('287082');
+    expect(totp.generateCode(secret, totp.stepAt(1111111109 * 1000))).to.equal('081804');
+  });
+
+  it('should accept codes from adjacent steps only', () => {
+    const time = 1111111109 * 1000;
+    const step = totp.stepAt(time);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { time })).to.equal(step - 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 2), { time })).to.be.null;
+    expect(totp.verifyCode(secret, 'abcdef', { time })).to.be.null;
+  });
+
+  it('should build an otpauth provisioning URI', () => {
+    const uri = totp.provisioningUri({ secret, account: 'mod@graverato.life', issuer: 'Grave Rato' });
+    expect(uri).to.match(/^otpauth:\/\/totp\/Grave%20Rato%3Amod%40graverato\.life\?/);
+    expect(new URL(uri).searchParams.get('secret')).to.equal(secret);
+  });
+});
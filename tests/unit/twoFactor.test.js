@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../../models/User');
+const twoFactorService = require('../../services/twoFactorService');
+const sessionService = require('../../services/sessionService');
+const config = require('../../config/auth');
+const encryption = require('../../src/utils/encryption');
+const totp = require('../../src/utils/totp');
+const { generateChallengeToken } = require('../../src/utils/auth');
+
+describe('Two-Factor Tests', () => {
+  const userId = '65f1c0ffee65f1c0ffee65f1';
+  const secret = totp.generateSecret();
+  const original = {
+    findById: User.findById,
+    findOneAndUpdate: User.findOneAndUpdate,
+    updateOne: User.updateOne,
+    decrypt: encryption.decrypt,
+    createSession: sessionService.createSession
+  };
+  let stored;
+
+  // A fresh document for every load, like Mongoose, backed by one stored record
+  const load = () => {
+    const account = {
+      id: userId,
+      _id: userId,
+      twoFactor: { ...stored, recoveryCodes: [...stored.recoveryCodes] },
+      save: async () => {
+        stored = { ...account.twoFactor };
+      }
+    };
+    return account;
+  };
+
+  const login = (code) => twoFactorService.completeLogin(generateChallengeToken({ id: userId }), code, {});
+
+  beforeAll(() => {
+    User.findById = () => ({ select: async () => load() });
+    User.findOneAndUpdate = async (filter, update) => {
+      stored.failedAttempts = (stored.failedAttempts || 0) + update.$inc['twoFactor.failedAttempts'];
+      return { twoFactor: { failedAttempts: stored.failedAttempts } };
+    };
+    User.updateOne = async (filter, update) => {
+      stored.failedAttempts = update.$set['twoFactor.failedAttempts'];
+      stored.lockedUntil = update.$set['twoFactor.lockedUntil'];
+    };
+    encryption.decrypt = async (value) => value;
+    sessionService.createSession = async () => ({ token: 'token' });
+  });
+
+  afterAll(() => {
+    Object.assign(User, {
+      findById: original.findById,
+      findOneAndUpdate: original.findOneAndUpdate,
+      updateOne: original.updateOne
+    });
+    encryption.decrypt = original.decrypt;
+    sessionService.createSession = original.createSession;
+  });
+
+  beforeEach(() => {
+    stored = { enabled: true, secret, failedAttempts: 0, recoveryCodes: [] };
+  });
+
+  it('should lock the account after too many invalid codes', async () => {
+    for (let i = 0; i < config.twoFactor.maxFailedAttempts; i++) {
+      await login('000000').catch(error => expect(error.message).to.equal('Invalid two-factor code'));
+    }
+    expect(stored.lockedUntil).to.be.above(new Date());
+
+    const error = await login(totp.generateCode(secret)).catch(e => e);
+    expect(error.extensions.reason).to.equal('TWO_FACTOR_LOCKED');
+  });
+
+  it('should reset the count after a valid code', async () => {
+    stored.failedAttempts = config.twoFactor.maxFailedAttempts - 1;
+    const session = await login(totp.generateCode(secret));
+
+    expect(session.token).to.equal('token');
+    expect(stored.failedAttempts).to.equal(0);
+  });
+
+  it('should accept codes again once the lockout has ended', async () => {
+    stored.lockedUntil = new Date(Date.now() - 1000);
+    const session = await login(totp.generateCode(secret));
+    expect(session.token).to.equal('token');
+  });
+});
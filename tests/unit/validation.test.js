@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const validation = require('../../src/utils/validation');
+const { normaliseAddress } = require('../../src/utils/address');
+
+describe('Validation Module Tests', () => {
+  const validTombstone = {
+    projectName: 'Squid Game',
+    tokenSymbol: 'SQUID',
+    blockchainNetwork: 'BSC',
+    contractAddress: '0x87230146E138d3F296a9a77e497A2A83012e9Bc5',
+    launchDate: '2021-10-20',
+    rugPullDate: '2021-11-01',
+    totalLoss: 3380000,
+    affectedUsers: 40000,
+    fraudTactics: ['Honeypot', 'Liquidity Removal'],
+    evidence: [
+      'https://bscscan.com/token/0x87230146e138d3f296a9a77e497a2a83012e9bc5',
+      '0x' + 'ab'.repeat(32)
+    ],
+    teamInformation: { anonymous: true }
+  };
+
+  describe('isValidAddress()', () => {
+    it('should accept lowercase and correctly checksummed EVM addresses', () => {
+      expect(validation.isValidAddress('0x52908400098527886e0f7030069857d2e4169ee7', 'Ethereum')).to.be.true;
+      expect(validation.isValidAddress('0x52908400098527886E0F7030069857D2E4169EE7', 'Ethereum')).to.be.true;
+    });
+
+    it('should reject EVM addresses with a bad checksum', () => {
+      expect(validation.isValidAddress('0x52908400098527886E0F7030069857D2E4169Ee7', 'Ethereum')).to.be.false;
+    });
+
+    it('should validate Solana addresses as 32-byte base58', () => {
+      expect(validation.isValidAddress('So11111111111111111111111111111111111111112', 'Solana')).to.be.true;
+      expect(validation.isValidAddress('0x52908400098527886e0f7030069857d2e4169ee7', 'Solana')).to.be.false;
+    });
+  });
+
+  describe('normaliseAddress()', () => {
+    it('should lowercase EVM addresses only', () => {
+      expect(normaliseAddress(' 0x87230146E138d3F296a9a77e497A2A83012e9Bc5 '))
+        .to.equal('0x87230146e138d3f296a9a77e497a2a83012e9bc5');
+      expect(normaliseAddress('So11111111111111111111111111111111111111112'))
+        .to.equal('So11111111111111111111111111111111111111112');
+      expect(normaliseAddress(undefined)).to.be.undefined;
+    });
+  });
+
+  describe('validateRugCoinTombstone()', () => {
+    it('should accept a valid submission', () => {
+      expect(validation.validateRugCoinTombstone(validTombstone)).to.deep.equal([]);
+    });
+
+    it('should report field-level errors', () => {
+      const errors = validation.validateRugCoinTombstone({
+        ...validTombstone,
+        rugPullDate: '2021-10-01',
+        totalLoss: -5,
+        evidence: ['not evidence']
+      });
+
+      expect(errors.map(e => e.field)).to.have.members(['rugPullDate', 'totalLoss', 'evidence[0]']);
+    });
+  });
+
+  describe('validateRiskReportRequest()', () => {
+    const wallet = '0x52908400098527886e0f7030069857d2e4169ee7';
+    const request = {
+      network: 'BSC',
+      contractAddress: validTombstone.contractAddress,
+      pairAddress: wallet,
+      teamWallets: [wallet]
+    };
+
+    it('should accept a valid request', () => {
+      expect(validation.validateRiskReportRequest(request)).to.deep.equal([]);
+    });
+
+    it('should check the network and every address', () => {
+      const errors = validation.validateRiskReportRequest({
+        ...request,
+        network: 'Solana',
+        teamWallets: ['So11111111111111111111111111111111111111112', wallet]
+      });
+
+      expect(errors.map(e => e.field)).to.deep.equal(['contractAddress', 'pairAddress', 'teamWallets[1]']);
+    });
+
+    it('should cap the number of team wallets', () => {
+      const teamWallets = Array.from({ length: validation.MAX_TEAM_WALLETS + 1 }, () => wallet);
+      expect(validation.validateRiskReportRequest({ ...request, teamWallets })).to.deep.equal([
+        { field: 'teamWallets', message: `At most ${validation.MAX_TEAM_WALLETS} wallets are allowed` }
+      ]);
+    });
+  });
+
+  describe('assertValid()', () => {
+    it('should throw VALIDATION_FAILED with the field errors', () => {
+      const fieldErrors = [{ field: 'totalLoss', message: 'Must be between 0 and 1000000000000' }];
+      try {
+        validation.assertValid(fieldErrors);
+        throw new Error('Should have thrown an error');
+      } catch (error) {
+        expect(error.extensions.code).to.equal('VALIDATION_FAILED');
+        expect(error.extensions.fieldErrors).to.deep.equal(fieldErrors);
+      }
+    });
+  });
+});
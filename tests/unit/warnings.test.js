@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+
+// Resolvers load the AI service, which needs TensorFlow and isn't reached here
+jest.mock('../../services/aiService', () => ({}));
+
+const WarningSign = require('../../models/WarningSign');
+const resolvers = require('../../api/resolvers');
+const premiumService = require('../../services/premiumService');
+const webhookService = require('../../services/webhookService');
+const config = require('../../config/premium');
+const { pubsub } = require('../../config/pubsub');
+
+describe('Warning Sign Tests', () => {
+  const original = {
+    updateOne: WarningSign.collection.updateOne,
+    insertOne: WarningSign.collection.insertOne,
+    findById: WarningSign.findById,
+    emit: webhookService.emit,
+    publish: pubsub.publish
+  };
+  const reporter = { id: String(new mongoose.Types.ObjectId()), role: 'user' };
+  const free = { id: 'u2', role: 'user', isPremium: false };
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  let emitted;
+  let published;
+
+  const input = (fields) => ({
+    projectName: 'Rug',
+    tokenSymbol: 'RUG',
+    blockchainNetwork: 'Ethereum',
+    contractAddress: '0x' + 'ab'.repeat(20),
+    riskType: ['Contract Risk'],
+    riskLevel: 'High',
+    description: 'Owner can pause transfers',
+    evidence: {},
+    ...fields
+  });
+
+  const stored = (fields) => WarningSign.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    ...input(),
+    aiAnalysis: { riskScore: 0, confidence: 0 },
+    createdAt: dayAgo,
+    ...fields
+  });
+
+  beforeAll(() => {
+    // Saves reach the collection, which answers without a database
+    WarningSign.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    WarningSign.collection.insertOne = async () => ({ acknowledged: true });
+    webhookService.emit = async (event, data, options) => {
+      emitted.push({ event, options });
+      return [];
+    };
+    pubsub.publish = async (trigger, payload) => {
+      published.push({ trigger, payload });
+    };
+  });
+
+  afterAll(() => {
+    Object.assign(WarningSign.collection, { updateOne: original.updateOne, insertOne: original.insertOne });
+    WarningSign.findById = original.findById;
+    webhookService.emit = original.emit;
+    pubsub.publish = original.publish;
+  });
+
+  beforeEach(() => {
+    emitted = [];
+    published = [];
+  });
+
+  describe('criticalAt', () => {
+    it('should be set when a warning is created Critical', async () => {
+      const warning = await resolvers.Mutation.createWarningSign(null, {
+        input: input({ riskLevel: 'Critical' })
+      }, { user: reporter });
+
+      expect(warning.criticalAt).to.be.instanceOf(Date);
+      expect(emitted).to.have.length(1);
+      expect(emitted[0].options.freeDelayMs).to.be.closeTo(config.criticalWarningDelayMs, 1000);
+    });
+
+    it('should be left unset below Critical', async () => {
+      const warning = await resolvers.Mutation.createWarningSign(null, { input: input() }, { user: reporter });
+      expect(warning.criticalAt).to.be.undefined;
+      expect(emitted).to.deep.equal([]);
+    });
+
+    it('should be cleared when a warning is downgraded', async () => {
+      const warning = stored({ riskLevel: 'Critical', criticalAt: dayAgo });
+      warning.set({ riskLevel: 'High' });
+      await warning.save();
+      expect(warning.criticalAt).to.be.undefined;
+    });
+  });
+
+  describe('updateWarningSign', () => {
+    it('should hold an old warning escalated to Critical back from free users', async () => {
+      const warning = stored({ riskLevel: 'High' });
+      WarningSign.findById = async () => warning;
+
+      const updated = await resolvers.Mutation.updateWarningSign(null, {
+        id: warning.id,
+        input: input({ riskLevel: 'Critical' })
+      }, {});
+
+      expect(updated.criticalAt.getTime()).to.be.greaterThan(dayAgo.getTime());
+      expect(premiumService.isEmbargoed(updated, free)).to.be.true;
+      expect(published.map(event => event.trigger)).to.deep.equal(['WARNING_SIGN_UPDATED']);
+      expect(emitted).to.have.length(1);
+      expect(emitted[0].event).to.equal('WARNING_CRITICAL');
+      expect(emitted[0].options.freeDelayMs).to.be.closeTo(config.criticalWarningDelayMs, 1000);
+    });
+
+    it('should keep the original criticalAt when a Critical warning is edited', async () => {
+      const warning = stored({ riskLevel: 'Critical', criticalAt: dayAgo });
+      WarningSign.findById = async () => warning;
+
+      const updated = await resolvers.Mutation.updateWarningSign(null, {
+        id: warning.id,
+        input: input({ riskLevel: 'Critical', description: 'Also mints freely' })
+      }, {});
+
+      expect(updated.criticalAt).to.deep.equal(dayAgo);
+      expect(premiumService.isEmbargoed(updated, free)).to.be.false;
+      expect(emitted).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const dns = require('dns');
+const http = require('http');
+const { expect } = require('chai');
+const encryption = require('../../src/utils/encryption');
+const config = require('../../config/webhooks');
+const webhookService = require('../../services/webhookService');
+
+describe('Webhook Module Tests', () => {
+  let server;
+  let url;
+  let received;
+  let responseStatus;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus);
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/hooks`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+  });
+
+  describe('send()', () => {
+    const body = JSON.stringify({ id: 'd1', event: 'WARNING_CRITICAL', data: { riskLevel: 'Critical' } });
+    const options = { secrets: ['whsec_current'], event: 'WARNING_CRITICAL', deliveryId: 'd1' };
+    const lookup = dns.lookup;
+
+    // The test receiver listens on loopback
+    beforeEach(() => {
+      config.allowPrivateTargets = true;
+    });
+
+    afterEach(() => {
+      config.allowPrivateTargets = false;
+      dns.lookup = lookup;
+    });
+
+    it('should post a payload the receiver can verify with the secret', async () => {
+      const result = await webhookService.send(url, body, options);
+      expect(result.ok).to.be.true;
+      expect(result.status).to.equal(200);
+
+      const [{ headers, body: receivedBody }] = received;
+      expect(receivedBody).to.equal(body);
+      expect(headers['x-graverato-event']).to.equal('WARNING_CRITICAL');
+      expect(headers['x-graverato-delivery']).to.equal('d1');
+
+      const [timestamp, signature] = headers['x-graverato-signature'].split(',').map(part => part.split('=')[1]);
+      expect(encryption.verifySignature(`${timestamp}.${receivedBody}`, signature, 'whsec_current')).to.be.true;
+      expect(encryption.verifySignature(`${timestamp}.${receivedBody}`, signature, 'whsec_other')).to.be.false;
+    });
+
+    it('should report non-2xx responses as failures', async () => {
+      responseStatus = 500;
+      const result = await webhookService.send(url, body, options);
+      expect(result.ok).to.be.false;
+      expect(result.error).to.equal('HTTP 500');
+    });
+
+    it('should refuse private addresses', async () => {
+      config.allowPrivateTargets = false;
+      for (const target of [url, 'http://localhost/hooks', 'http://[::ffff:10.0.0.1]/', 'http://100.64.0.1/', 'http://169.254.169.254/']) {
+        const result = await webhookService.send(target, body, options);
+        expect(result.error).to.equal('Private network targets are not allowed');
+      }
+      expect(received).to.have.length(0);
+    });
+
+    it('should refuse names that resolve to private addresses', async () => {
+      config.allowPrivateTargets = false;
+      dns.lookup = (hostname, lookupOptions, callback) => callback(null, [{ address: '10.1.2.3', family: 4 }]);
+
+      const result = await webhookService.send('http://hooks.example.com/hooks', body, options);
+      expect(result.error).to.equal('Private network targets are not allowed');
+    });
+  });
+
+  describe('signatureHeader()', () => {
+    it('should sign with every secret during a rotation', () => {
+      const header = webhookService.signatureHeader('{}', ['new', 'old'], 1700000000);
+      expect(header).to.equal([
+        't=1700000000',
+        `v1=${encryption.sign('1700000000.{}', 'new')}`,
+        `v1=${encryption.sign('1700000000.{}', 'old')}`
+      ].join(','));
+    });
+  });
+
+  describe('retryDelay()', () => {
+    it('should back off exponentially up to the maximum delay', () => {
+      const first = webhookService.retryDelay(1);
+      const third = webhookService.retryDelay(3);
+      expect(first).to.be.within(config.baseDelayMs * 0.9, config.baseDelayMs * 1.1);
+      expect(third).to.be.within(config.baseDelayMs * 4 * 0.9, config.baseDelayMs * 4 * 1.1);
+      expect(webhookService.retryDelay(50)).to.be.at.most(config.maxDelayMs * 1.1);
+    });
+  });
+
+  describe('assertValidInput()', () => {
+    it('should require a URL and events when registering', () => {
+      try {
+        webhookService.assertValidInput({ url: 'ftp://example.com' }, true);
+        expect.fail('Expected a validation error');
+      } catch (error) {
+        expect(error.extensions.code).to.equal('VALIDATION_FAILED');
+        expect(error.extensions.fieldErrors.map(e => e.field)).to.deep.equal(['events', 'url']);
+      }
+    });
+  });
+});